@@ -0,0 +1,159 @@
+// ===============================================
+// 🧪 mockBackend.js — local stand-in for the FastAPI backend
+// Run:  npm run mock   (then VITE_API_BASE=http://127.0.0.1:10000 npm run dev)
+// ✅ GET  /            → health
+// ✅ POST /transcribe  → fake text that grows with the uploaded audio
+// ✅ /dataset/*        → in-memory dataset (list/add/update/delete…)
+// ✅ GET  /record_archive/wavs/<name> → stored audio
+// ===============================================
+
+import http from "node:http";
+
+const PORT = Number(process.env.MOCK_PORT || 10000);
+const LATENCY_MS = Number(process.env.MOCK_LATENCY || 400);
+
+// 🗣️ Fake transcript: one word per ~4 KB of audio
+const WORDS = "сайн байна уу энэ бол туршилтын бичлэг монгол хэлний яриа таних систем".split(" ");
+const fakeText = (bytes) => {
+  const n = Math.max(1, Math.round(bytes / 4096));
+  return Array.from({ length: n }, (_, i) => WORDS[i % WORDS.length]).join(" ");
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const parts = [];
+    req.on("data", (c) => parts.push(c));
+    req.on("end", () => resolve(Buffer.concat(parts)));
+    req.on("error", reject);
+  });
+
+// 📦 Minimal multipart/form-data parser → { field: string | { filename, type, data } }
+const parseForm = (req, body) => {
+  const m = (req.headers["content-type"] || "").match(/boundary=(?:"([^"]+)"|([^;]+))/);
+  if (!m) return {};
+  const boundary = Buffer.from(`--${m[1] || m[2]}`);
+  const fields = {};
+  let pos = body.indexOf(boundary);
+  while (pos !== -1) {
+    const next = body.indexOf(boundary, pos + boundary.length);
+    if (next === -1) break;
+    const part = body.subarray(pos + boundary.length + 2, next - 2); // skip CRLFs
+    const split = part.indexOf("\r\n\r\n");
+    const head = part.subarray(0, split).toString();
+    const data = part.subarray(split + 4);
+    const name = head.match(/name="([^"]*)"/)?.[1];
+    const filename = head.match(/filename="([^"]*)"/)?.[1];
+    const type = head.match(/Content-Type:\s*(\S+)/i)?.[1] || "application/octet-stream";
+    if (name) fields[name] = filename !== undefined ? { filename, type, data } : data.toString();
+    pos = next;
+  }
+  return fields;
+};
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "*",
+  "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
+};
+
+const send = (res, status, body) => {
+  if (Buffer.isBuffer(body?.data)) {
+    res.writeHead(status, { "Content-Type": body.type, ...CORS });
+    return res.end(body.data);
+  }
+  res.writeHead(status, { "Content-Type": "application/json", ...CORS });
+  res.end(JSON.stringify(body));
+};
+
+// 🗂️ In-memory dataset: file_name → { text, audio: { type, data } | null, metadata? }
+const dataset = new Map();
+const stamp = () => new Date().toISOString().replace(/\D/g, "").slice(0, 14).replace(/^(\d{8})/, "$1_");
+const wavName = (name) => `wavs/${String(name).replace(/^.*\//, "")}`;
+const missing = (f) => [404, { status: "error", detail: `${f} not found` }];
+
+const datasetRoutes = {
+  "GET /dataset/list": async () => [
+    200,
+    {
+      samples: [...dataset].map(([file_name, s]) => ({
+        file_name,
+        text: s.text,
+        ...(s.metadata && { speaker_id: s.metadata.speaker_id, metadata: s.metadata }),
+      })),
+    },
+  ],
+  "POST /dataset/add": async (req) => {
+    const form = parseForm(req, await readBody(req));
+    if (!form.file?.data) return [400, { status: "error", detail: "file is required" }];
+    const file_name = wavName(form.file.filename || `usr_${stamp()}.wav`);
+    let metadata = null;
+    try {
+      metadata = form.metadata ? JSON.parse(form.metadata) : null;
+    } catch {
+      return [400, { status: "error", detail: "metadata must be JSON" }];
+    }
+    dataset.set(file_name, { text: form.text || "", audio: form.file, metadata });
+    return [200, { status: "ok", file_name }];
+  },
+  "POST /dataset/add_empty": async () => {
+    const file_name = wavName(`wv_${stamp()}.wav`);
+    dataset.set(file_name, { text: "", audio: null });
+    return [200, { status: "ok", file_name }];
+  },
+  "POST /dataset/update": async (req) => {
+    const form = parseForm(req, await readBody(req));
+    const s = dataset.get(form.file_name);
+    if (!s) return missing(form.file_name);
+    s.text = form.new_text || "";
+    return [200, { status: "ok" }];
+  },
+  "POST /dataset/update_audio": async (req) => {
+    const form = parseForm(req, await readBody(req));
+    const s = dataset.get(form.file_name);
+    if (!s) return missing(form.file_name);
+    s.audio = form.file;
+    return [200, { status: "ok" }];
+  },
+  "POST /dataset/delete": async (req) => {
+    const form = parseForm(req, await readBody(req));
+    if (!dataset.delete(form.file_name)) return missing(form.file_name);
+    return [200, { status: "ok" }];
+  },
+  "POST /dataset/cleanup": async () => [200, { status: "ok", removed: 0 }],
+  "GET /dataset/export": async () => [501, { detail: "Export is not available on the mock backend" }],
+};
+
+// 🎧 GET /record_archive/wavs/<name>
+const serveAudio = (path) => {
+  const s = dataset.get(wavName(decodeURIComponent(path.slice("/record_archive/wavs/".length))));
+  if (!s?.audio) return [404, { detail: "Audio not found" }];
+  return [200, s.audio];
+};
+
+const routes = {
+  "GET /": async () => [200, { status: "ok", mock: true }],
+  "POST /transcribe": async (req) => {
+    const body = await readBody(req);
+    await new Promise((r) => setTimeout(r, LATENCY_MS));
+    return [200, { user_text: fakeText(body.length) }];
+  },
+  ...datasetRoutes,
+};
+
+http
+  .createServer(async (req, res) => {
+    if (req.method === "OPTIONS") return send(res, 204, {});
+    const path = new URL(req.url, "http://x").pathname;
+    const handler =
+      req.method === "GET" && path.startsWith("/record_archive/wavs/")
+        ? async () => serveAudio(path)
+        : routes[`${req.method} ${path}`];
+    if (!handler) return send(res, 404, { detail: `No mock route for ${req.method} ${path}` });
+    try {
+      const [status, body] = await handler(req);
+      send(res, status, body);
+    } catch (err) {
+      send(res, 500, { detail: err.message });
+    }
+  })
+  .listen(PORT, () => console.log(`🧪 Mock backend on http://127.0.0.1:${PORT}`));
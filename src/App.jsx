@@ -1,19 +1,40 @@
 // ===============================================
-// 🎙️ Mongolian Whisper Frontend (v2.1)
+// 🎙️ Mongolian Whisper Frontend (v2.2)
 // Elegant tabbed UI for Transcription & Dataset
+// 🧭 Hash routes: #/transcribe · #/read · #/dataset[/<file_name>] · #/stats · #/evaluate
 // ===============================================
 
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import TranscribePage from "./pages/TranscribePage";
+import ReadSessionPage from "./pages/ReadSessionPage";
 import DatasetManager from "./pages/DatasetManager";
+import EvaluationPage from "./pages/EvaluationPage";
+import StatsPage from "./pages/StatsPage";
+import PendingUploads from "./components/pendingUploads";
+import StatusBadge from "./components/statusBadge";
+import { useHashRoute, navigate } from "./utils/router";
+import { purgeExpiredTrash } from "./utils/trash";
 
 export default function App() {
-  const [activeTab, setActiveTab] = useState("transcribe");
+  const route = useHashRoute();
+  const activeTab = route.page;
+  const setActiveTab = (page) => navigate({ page });
+
+  // 🗑️ Expired Trash backups shouldn't wait for the Trash panel to be opened
+  useEffect(() => {
+    purgeExpiredTrash();
+  }, []);
 
   const renderPage = () => {
     switch (activeTab) {
+      case "read":
+        return <ReadSessionPage />;
       case "dataset":
-        return <DatasetManager />;
+        return <DatasetManager focusFile={route.param} query={route.query} />;
+      case "stats":
+        return <StatsPage />;
+      case "evaluate":
+        return <EvaluationPage />;
       default:
         return <TranscribePage />;
     }
@@ -29,11 +50,16 @@ export default function App() {
         <p className="text-sm text-indigo-600/70 mt-1">
           Fast Speech-to-Text + Dataset Curation
         </p>
+        <StatusBadge />
       </header>
 
+      {/* Offline upload queue */}
+      <PendingUploads />
+      <StorageNotice />
+
       {/* Tabs */}
       <nav
-        className="flex space-x-4 sm:space-x-6 mt-6"
+        className="flex flex-wrap justify-center gap-3 sm:gap-6 mt-6 px-2"
         role="tablist"
         aria-label="Main navigation"
       >
@@ -42,11 +68,26 @@ export default function App() {
           active={activeTab === "transcribe"}
           onClick={() => setActiveTab("transcribe")}
         />
+        <TabButton
+          label="🗣️ Read"
+          active={activeTab === "read"}
+          onClick={() => setActiveTab("read")}
+        />
         <TabButton
           label="🗂️ Dataset Manager"
           active={activeTab === "dataset"}
           onClick={() => setActiveTab("dataset")}
         />
+        <TabButton
+          label="📊 Stats"
+          active={activeTab === "stats"}
+          onClick={() => setActiveTab("stats")}
+        />
+        <TabButton
+          label="🧪 Evaluate"
+          active={activeTab === "evaluate"}
+          onClick={() => setActiveTab("evaluate")}
+        />
       </nav>
 
       {/* Page container */}
@@ -66,6 +107,22 @@ export default function App() {
   );
 }
 
+// 🗄️ IndexedDB upgrade blocked / superseded by another tab
+function StorageNotice() {
+  const [message, setMessage] = useState("");
+  useEffect(() => {
+    const onBlocked = (e) => setMessage(e.detail);
+    window.addEventListener("storage-blocked", onBlocked);
+    return () => window.removeEventListener("storage-blocked", onBlocked);
+  }, []);
+  if (!message) return null;
+  return (
+    <p className="mt-3 mx-4 px-3 py-1 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded">
+      ⚠️ {message}
+    </p>
+  );
+}
+
 // 🎛️ Reusable tab button component
 function TabButton({ label, active, onClick }) {
   return (
@@ -0,0 +1,280 @@
+import React, { useEffect, useRef, useState } from "react";
+import { transcribeAudio } from "../utils/api";
+import { toWhisperWavSafe } from "../utils/wav";
+import { saveTake } from "../utils/saveTake";
+import { downloadCSV, downloadText, stampForFile } from "../utils/download";
+import { useSpeakers } from "./speakerPicker";
+import { useTextPolicy } from "./textPolicy";
+
+const MAX_PARALLEL = 2; // 🚦 keep the (free-tier) backend responsive
+const AUDIO_EXT = /\.(wav|mp3|m4a|mp4|webm|ogg|oga|opus|flac|aac)$/i;
+
+const isAudio = (f) => f.type?.startsWith("audio/") || AUDIO_EXT.test(f.name);
+
+let nextId = 1;
+
+// 📂 Drag-and-drop / file-picker batch transcription
+export default function BatchTranscriber({ device = "desktop" }) {
+  const [rows, setRows] = useState([]);
+  const [dragOver, setDragOver] = useState(false);
+  const inputRef = useRef(null);
+  const startedRef = useRef(new Set()); // rows currently in flight
+  const { active: speaker } = useSpeakers();
+  const textPolicy = useTextPolicy();
+
+  const patch = (id, changes) =>
+    setRows((prev) => prev.map((r) => (r.id === id ? { ...r, ...changes } : r)));
+
+  // ➕ Queue picked / dropped files
+  const addFiles = (fileList) => {
+    const files = Array.from(fileList || []).filter(isAudio);
+    if (!files.length) return;
+    setRows((prev) => [
+      ...prev,
+      ...files.map((file) => ({
+        id: nextId++,
+        file,
+        status: "queued", // queued → uploading → transcribing → done | error
+        progress: 0,
+        text: "",
+        corrected: "",
+        error: "",
+        saved: false,
+        queued: false, // 📥 kept offline, uploads later
+        issues: [], // ⚠️ text issues the policy couldn't fix (saved anyway)
+        saving: false,
+      })),
+    ]);
+  };
+
+  // 🧠 Transcribe one file
+  const run = async (row) => {
+    patch(row.id, { status: "uploading", progress: 0, error: "" });
+    try {
+      const data = await transcribeAudio(row.file, device, {
+        onUploadProgress: (e) => {
+          const pct = e.total ? Math.round((e.loaded / e.total) * 100) : 0;
+          patch(row.id, pct >= 100 ? { status: "transcribing", progress: 100 } : { progress: pct });
+        },
+      });
+      const t = data?.user_text || "";
+      patch(row.id, { status: "done", progress: 100, text: t, corrected: t });
+    } catch (err) {
+      patch(row.id, { status: "error", error: err.message || "Transcription failed." });
+    } finally {
+      startedRef.current.delete(row.id);
+    }
+  };
+
+  // 🚦 Start queued rows while below the concurrency limit
+  useEffect(() => {
+    const free = MAX_PARALLEL - startedRef.current.size; // ids in flight
+    rows
+      .filter((r) => r.status === "queued" && !startedRef.current.has(r.id))
+      .slice(0, Math.max(0, free))
+      .forEach((r) => {
+        startedRef.current.add(r.id);
+        run(r);
+      });
+  }, [rows]);
+
+  const retry = (id) => patch(id, { status: "queued", error: "" });
+  const remove = (id) => setRows((prev) => prev.filter((r) => r.id !== id));
+  const clearFinished = () => setRows((prev) => prev.filter((r) => r.status !== "done"));
+
+  // 💾 Send one row into the dataset with its corrected text (same path as a recorded take)
+  //    Text is normalized per the policy; what it can't fix is shown on the row instead of prompting
+  const sendToDataset = async (row) => {
+    if (!row.corrected.trim()) return alert("Enter the corresponding text!");
+    patch(row.id, { saving: true });
+    try {
+      const blob = await toWhisperWavSafe(row.file);
+      const res = await saveTake({
+        blob,
+        raw: row.file,
+        range: "auto",
+        text: row.corrected,
+        speaker,
+        policy: textPolicy,
+        source: "batch",
+        device,
+        askText: false,
+      });
+      if (res.status === "cancelled") return res.reason && alert(res.reason);
+      patch(row.id, {
+        saved: true,
+        queued: res.status === "queued",
+        corrected: res.text,
+        issues: res.remaining.map((i) => i.message),
+      });
+    } catch (err) {
+      console.error("❌ /dataset/add failed:", err);
+      alert("Failed to save to dataset.");
+    } finally {
+      patch(row.id, { saving: false });
+    }
+  };
+
+  const finished = rows.filter((r) => r.status === "done");
+
+  const exportTXT = () =>
+    downloadText(
+      finished.map((r) => `=== ${r.file.name} ===\n${r.corrected}\n`).join("\n"),
+      `transcripts_${stampForFile()}.txt`
+    );
+
+  const exportCSV = () =>
+    downloadCSV(
+      finished.map((r) => ({ file_name: r.file.name, text: r.corrected, model_text: r.text })),
+      ["file_name", "text", "model_text"],
+      `transcripts_${stampForFile()}.csv`
+    );
+
+  return (
+    <div className="w-full max-w-md mt-6">
+      <h3 className="text-lg font-semibold text-indigo-700 mb-2">📂 Batch file transcription</h3>
+
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragOver(true);
+        }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragOver(false);
+          addFiles(e.dataTransfer.files);
+        }}
+        onClick={() => inputRef.current?.click()}
+        className={`cursor-pointer border-2 border-dashed rounded-xl p-4 text-sm transition ${
+          dragOver ? "border-indigo-500 bg-indigo-50" : "border-indigo-300 bg-white/60 hover:bg-white"
+        }`}
+      >
+        🎵 Drop audio files here or <span className="underline text-indigo-700">browse</span>
+        <input
+          ref={inputRef}
+          type="file"
+          accept="audio/*"
+          multiple
+          className="hidden"
+          onChange={(e) => {
+            addFiles(e.target.files);
+            e.target.value = "";
+          }}
+        />
+      </div>
+
+      {rows.length > 0 && (
+        <>
+          <div className="flex justify-center space-x-2 mt-3 text-sm">
+            <button
+              onClick={exportTXT}
+              disabled={!finished.length}
+              className="px-3 py-1 bg-purple-600 text-white rounded-lg hover:bg-purple-700 active:scale-95 disabled:bg-gray-400"
+            >
+              ⬇️ TXT
+            </button>
+            <button
+              onClick={exportCSV}
+              disabled={!finished.length}
+              className="px-3 py-1 bg-purple-600 text-white rounded-lg hover:bg-purple-700 active:scale-95 disabled:bg-gray-400"
+            >
+              ⬇️ CSV
+            </button>
+            <button
+              onClick={clearFinished}
+              className="px-3 py-1 bg-gray-500 text-white rounded-lg hover:bg-gray-600 active:scale-95"
+            >
+              🧹 Clear done
+            </button>
+          </div>
+
+          <ul className="mt-3 space-y-2 text-left">
+            {rows.map((r) => (
+              <BatchRow
+                key={r.id}
+                row={r}
+                onChange={(corrected) => patch(r.id, { corrected, saved: false, issues: [] })}
+                onRetry={() => retry(r.id)}
+                onRemove={() => remove(r.id)}
+                onSend={() => sendToDataset(r)}
+              />
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+const STATUS_LABEL = {
+  queued: "⏳ Queued",
+  uploading: "⬆️ Uploading",
+  transcribing: "🧠 Transcribing",
+  done: "✅ Done",
+  error: "⚠️ Failed",
+};
+
+// 🎵 One file's progress + result
+function BatchRow({ row, onChange, onRetry, onRemove, onSend }) {
+  const busy = row.status === "uploading" || row.status === "transcribing";
+  return (
+    <li className="bg-white rounded-lg shadow p-2 text-sm">
+      <div className="flex items-center justify-between">
+        <span className="font-mono text-xs truncate mr-2" title={row.file.name}>
+          {row.file.name}
+        </span>
+        <span className="shrink-0 text-xs text-gray-600">{STATUS_LABEL[row.status]}</span>
+      </div>
+
+      {busy && (
+        <div className="h-1.5 bg-gray-200 rounded mt-1 overflow-hidden">
+          <div
+            className={`h-full bg-indigo-500 transition-all ${row.status === "transcribing" ? "animate-pulse" : ""}`}
+            style={{ width: `${row.progress}%` }}
+          />
+        </div>
+      )}
+
+      {row.status === "error" && <p className="text-xs text-red-600 mt-1">{row.error}</p>}
+
+      {row.status === "done" && (
+        <input
+          type="text"
+          value={row.corrected}
+          onChange={(e) => onChange(e.target.value)}
+          className="w-full mt-1 p-1 rounded border border-blue-300 focus:ring focus:ring-blue-200"
+        />
+      )}
+      {row.issues.length > 0 && <p className="text-xs text-amber-700 mt-1">⚠️ {row.issues.join(" · ")}</p>}
+
+      <div className="flex justify-end space-x-2 mt-1 text-xs">
+        {row.status === "error" && (
+          <button onClick={onRetry} className="text-indigo-700 hover:underline">
+            🔁 Retry
+          </button>
+        )}
+        {row.status === "done" && (
+          <button
+            onClick={onSend}
+            disabled={row.saving || row.saved}
+            className="text-green-700 hover:underline disabled:text-gray-400 disabled:no-underline"
+          >
+            {row.saving
+              ? "💾 Saving..."
+              : row.saved
+              ? row.queued
+                ? "📥 Queued offline"
+                : "✔ In dataset"
+              : "💾 Send to dataset"}
+          </button>
+        )}
+        {!busy && (
+          <button onClick={onRemove} className="text-red-600 hover:underline">
+            ✖ Remove
+          </button>
+        )}
+      </div>
+    </li>
+  );
+}
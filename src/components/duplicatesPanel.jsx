@@ -0,0 +1,252 @@
+import React, { useEffect, useRef, useState } from "react";
+import { getAudioUrl } from "../utils/api";
+import { sampleText } from "../utils/datasetFilters";
+import {
+  DEFAULT_DUPLICATE_OPTIONS,
+  findTextPairs,
+  findAudioPairs,
+  groupPairs,
+  loadFingerprints,
+  fingerprintAll,
+} from "../utils/duplicates";
+import { useAbortScope } from "../utils/useAbortScope";
+
+const OPTIONS_KEY = "mw_duplicate_options";
+const GROUP_LIMIT = 100; // groups rendered at once
+
+const loadOptions = () => {
+  try {
+    return { ...DEFAULT_DUPLICATE_OPTIONS, ...JSON.parse(localStorage.getItem(OPTIONS_KEY) || "{}") };
+  } catch {
+    return { ...DEFAULT_DUPLICATE_OPTIONS };
+  }
+};
+
+// 👯 Scan the scope for duplicate transcripts / audio, keep one per group, trash the rest
+//    rows: samples in scope · onDelete(names) → names actually trashed (existing delete flow)
+export default function DuplicatesPanel({ rows, scopeLabel, onDelete, onClose }) {
+  const [options, setOptions] = useState(loadOptions);
+  const [groups, setGroups] = useState(null);
+  const [keep, setKeep] = useState({}); // group index → kept file_name
+  const [progress, setProgress] = useState(null); // { label, done, total }
+  const [notice, setNotice] = useState("");
+  const [playing, setPlaying] = useState(null);
+  const audioRef = useRef(null);
+  const { renew, abort } = useAbortScope();
+
+  useEffect(() => () => audioRef.current?.pause(), []);
+
+  const set = (patch) => {
+    const next = { ...options, ...patch };
+    setOptions(next);
+    localStorage.setItem(OPTIONS_KEY, JSON.stringify(next));
+  };
+
+  const scan = async () => {
+    setNotice("");
+    setGroups(null);
+    const pairs = [];
+    if (options.text) {
+      setProgress({ label: "📝 Comparing transcripts", done: 0, total: rows.length });
+      await new Promise((r) => setTimeout(r)); // let the label paint
+      const text = findTextPairs(rows, options.textThreshold);
+      pairs.push(...text.pairs);
+      if (text.crowded) {
+        setNotice(
+          `ℹ️ ${text.crowded} transcript(s) share a very common start or end — each was compared with its closest ` +
+            "neighbours only (exact duplicates are always found)."
+        );
+      }
+    }
+    if (options.audio) {
+      const signal = renew("scan");
+      const known = await loadFingerprints();
+      const todo = rows.filter((s) => !known.has(s.file_name)).length;
+      setProgress({ label: "🎧 Fingerprinting audio", done: 0, total: todo });
+      const { fingerprints, failed } = await fingerprintAll(rows, known, {
+        signal,
+        onProgress: ({ done, total }) => setProgress((p) => p && { ...p, done, total }),
+      });
+      if (signal.aborted) {
+        setProgress(null);
+        return setNotice("⏹️ Scan stopped — fingerprints so far are cached.");
+      }
+      if (failed) setNotice((n) => [n, `⚠️ ${failed} sample(s) could not be decoded`].filter(Boolean).join(" "));
+      setProgress({ label: "🎧 Comparing audio", done: 0, total: fingerprints.size });
+      const found = await findAudioPairs(rows, fingerprints, options.audioThreshold, {
+        signal,
+        onProgress: ({ done, total }) => setProgress((p) => p && { ...p, done, total }),
+      });
+      if (signal.aborted) {
+        setProgress(null);
+        return setNotice("⏹️ Scan stopped — fingerprints so far are cached.");
+      }
+      pairs.push(...found);
+    }
+    const found = groupPairs(pairs, rows);
+    setGroups(found);
+    setKeep(Object.fromEntries(found.map((g, i) => [i, g.keep])));
+    setProgress(null);
+  };
+
+  const play = (file_name) => {
+    audioRef.current?.pause();
+    if (playing === file_name) return setPlaying(null);
+    const audio = new Audio(`${getAudioUrl(file_name)}?_=${Date.now()}`);
+    audio.playsInline = true;
+    audio.onended = () => setPlaying(null);
+    audioRef.current = audio;
+    audio.play().then(() => setPlaying(file_name)).catch(() => setPlaying(null));
+  };
+
+  // 🗑️ Trash everything except the kept file of the given groups
+  const removeExtras = async (indices) => {
+    const names = indices.flatMap((i) => groups[i].files.filter((f) => f !== keep[i]));
+    if (!names.length) return;
+    audioRef.current?.pause();
+    const gone = new Set((await onDelete(names)) || []);
+    if (!gone.size) return;
+    setGroups((prev) =>
+      prev.map((g) => ({ ...g, files: g.files.filter((f) => !gone.has(f)) })).map((g) => (g.files.length > 1 ? g : null))
+    );
+  };
+
+  const textOf = new Map(rows.map((s) => [s.file_name, sampleText(s)]));
+  const live = (groups || []).flatMap((g, i) => (g ? [i] : [])); // groups still holding duplicates
+  const extras = live.reduce((n, i) => n + groups[i].files.length - 1, 0);
+  const field = "border border-gray-300 rounded px-1 text-xs w-16";
+
+  return (
+    <div className="w-full max-w-2xl bg-white rounded-lg shadow p-3 mb-3 text-left text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold text-indigo-700">👯 Duplicates — {scopeLabel}</h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-800">✖</button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs">
+        <label className="flex items-center space-x-1">
+          <input type="checkbox" checked={options.text} onChange={(e) => set({ text: e.target.checked })} />
+          <span>Transcripts, edit distance ≤</span>
+          <input
+            type="number"
+            step={0.05}
+            min={0}
+            max={0.5}
+            value={options.textThreshold}
+            onChange={(e) => set({ textThreshold: Number(e.target.value) })}
+            className={field}
+          />
+        </label>
+        <label className="flex items-center space-x-1">
+          <input type="checkbox" checked={options.audio} onChange={(e) => set({ audio: e.target.checked })} />
+          <span>Audio, fingerprint distance ≤</span>
+          <input
+            type="number"
+            step={0.05}
+            min={0}
+            max={0.5}
+            value={options.audioThreshold}
+            onChange={(e) => set({ audioThreshold: Number(e.target.value) })}
+            className={field}
+          />
+        </label>
+      </div>
+      {options.audio && (
+        <p className="text-[11px] text-gray-500 mt-1">
+          Audio is downloaded once per sample; fingerprints are cached on this device.
+        </p>
+      )}
+
+      <div className="flex items-center space-x-2 mt-2">
+        {progress ? (
+          <>
+            <span className="text-xs text-gray-600 animate-pulse">
+              {progress.label} {progress.total ? `${progress.done} / ${progress.total}` : ""}…
+            </span>
+            {options.audio && (
+              <button onClick={() => abort("scan")} className="text-xs text-red-600 hover:underline">
+                Stop
+              </button>
+            )}
+          </>
+        ) : (
+          <button
+            onClick={scan}
+            disabled={!rows.length || (!options.text && !options.audio)}
+            className="px-3 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:bg-gray-400"
+          >
+            🔍 Scan {rows.length} sample(s)
+          </button>
+        )}
+        {groups && !progress && (
+          <span className="text-xs text-gray-600">
+            {live.length ? `${live.length} group(s) · ${extras} extra sample(s)` : "✅ No duplicates found"}
+          </span>
+        )}
+      </div>
+      {notice && <p className="text-xs text-amber-700 mt-1">{notice}</p>}
+
+      {live.length > 0 && (
+        <>
+          <ul className="mt-2 max-h-[420px] overflow-y-auto space-y-2">
+            {live.slice(0, GROUP_LIMIT).map((i) => (
+              <DuplicateGroup
+                key={groups[i].keep}
+                group={groups[i]}
+                kept={keep[i]}
+                onKeep={(f) => setKeep((k) => ({ ...k, [i]: f }))}
+                textOf={textOf}
+                playing={playing}
+                onPlay={play}
+                onRemove={() => removeExtras([i])}
+              />
+            ))}
+            {live.length > GROUP_LIMIT && (
+              <li className="text-xs text-gray-500">…and {live.length - GROUP_LIMIT} more group(s)</li>
+            )}
+          </ul>
+          <div className="flex justify-end mt-2">
+            <button
+              onClick={() => removeExtras(live)}
+              className="px-3 py-1 bg-red-600 text-white rounded hover:bg-red-700"
+            >
+              🗑️ Keep one per group, trash {extras}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// 🧩 One group side by side: pick the keeper, play each, see why they matched
+function DuplicateGroup({ group, kept, onKeep, textOf, playing, onPlay, onRemove }) {
+  const reasons = (f) =>
+    group.pairs
+      .filter((p) => p.a === f || p.b === f)
+      .map((p) => `${p.kind === "text" ? "📝" : "🎧"} ${p.score === 0 ? "identical" : `${(p.score * 100).toFixed(0)}%`}`);
+  return (
+    <li className="border border-gray-200 rounded p-2">
+      <ul className="space-y-1">
+        {group.files.map((f) => (
+          <li key={f} className={`flex items-center space-x-2 ${f === kept ? "" : "opacity-70"}`}>
+            <input type="radio" checked={f === kept} onChange={() => onKeep(f)} title="Keep this one" />
+            <button onClick={() => onPlay(f)} className="shrink-0 hover:opacity-70">
+              {playing === f ? "⏹️" : "▶️"}
+            </button>
+            <div className="min-w-0 flex-1">
+              <div className="font-mono text-[11px] text-gray-500 truncate">{f}</div>
+              <div className="truncate">{textOf.get(f) || "—"}</div>
+            </div>
+            <span className="shrink-0 text-[10px] text-gray-500">{[...new Set(reasons(f))].join(" ")}</span>
+          </li>
+        ))}
+      </ul>
+      <div className="flex justify-end mt-1">
+        <button onClick={onRemove} className="text-xs text-red-600 hover:underline">
+          🗑️ Trash {group.files.length - 1} other(s)
+        </button>
+      </div>
+    </li>
+  );
+}
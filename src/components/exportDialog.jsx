@@ -0,0 +1,184 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  DEFAULT_EXPORT,
+  EXPORT_FORMATS,
+  SPLITS,
+  previewSplits,
+  buildDatasetExport,
+} from "../utils/datasetExport";
+import { downloadBlob, stampForFile } from "../utils/download";
+import { isAbortError } from "../utils/api";
+
+const SETTINGS_KEY = "mw_export_settings";
+
+const loadSettings = () => {
+  try {
+    return { ...DEFAULT_EXPORT, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}") };
+  } catch {
+    return { ...DEFAULT_EXPORT };
+  }
+};
+
+// 📦 Training export builder — format, split and scope, zipped in the browser
+//    scopes: { all, visible, selected } → arrays of dataset rows · reviews: for "approved only"
+export default function ExportDialog({ scopes, reviews, onToast, onClose }) {
+  const [opts, setOpts] = useState(loadSettings);
+  const [scope, setScope] = useState(scopes.selected.length ? "selected" : "all");
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [result, setResult] = useState(null); // { counts, skipped }
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(opts));
+  }, [opts]);
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const rows = scopes[scope] || [];
+  const preview = useMemo(() => previewSplits(rows, opts, { reviews }), [rows, opts, reviews]);
+  const sum = opts.train + opts.validation + opts.test;
+  const set = (patch) => setOpts((o) => ({ ...o, ...patch }));
+
+  const run = async () => {
+    abortRef.current?.abort();
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+    setResult(null);
+    setProgress({ done: 0, total: preview.usable });
+    try {
+      const out = await buildDatasetExport(rows, opts, {
+        signal: ctrl.signal,
+        reviews,
+        onProgress: ({ done, total }) => setProgress({ done, total }),
+      });
+      downloadBlob(out.blob, `MongolianWhisper_${opts.format}_${stampForFile()}.zip`);
+      setResult(out);
+      onToast?.("📦 Export ready");
+    } catch (err) {
+      if (isAbortError(err) || err.name === "AbortError") return onToast?.("⏹️ Export cancelled");
+      console.error("❌ export failed:", err);
+      onToast?.(`⚠️ Export failed: ${err.message}`);
+    } finally {
+      if (abortRef.current === ctrl) abortRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const field = "border border-gray-300 rounded px-2 py-1 text-sm bg-white";
+  const busy = Boolean(progress);
+
+  return (
+    <div className="w-full max-w-2xl bg-white rounded-lg shadow p-3 mb-3 text-left text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold text-purple-700">📦 Training export</h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-800">✖</button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        <label className="flex flex-col">
+          <span className="text-xs text-gray-600">Format</span>
+          <select value={opts.format} onChange={(e) => set({ format: e.target.value })} className={field}>
+            {Object.entries(EXPORT_FORMATS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col">
+          <span className="text-xs text-gray-600">Samples</span>
+          <select value={scope} onChange={(e) => setScope(e.target.value)} className={field}>
+            <option value="all">All ({scopes.all.length})</option>
+            <option value="visible">Current filter ({scopes.visible.length})</option>
+            <option value="selected" disabled={!scopes.selected.length}>
+              Selected ({scopes.selected.length})
+            </option>
+          </select>
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-2 mt-2">
+        {SPLITS.map((split) => (
+          <label key={split} className="flex flex-col w-24">
+            <span className="text-xs text-gray-600 capitalize">{split} %</span>
+            <input
+              type="number"
+              min={0}
+              max={100}
+              value={opts[split]}
+              onChange={(e) => set({ [split]: Math.max(0, Number(e.target.value) || 0) })}
+              className={field}
+            />
+          </label>
+        ))}
+        <label className="flex flex-col flex-1 min-w-[8rem]">
+          <span className="text-xs text-gray-600">Seed</span>
+          <input value={opts.seed} onChange={(e) => set({ seed: e.target.value })} className={field} />
+        </label>
+      </div>
+      <label className="flex items-center space-x-1 mt-2">
+        <input type="checkbox" checked={opts.bySpeaker} onChange={(e) => set({ bySpeaker: e.target.checked })} />
+        <span>Keep each speaker in a single split</span>
+      </label>
+      <label className="flex items-center space-x-1 mt-1">
+        <input type="checkbox" checked={opts.approvedOnly} onChange={(e) => set({ approvedOnly: e.target.checked })} />
+        <span>Only reviewer-approved samples</span>
+      </label>
+
+      <p className="text-xs text-gray-600 mt-2">
+        {sum === 0
+          ? "⚠️ Split percentages must add up to more than 0."
+          : SPLITS.map((s) => `${s}: ${preview.counts[s]}`).join(" · ")}
+        {preview.skippedEmpty > 0 && ` · ${preview.skippedEmpty} without text skipped`}
+        {preview.notApproved > 0 && ` · ${preview.notApproved} not approved skipped`}
+      </p>
+
+      {progress && (
+        <div className="mt-2">
+          <div className="h-1.5 bg-gray-200 rounded overflow-hidden">
+            <div
+              className="h-full bg-purple-500 transition-all"
+              style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 100}%` }}
+            />
+          </div>
+          <p className="text-xs text-gray-600 mt-1">⏳ Fetching audio {progress.done} / {progress.total}</p>
+        </div>
+      )}
+
+      {result && (
+        <div className="mt-2 text-xs">
+          <p className="text-green-700">
+            ✅ Exported {SPLITS.map((s) => `${result.counts[s]} ${s}`).join(", ")}
+          </p>
+          {result.skipped.length > 0 && (
+            <details className="text-amber-700 mt-1">
+              <summary>⚠️ {result.skipped.length} skipped</summary>
+              <ul className="max-h-[120px] overflow-y-auto">
+                {result.skipped.map((s) => (
+                  <li key={s.file_name}>
+                    <span className="font-mono">{s.file_name}</span>: {s.reason}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-2 mt-2">
+        {busy && (
+          <button
+            onClick={() => abortRef.current?.abort()}
+            className="px-3 py-1 bg-gray-500 text-white rounded hover:bg-gray-600"
+          >
+            ⏹️ Cancel
+          </button>
+        )}
+        <button
+          onClick={run}
+          disabled={busy || sum === 0 || !preview.usable}
+          className="px-3 py-1 bg-purple-600 text-white rounded hover:bg-purple-700 disabled:bg-gray-400"
+        >
+          {busy ? "⏳ Building..." : "📦 Build ZIP"}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+import React, { useMemo, useState } from "react";
+import { buildMatcher, previewReplace } from "../utils/findReplace";
+import { updateSample } from "../utils/api";
+import { runPool } from "../utils/concurrency";
+import { prepareForSave } from "../utils/mnText";
+import { useTextPolicy } from "./textPolicy";
+
+const PARALLEL_UPDATES = 4;
+const PREVIEW_LIMIT = 200; // rows rendered in the diff list (all are applied)
+
+// 🔁 Find & replace across transcripts with diff preview + batched apply
+//    rows: [{ file_name, text }] — the scope (selected or visible rows)
+export default function FindReplace({ rows, scopeLabel, onApplied, onClose }) {
+  const [find, setFind] = useState("");
+  const [replacement, setReplacement] = useState("");
+  const [regex, setRegex] = useState(false);
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [applying, setApplying] = useState(false);
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [failures, setFailures] = useState([]);
+  const [updated, setUpdated] = useState(0);
+  const textPolicy = useTextPolicy();
+
+  // 👀 Preview every affected transcript
+  //    saved: the result normalized per the text policy (what is actually stored) · remaining: unfixable issues
+  const { changes, error } = useMemo(() => {
+    try {
+      const re = buildMatcher({ find, regex, caseSensitive });
+      if (!re) return { changes: [], error: "" };
+      const out = [];
+      for (const r of rows) {
+        const p = previewReplace(r.text, re, replacement);
+        if (!p.changed) continue;
+        const { text: saved, changed, remaining } = prepareForSave(p.result, textPolicy);
+        if (saved === (r.text || "").trim()) continue; // normalized back to what is stored
+        out.push({ file_name: r.file_name, before: r.text, ...p, saved, normalized: changed, remaining });
+      }
+      return { changes: out, error: "" };
+    } catch (err) {
+      return { changes: [], error: err.message };
+    }
+  }, [rows, find, replacement, regex, caseSensitive, textPolicy]);
+
+  const apply = async (list = changes) => {
+    const valid = list.filter((c) => c.saved);
+    const empty = list.filter((c) => !c.saved);
+    if (!valid.length && !empty.length) return;
+    if (!window.confirm(`✏️ Update ${valid.length} transcript(s)?`)) return;
+
+    setApplying(true);
+    setFailures(empty.map((c) => ({ ...c, error: "Result would be empty — skipped" })));
+    setProgress({ done: 0, total: valid.length });
+
+    const results = await runPool(
+      valid,
+      PARALLEL_UPDATES,
+      async (c) => {
+        const data = await updateSample(c.file_name, c.saved);
+        if (data?.status !== "ok") throw new Error(data?.detail || "Update failed");
+        onApplied(c.file_name, c.saved);
+      },
+      { onProgress: ({ done, total }) => setProgress({ done, total }) }
+    );
+
+    setUpdated(results.filter((r) => r.ok).length);
+    setFailures((prev) => [
+      ...prev,
+      ...results
+        .map((r, i) => (r.ok ? null : { ...valid[i], error: r.error.message }))
+        .filter(Boolean),
+    ]);
+    setApplying(false);
+  };
+
+  const field = "border border-gray-300 rounded px-2 py-1 text-sm bg-white";
+
+  return (
+    <div className="w-full max-w-2xl bg-white rounded-lg shadow p-3 mb-3 text-left text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold text-indigo-700">🔁 Find & replace — {scopeLabel}</h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-800">✖</button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        <input placeholder="Find…" value={find} onChange={(e) => setFind(e.target.value)} className={field} />
+        <input
+          placeholder="Replace with… ($1, $& allowed)"
+          value={replacement}
+          onChange={(e) => setReplacement(e.target.value)}
+          className={field}
+        />
+      </div>
+      <div className="flex items-center space-x-4 mt-2">
+        <label className="flex items-center space-x-1">
+          <input type="checkbox" checked={regex} onChange={(e) => setRegex(e.target.checked)} />
+          <span>Regex</span>
+        </label>
+        <label className="flex items-center space-x-1">
+          <input type="checkbox" checked={caseSensitive} onChange={(e) => setCaseSensitive(e.target.checked)} />
+          <span>Match case</span>
+        </label>
+        <span className="text-gray-500">{find && !error ? `${changes.length} affected` : ""}</span>
+      </div>
+      {error && <p className="text-red-600 text-xs mt-1">⚠️ {error}</p>}
+
+      {changes.length > 0 && (
+        <ul className="mt-2 max-h-[260px] overflow-y-auto divide-y divide-gray-100 border rounded">
+          {changes.slice(0, PREVIEW_LIMIT).map((c) => (
+            <li key={c.file_name} className="p-1">
+              <div className="font-mono text-[11px] text-gray-500">{c.file_name}</div>
+              <DiffLine segments={c.segments} />
+              {(c.normalized || c.remaining.length > 0) && (
+                <div className="text-[11px] text-gray-500">
+                  {c.normalized && <>✨ Saved as: {c.saved}</>}
+                  {c.remaining.length > 0 && (
+                    <span className="text-amber-700"> ⚠️ {c.remaining.map((i) => i.message).join(" · ")}</span>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+          {changes.length > PREVIEW_LIMIT && (
+            <li className="p-1 text-xs text-gray-500">…and {changes.length - PREVIEW_LIMIT} more</li>
+          )}
+        </ul>
+      )}
+
+      {progress && (
+        <div className="mt-2">
+          <div className="h-1.5 bg-gray-200 rounded overflow-hidden">
+            <div
+              className="h-full bg-green-500 transition-all"
+              style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 100}%` }}
+            />
+          </div>
+          <p className="text-xs text-gray-600 mt-1">
+            {applying ? `⏳ ${progress.done} / ${progress.total}` : `✅ ${updated} updated`}
+            {failures.length > 0 && ` · ⚠️ ${failures.length} failed`}
+          </p>
+        </div>
+      )}
+
+      {failures.length > 0 && !applying && (
+        <ul className="mt-1 text-xs text-red-700 space-y-0.5">
+          {failures.map((f) => (
+            <li key={f.file_name}>
+              <span className="font-mono">{f.file_name}</span>: {f.error}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex justify-end space-x-2 mt-2">
+        {failures.some((f) => f.saved) && !applying && (
+          <button
+            onClick={() => apply(failures.filter((f) => f.saved))}
+            className="px-3 py-1 bg-amber-600 text-white rounded hover:bg-amber-700"
+          >
+            🔁 Retry failed
+          </button>
+        )}
+        <button
+          onClick={() => apply()}
+          disabled={applying || !changes.length}
+          className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 disabled:bg-gray-400"
+        >
+          {applying ? "⏳ Applying..." : `✔ Apply to ${changes.length}`}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// 🟥🟩 Inline diff: deletions struck through, insertions highlighted
+function DiffLine({ segments }) {
+  return (
+    <p className="whitespace-pre-wrap break-words">
+      {segments.map((seg, i) =>
+        seg.type === "del" ? (
+          <del key={i} className="bg-red-100 text-red-700">{seg.text}</del>
+        ) : seg.type === "ins" ? (
+          <ins key={i} className="bg-green-100 text-green-800 no-underline">{seg.text}</ins>
+        ) : (
+          <span key={i}>{seg.text}</span>
+        )
+      )}
+    </p>
+  );
+}
@@ -0,0 +1,203 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { listHistory, searchHistory, deleteHistoryEntry } from "../utils/history";
+import { saveTake } from "../utils/saveTake";
+import { downloadCSV, downloadJSON, downloadText, stampForFile } from "../utils/download";
+import { useSpeakers } from "./speakerPicker";
+import { useTextPolicy } from "./textPolicy";
+
+const fmtDate = (ts) => new Date(ts).toLocaleString();
+const fmtDur = (s) => (s == null ? "—" : `${s.toFixed(1)}s`);
+
+// 🕘 Local transcription history: search, replay, copy, export, promote
+export default function HistoryPanel() {
+  const [entries, setEntries] = useState([]);
+  const [query, setQuery] = useState("");
+  const [selected, setSelected] = useState(() => new Set());
+  const [playingId, setPlayingId] = useState(null);
+  const [open, setOpen] = useState(false);
+  const audioRef = useRef(null);
+  const { active: speaker } = useSpeakers();
+  const textPolicy = useTextPolicy();
+
+  const refresh = async () => setEntries(await listHistory());
+
+  useEffect(() => {
+    refresh();
+    window.addEventListener("history-updated", refresh);
+    return () => {
+      window.removeEventListener("history-updated", refresh);
+      audioRef.current?.pause();
+    };
+  }, []);
+
+  const visible = useMemo(() => searchHistory(entries, query), [entries, query]);
+  const chosen = entries.filter((e) => selected.has(e.id));
+
+  const toggle = (id) =>
+    setSelected((prev) => {
+      const next = new Set(prev);
+      next.has(id) ? next.delete(id) : next.add(id);
+      return next;
+    });
+
+  const toggleAll = () =>
+    setSelected(
+      visible.every((e) => selected.has(e.id)) ? new Set() : new Set(visible.map((e) => e.id))
+    );
+
+  // ▶️ Replay stored audio
+  const play = (entry) => {
+    audioRef.current?.pause();
+    if (playingId === entry.id) return setPlayingId(null);
+    const url = URL.createObjectURL(entry.blob);
+    const audio = new Audio(url);
+    audio.playsInline = true;
+    audio.onended = () => {
+      setPlayingId(null);
+      URL.revokeObjectURL(url);
+    };
+    audioRef.current = audio;
+    audio.play().then(() => setPlayingId(entry.id)).catch(() => setPlayingId(null));
+  };
+
+  const copy = async (entry) => {
+    try {
+      await navigator.clipboard.writeText(entry.text);
+    } catch {
+      window.prompt("Copy text:", entry.text);
+    }
+  };
+
+  const remove = async (entry) => {
+    if (!window.confirm("🗑️ Delete this history entry?")) return;
+    await deleteHistoryEntry(entry.id);
+    setSelected((prev) => {
+      const next = new Set(prev);
+      next.delete(entry.id);
+      return next;
+    });
+  };
+
+  // 💾 Promote into the dataset (text can be corrected first) — same rules as a fresh take
+  const promote = async (entry) => {
+    const text = window.prompt("Text to save with this recording:", entry.text);
+    if (text == null || !text.trim()) return;
+    try {
+      const res = await saveTake({
+        blob: entry.blob,
+        raw: entry.raw,
+        range: "auto",
+        text,
+        speaker,
+        policy: textPolicy,
+        source: "history",
+        device: entry.device,
+      });
+      if (res.status === "cancelled") return res.reason && alert(res.reason);
+      alert(res.status === "uploaded" ? "✅ Added to dataset" : "📥 Saved offline — will upload later");
+    } catch (err) {
+      console.error("❌ promote failed:", err);
+      alert("Failed to save to dataset.");
+    }
+  };
+
+  // ⬇️ Export selected entries (metadata + text; audio stays local)
+  const rowsForExport = () =>
+    chosen.map((e) => ({
+      id: e.id,
+      created_at: new Date(e.createdAt).toISOString(),
+      device: e.device,
+      duration: e.duration,
+      text: e.text,
+    }));
+
+  const exportAs = (fmt) => {
+    const name = `history_${stampForFile()}`;
+    if (fmt === "json") return downloadJSON(rowsForExport(), `${name}.json`);
+    if (fmt === "csv")
+      return downloadCSV(rowsForExport(), ["id", "created_at", "device", "duration", "text"], `${name}.csv`);
+    downloadText(chosen.map((e) => `[${fmtDate(e.createdAt)}] ${e.text}`).join("\n"), `${name}.txt`);
+  };
+
+  return (
+    <div className="w-full max-w-md mt-6">
+      <button
+        onClick={() => setOpen(!open)}
+        className="text-lg font-semibold text-indigo-700 hover:underline"
+      >
+        🕘 History ({entries.length}) {open ? "▴" : "▾"}
+      </button>
+
+      {open && (
+        <div className="bg-white rounded-lg shadow p-3 mt-2 text-left">
+          <input
+            type="search"
+            placeholder="🔍 Search transcripts…"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            className="w-full p-2 rounded-lg border border-blue-300 focus:ring focus:ring-blue-200 text-sm"
+          />
+
+          <div className="flex items-center justify-between mt-2 text-xs">
+            <label className="flex items-center space-x-1">
+              <input
+                type="checkbox"
+                checked={visible.length > 0 && visible.every((e) => selected.has(e.id))}
+                onChange={toggleAll}
+              />
+              <span>Select all ({chosen.length})</span>
+            </label>
+            <div className="space-x-1">
+              {["txt", "json", "csv"].map((fmt) => (
+                <button
+                  key={fmt}
+                  onClick={() => exportAs(fmt)}
+                  disabled={!chosen.length}
+                  className="px-2 py-0.5 bg-purple-600 text-white rounded hover:bg-purple-700 disabled:bg-gray-400"
+                >
+                  ⬇️ {fmt.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <ul className="mt-2 max-h-[360px] overflow-y-auto divide-y divide-gray-200">
+            {visible.length === 0 && (
+              <li className="text-sm text-gray-500 py-2">
+                {entries.length ? "No matches." : "No transcriptions yet."}
+              </li>
+            )}
+            {visible.map((e) => (
+              <li key={e.id} className="py-2 text-sm">
+                <div className="flex items-start space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={selected.has(e.id)}
+                    onChange={() => toggle(e.id)}
+                    className="mt-1"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p className="text-gray-800 whitespace-pre-wrap break-words">{e.text || "—"}</p>
+                    <p className="text-[11px] text-gray-500 mt-0.5">
+                      {fmtDate(e.createdAt)} · {e.device} · {fmtDur(e.duration)}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex justify-end space-x-2 mt-1 text-xs">
+                  <button onClick={() => play(e)} disabled={!e.blob} className="hover:opacity-70">
+                    {playingId === e.id ? "⏹️ Stop" : "▶️ Play"}
+                  </button>
+                  <button onClick={() => copy(e)} className="hover:opacity-70">📋 Copy</button>
+                  <button onClick={() => promote(e)} disabled={!e.blob} className="text-green-700 hover:opacity-70">
+                    💾 To dataset
+                  </button>
+                  <button onClick={() => remove(e)} className="text-red-600 hover:opacity-70">🗑️</button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
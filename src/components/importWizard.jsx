@@ -0,0 +1,343 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  collectImportFiles,
+  findManifests,
+  parseManifest,
+  guessMapping,
+  validateImport,
+  importProblem,
+  runImport,
+} from "../utils/datasetImport";
+import { listSamples, isAbortError } from "../utils/api";
+import { useTextPolicy } from "./textPolicy";
+import { useSpeakers } from "./speakerPicker";
+
+const PREVIEW_LIMIT = 200;
+
+const STATUS_ICON = { exists: "⏭️", uploading: "⏳", done: "✅", failed: "❌" };
+
+// 📥 Import wizard — pick ZIP/folder → map columns → validate → upload
+export default function ImportWizard({ onToast, onImported, onClose }) {
+  const [files, setFiles] = useState(null); // [{ path, size, blob() }]
+  const [manifestPath, setManifestPath] = useState("");
+  const [manifest, setManifest] = useState(null);
+  const [header, setHeader] = useState(undefined); // undefined = auto-detect
+  const [mapping, setMapping] = useState({ audio: "", text: "", speaker: "" });
+  const [existing, setExisting] = useState(new Set());
+  const [rows, setRows] = useState([]);
+  const [convert, setConvert] = useState(true);
+  const [consent, setConsent] = useState(false); // 👥 corpus speakers consented
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState("");
+  const [reading, setReading] = useState(false);
+  const zipRef = useRef(null);
+  const dirRef = useRef(null);
+  const abortRef = useRef(null);
+  const textPolicy = useTextPolicy();
+  const { active: speaker } = useSpeakers();
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const manifests = useMemo(() => (files ? findManifests(files) : []), [files]);
+
+  // 📂 Step 1 — read the picked archive / folder
+  const pick = async (fileList) => {
+    if (!fileList?.length) return;
+    setError("");
+    setSummary(null);
+    setReading(true);
+    try {
+      const all = await collectImportFiles([...fileList]);
+      const found = findManifests(all);
+      if (!found.length) throw new Error("No metadata.csv / .jsonl found next to the audio.");
+      setFiles(all);
+      setHeader(undefined);
+      setManifestPath(found[0].path);
+      // 🔁 Names already on the server are skipped (this is what makes imports resumable)
+      const data = await listSamples().catch(() => null);
+      setExisting(new Set((data?.samples || []).map((s) => s.file_name.replace(/^.*\//, ""))));
+    } catch (err) {
+      console.error("❌ import read failed:", err);
+      setError(err.message);
+    } finally {
+      setReading(false);
+    }
+  };
+
+  // 🧾 Step 2 — parse the chosen manifest
+  useEffect(() => {
+    if (!files || !manifestPath) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const entry = files.find((f) => f.path === manifestPath);
+        const text = await (await entry.blob()).text();
+        const parsed = parseManifest(text, manifestPath, { header });
+        if (cancelled) return;
+        setManifest(parsed);
+        setMapping(guessMapping(parsed.columns));
+        setError("");
+      } catch (err) {
+        if (cancelled) return;
+        setError(err.message);
+        setManifest(null);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [files, manifestPath, header]);
+
+  // ✅ Revalidate whenever the mapping (or the text policy) changes
+  useEffect(() => {
+    if (!manifest) return setRows([]);
+    setRows(validateImport(manifest, files, manifestPath, mapping, existing, textPolicy));
+  }, [manifest, files, manifestPath, mapping, existing, textPolicy]);
+
+  const counts = useMemo(() => {
+    const c = { valid: 0, invalid: 0, exists: 0, done: 0, failed: 0, issues: 0 };
+    rows.forEach((r) => {
+      if (!r.error && r.issues.length) c.issues++;
+      if (r.error) c.invalid++;
+      else if (r.status === "exists") c.exists++;
+      else c.valid++;
+      if (r.status === "done") c.done++;
+      if (r.status === "failed") c.failed++;
+    });
+    return c;
+  }, [rows]);
+
+  const patchRow = (row, patch) =>
+    setRows((prev) => prev.map((r) => (r.line === row.line ? { ...r, ...patch } : r)));
+
+  // ⬆️ Step 3 — upload (also used to resume after cancel / failures)
+  const start = async () => {
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+    const pending = rows.filter((r) => !r.error && r.status !== "exists" && r.status !== "done");
+    setProgress({ done: 0, total: pending.length });
+    setSummary(null);
+    try {
+      const result = await runImport(rows, {
+        convert,
+        speaker,
+        consent,
+        signal: ctrl.signal,
+        onRow: patchRow,
+        onProgress: setProgress,
+      });
+      setSummary({ ...result, cancelled: ctrl.signal.aborted });
+      if (result.uploaded) onImported?.();
+      onToast?.(`📥 Imported ${result.uploaded}${result.failed ? `, ${result.failed} failed` : ""}`);
+    } catch (err) {
+      if (!isAbortError(err)) setError(err.message);
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+      setRows((prev) => prev.map((r) => (r.status === "uploading" ? { ...r, status: "" } : r)));
+    }
+  };
+
+  const field = "border border-gray-300 rounded px-2 py-1 text-sm bg-white";
+  const busy = Boolean(progress);
+  const remaining = counts.valid - counts.done;
+  const problem = rows.length ? importProblem(rows, { speaker, consent }) : null;
+  const ownSpeakers = rows.some((r) => !r.error && r.speaker_id);
+
+  return (
+    <div className="w-full max-w-2xl bg-white rounded-lg shadow p-3 mb-3 text-left text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold text-teal-700">📥 Import dataset</h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-800">✖</button>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => zipRef.current?.click()}
+          disabled={busy || reading}
+          className="px-3 py-1 bg-teal-600 text-white rounded hover:bg-teal-700 disabled:bg-gray-400"
+        >
+          🗜️ Choose ZIP
+        </button>
+        <button
+          onClick={() => dirRef.current?.click()}
+          disabled={busy || reading}
+          className="px-3 py-1 bg-teal-600 text-white rounded hover:bg-teal-700 disabled:bg-gray-400"
+        >
+          📁 Choose folder
+        </button>
+        <input
+          ref={zipRef}
+          type="file"
+          accept=".zip,application/zip"
+          className="hidden"
+          onChange={(e) => {
+            pick(e.target.files);
+            e.target.value = "";
+          }}
+        />
+        <input
+          ref={dirRef}
+          type="file"
+          webkitdirectory=""
+          directory=""
+          multiple
+          className="hidden"
+          onChange={(e) => {
+            pick(e.target.files);
+            e.target.value = "";
+          }}
+        />
+        {reading && <span className="text-gray-500 self-center">⏳ Reading…</span>}
+      </div>
+      <p className="text-[11px] text-gray-500 mt-1">
+        Audio files plus a manifest: LJSpeech <code>metadata.csv</code> (id|text), CSV/TSV with a header, or
+        JSON lines (<code>file_name</code>/<code>audio_filepath</code> + <code>text</code>).
+      </p>
+
+      {error && <p className="text-red-600 text-xs mt-1">⚠️ {error}</p>}
+
+      {files && manifests.length > 0 && (
+        <div className="grid grid-cols-1 sm:grid-cols-4 gap-2 mt-2">
+          <label className="flex flex-col">
+            <span className="text-xs text-gray-600">Manifest</span>
+            <select
+              value={manifestPath}
+              onChange={(e) => setManifestPath(e.target.value)}
+              disabled={busy}
+              className={field}
+            >
+              {manifests.map((m) => (
+                <option key={m.path} value={m.path}>{m.path}</option>
+              ))}
+            </select>
+          </label>
+          {[
+            ["audio", "Audio column"],
+            ["text", "Text column"],
+            ["speaker", "Speaker column"],
+          ].map(([key, label]) => (
+            <label key={key} className="flex flex-col">
+              <span className="text-xs text-gray-600">{label}</span>
+              <select
+                value={mapping[key]}
+                onChange={(e) => setMapping((m) => ({ ...m, [key]: e.target.value }))}
+                disabled={busy || !manifest}
+                className={field}
+              >
+                {key === "speaker" && <option value="">— from file name —</option>}
+                {(manifest?.columns || []).map((c) => (
+                  <option key={c} value={c}>{c}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+      )}
+
+      {manifest && (
+        <>
+          <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mt-2">
+            {!manifest.json && (
+              <label className="flex items-center space-x-1">
+                <input
+                  type="checkbox"
+                  checked={manifest.hasHeader}
+                  onChange={(e) => setHeader(e.target.checked)}
+                  disabled={busy}
+                />
+                <span>First row is a header</span>
+              </label>
+            )}
+            <label className="flex items-center space-x-1">
+              <input type="checkbox" checked={convert} onChange={(e) => setConvert(e.target.checked)} disabled={busy} />
+              <span>Convert to 16 kHz mono WAV</span>
+            </label>
+            {ownSpeakers && (
+              <label className="flex items-center space-x-1">
+                <input type="checkbox" checked={consent} onChange={(e) => setConsent(e.target.checked)} disabled={busy} />
+                <span>The corpus speakers consented to recording</span>
+              </label>
+            )}
+          </div>
+
+          <p className="text-xs text-gray-600 mt-2">
+            {counts.valid} ready · {counts.exists} already in dataset · {counts.invalid} with errors
+            {counts.issues > 0 && ` · ⚠️ ${counts.issues} with text issues (imported as-is)`}
+          </p>
+
+          <ul className="mt-1 max-h-[260px] overflow-y-auto divide-y divide-gray-100 border rounded">
+            {rows.slice(0, PREVIEW_LIMIT).map((r) => (
+              <li key={r.line} className={`p-1 flex items-start space-x-2 ${r.error ? "bg-red-50" : ""}`}>
+                <span className="text-[11px] text-gray-400 w-8 shrink-0 text-right">{r.line}</span>
+                <span className="w-4 shrink-0">{r.error ? "⚠️" : STATUS_ICON[r.status] || ""}</span>
+                <div className="min-w-0">
+                  <div className="font-mono text-[11px] text-gray-500 truncate">
+                    {r.name || r.audioPath || "—"}
+                    {!r.error && ` · 👤 ${r.speaker_id || speaker?.id || "?"}`}
+                  </div>
+                  <div className="truncate">{r.text || <span className="text-gray-400">—</span>}</div>
+                  {(r.error || r.message) && <div className="text-[11px] text-red-700">{r.error || r.message}</div>}
+                  {!r.error && r.issues.length > 0 && (
+                    <div className="text-[11px] text-amber-700">⚠️ {r.issues.join(" · ")}</div>
+                  )}
+                </div>
+              </li>
+            ))}
+            {rows.length > PREVIEW_LIMIT && (
+              <li className="p-1 text-xs text-gray-500">…and {rows.length - PREVIEW_LIMIT} more</li>
+            )}
+          </ul>
+        </>
+      )}
+
+      {progress && (
+        <div className="mt-2">
+          <div className="h-1.5 bg-gray-200 rounded overflow-hidden">
+            <div
+              className="h-full bg-teal-500 transition-all"
+              style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 100}%` }}
+            />
+          </div>
+          <p className="text-xs text-gray-600 mt-1">⏳ Uploading {progress.done} / {progress.total}</p>
+        </div>
+      )}
+
+      {summary && (
+        <p className="text-xs mt-2 text-gray-700">
+          {summary.cancelled ? "⏹️ Import paused" : "✅ Import finished"} — {summary.uploaded} uploaded
+          {summary.failed > 0 && `, ${summary.failed} failed`}, {summary.skipped} skipped
+        </p>
+      )}
+
+      {manifest && problem && remaining > 0 && !busy && (
+        <p className="text-xs text-amber-700 mt-2">👥 {problem}</p>
+      )}
+
+      {manifest && (
+        <div className="flex justify-end space-x-2 mt-2">
+          {busy && (
+            <button
+              onClick={() => abortRef.current?.abort()}
+              className="px-3 py-1 bg-gray-500 text-white rounded hover:bg-gray-600"
+            >
+              ⏸️ Pause
+            </button>
+          )}
+          <button
+            onClick={start}
+            disabled={busy || remaining <= 0 || Boolean(problem)}
+            className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 disabled:bg-gray-400"
+          >
+            {busy
+              ? "⏳ Importing..."
+              : counts.done || counts.failed
+              ? `▶️ Resume (${remaining})`
+              : `⬆️ Import ${remaining}`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
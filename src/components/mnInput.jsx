@@ -0,0 +1,247 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useLayoutEffect, useMemo, useRef, useState } from "react";
+import {
+  DEFAULT_MAP,
+  getTranslitSettings,
+  saveTranslitSettings,
+  buildMap,
+  compileRules,
+  applyKeystroke,
+  transliterate,
+  formatMapping,
+  parseMapping,
+} from "../utils/translit";
+
+// ⌨️ Mongolian Cyrillic layout (ФЦУЖ…), compact
+const KEY_ROWS = ["фцужэнгшүзкъ", "йыбөахролдпе", "ячёсмитьвющ"];
+const KEYBOARD_WIDTH = 340;
+const LATIN = /[A-Za-z'öüÖÜ]/;
+
+// 🔁 Transliteration settings, shared by every input on the page
+export function useTranslit() {
+  const [settings, setSettings] = useState(getTranslitSettings);
+  useEffect(() => {
+    const onChange = () => setSettings(getTranslitSettings());
+    window.addEventListener("translit-changed", onChange);
+    return () => window.removeEventListener("translit-changed", onChange);
+  }, []);
+  const update = (patch) => saveTranslitSettings({ ...settings, ...patch });
+  return [settings, update];
+}
+
+// 🇲🇳 Text input with live Latin → Cyrillic transliteration + on-screen keyboard
+//    Drop-in for <input type="text">: value/onChange(string), other props pass through
+const MnInput = forwardRef(function MnInput(
+  { value, onChange, readOnly = false, disabled = false, controlsClassName = "", ...rest },
+  ref
+) {
+  const inputRef = useRef(null);
+  const caretRef = useRef(null); // caret to restore after a rewritten value
+  const composingRef = useRef(null); // value when an IME composition started (Gboard composes plain typing)
+  const [settings, updateSettings] = useTranslit();
+  const [keyboard, setKeyboard] = useState(false);
+  const compiled = useMemo(() => compileRules(buildMap(settings.custom)), [settings.custom]);
+  const editable = !readOnly && !disabled;
+
+  useImperativeHandle(ref, () => inputRef.current);
+
+  useLayoutEffect(() => {
+    const el = inputRef.current;
+    if (caretRef.current == null || !el) return;
+    el.setSelectionRange(caretRef.current, caretRef.current);
+    caretRef.current = null;
+  }, [value]);
+
+  useEffect(() => {
+    if (!editable) setKeyboard(false);
+  }, [editable]);
+
+  // ✍️ Transliterate whatever was just typed or pasted (found by diffing old/new value)
+  const rewrite = (prev, next) => {
+    let p = 0;
+    while (p < prev.length && p < next.length && prev[p] === next[p]) p++;
+    let s = 0;
+    while (s < prev.length - p && s < next.length - p && prev[prev.length - 1 - s] === next[next.length - 1 - s]) s++;
+    const inserted = next.slice(p, next.length - s);
+    if (!inserted || !LATIN.test(inserted)) return onChange(next);
+
+    let before = next.slice(0, p);
+    const after = next.slice(next.length - s);
+    if (inserted.length === 1) {
+      const r = applyKeystroke(before, inserted, compiled);
+      before = r.before + r.inserted;
+    } else before += transliterate(inserted, compiled.map);
+    caretRef.current = before.length;
+    onChange(before + after);
+  };
+
+  const handleChange = (e) => {
+    const next = e.target.value;
+    if (!settings.enabled || composingRef.current != null) return onChange(next);
+    rewrite(value || "", next);
+  };
+
+  // 📱 Composed text is raw until the composition ends — then diff against the value it started from
+  const handleCompositionEnd = (e) => {
+    const base = composingRef.current;
+    composingRef.current = null;
+    if (settings.enabled && base != null) rewrite(base, e.currentTarget.value);
+  };
+
+  // 🖱️ On-screen keys insert at the caret
+  const insertAtCaret = (text, { deleteBack = false } = {}) => {
+    const el = inputRef.current;
+    const v = value || "";
+    let start = el?.selectionStart ?? v.length;
+    const end = el?.selectionEnd ?? start;
+    if (deleteBack && start === end) start = Math.max(0, start - 1);
+    caretRef.current = start + text.length;
+    onChange(v.slice(0, start) + text + v.slice(end));
+    el?.focus();
+  };
+
+  const keepFocus = (e) => e.preventDefault();
+
+  return (
+    <>
+      <input
+        {...rest}
+        ref={inputRef}
+        type="text"
+        value={value}
+        readOnly={readOnly}
+        disabled={disabled}
+        onChange={handleChange}
+        onCompositionStart={() => (composingRef.current = value || "")}
+        onCompositionEnd={handleCompositionEnd}
+      />
+      {editable && (
+        <span className={`flex items-center space-x-1 shrink-0 text-xs ${controlsClassName}`}>
+          <button
+            type="button"
+            onMouseDown={keepFocus}
+            onClick={() => updateSettings({ enabled: !settings.enabled })}
+            className={`px-1 rounded border ${
+              settings.enabled ? "bg-indigo-600 text-white border-indigo-600" : "bg-white text-gray-600 border-gray-300"
+            }`}
+            title={settings.enabled ? "Latin → Cyrillic is on (sh → ш, q → ө, w → ү)" : "Type Latin as Cyrillic"}
+          >
+            {settings.enabled ? "Lat→Кир" : "Кир"}
+          </button>
+          <button
+            type="button"
+            onMouseDown={keepFocus}
+            onClick={() => setKeyboard((v) => !v)}
+            className={`hover:opacity-70 ${keyboard ? "opacity-100" : "opacity-60"}`}
+            title="On-screen Mongolian keyboard"
+          >
+            ⌨️
+          </button>
+        </span>
+      )}
+      {keyboard && editable && (
+        <OnScreenKeyboard
+          anchor={inputRef}
+          onKey={insertAtCaret}
+          onClose={() => setKeyboard(false)}
+          custom={settings.custom}
+          onCustom={(custom) => updateSettings({ custom })}
+        />
+      )}
+    </>
+  );
+});
+
+export default MnInput;
+
+// ⌨️ Floating Mongolian keyboard, anchored under (or above) the input
+function OnScreenKeyboard({ anchor, onKey, onClose, custom, onCustom }) {
+  const [shift, setShift] = useState(false);
+  const [pos, setPos] = useState(null);
+  const [showMapping, setShowMapping] = useState(false);
+  const [mapping, setMapping] = useState(() => formatMapping(custom));
+
+  useLayoutEffect(() => {
+    const place = () => {
+      const r = anchor.current?.getBoundingClientRect();
+      if (!r) return;
+      const left = Math.max(4, Math.min(r.left, window.innerWidth - KEYBOARD_WIDTH - 4));
+      const below = r.bottom + 4;
+      setPos(below + 180 > window.innerHeight ? { left, bottom: window.innerHeight - r.top + 4 } : { left, top: below });
+    };
+    place();
+    window.addEventListener("resize", place);
+    window.addEventListener("scroll", place, true);
+    return () => {
+      window.removeEventListener("resize", place);
+      window.removeEventListener("scroll", place, true);
+    };
+  }, []);
+
+  if (!pos) return null;
+  const keepFocus = (e) => e.preventDefault();
+  const key = "min-w-[24px] h-7 px-1 rounded bg-white border border-gray-300 hover:bg-indigo-50 active:scale-95";
+
+  const press = (c) => {
+    onKey(shift ? c.toLocaleUpperCase("mn") : c);
+    setShift(false);
+  };
+
+  return (
+    <div
+      className="fixed z-50 bg-gray-100 border border-gray-300 rounded-lg shadow-lg p-1.5 text-sm"
+      style={{ ...pos, width: KEYBOARD_WIDTH }}
+      onMouseDown={(e) => e.target.tagName !== "TEXTAREA" && keepFocus(e)}
+    >
+      {KEY_ROWS.map((row) => (
+        <div key={row} className="flex justify-center gap-0.5 mb-0.5">
+          {[...row].map((c) => (
+            <button key={c} type="button" onClick={() => press(c)} className={key}>
+              {shift ? c.toLocaleUpperCase("mn") : c}
+            </button>
+          ))}
+        </div>
+      ))}
+      <div className="flex justify-center gap-0.5">
+        <button
+          type="button"
+          onClick={() => setShift((v) => !v)}
+          className={`${key} ${shift ? "bg-indigo-100 border-indigo-400" : ""}`}
+          title="Shift"
+        >
+          ⇧
+        </button>
+        <button type="button" onClick={() => onKey(",")} className={key}>,</button>
+        <button type="button" onClick={() => onKey(" ")} className={`${key} flex-1`}>space</button>
+        <button type="button" onClick={() => onKey(".")} className={key}>.</button>
+        <button type="button" onClick={() => onKey("", { deleteBack: true })} className={key} title="Backspace">
+          ⌫
+        </button>
+        <button type="button" onClick={onClose} className={key} title="Hide keyboard">✖</button>
+      </div>
+      <div className="mt-1 text-[11px] text-left">
+        <button type="button" onClick={() => setShowMapping((v) => !v)} className="text-indigo-700 hover:underline">
+          🔤 Transliteration mapping
+        </button>
+        {showMapping && (
+          <div className="mt-1">
+            <textarea
+              value={mapping}
+              onChange={(e) => setMapping(e.target.value)}
+              onBlur={() => onCustom(parseMapping(mapping))}
+              rows={3}
+              placeholder={"One override per line, e.g.\nh=һ\nx=  (empty removes a default)"}
+              className="w-full border border-gray-300 rounded p-1 font-mono text-[11px]"
+            />
+            <p className="text-gray-500 break-words">
+              Defaults:{" "}
+              {Object.entries(DEFAULT_MAP)
+                .filter(([k]) => k.length > 1 || /[qwöü]/.test(k))
+                .map(([k, v]) => `${k}→${v}`)
+                .join(" ")}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+import React, { useEffect, useState } from "react";
+import {
+  listPending,
+  flushQueue,
+  discardUpload,
+  startAutoRetry,
+} from "../utils/uploadQueue";
+
+// 📥 "N pending uploads" indicator with manual retry / discard
+export default function PendingUploads() {
+  const [pending, setPending] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [retrying, setRetrying] = useState(false);
+
+  const refresh = async () => setPending(await listPending());
+
+  useEffect(() => {
+    refresh();
+    const stop = startAutoRetry();
+    window.addEventListener("upload-queue-changed", refresh);
+    return () => {
+      stop();
+      window.removeEventListener("upload-queue-changed", refresh);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (pending.length === 0) setOpen(false);
+  }, [pending.length]);
+
+  const retry = async (id = null) => {
+    setRetrying(true);
+    try {
+      await flushQueue({ id });
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  const discard = async (op) => {
+    const ok = window.confirm(
+      `⚠️ Discard the pending upload "${op.fileName || "recording"}"?\nThe recorded audio will be lost.`
+    );
+    if (ok) await discardUpload(op.id);
+  };
+
+  if (pending.length === 0) return null;
+
+  return (
+    <div className="w-full max-w-2xl mt-4 px-4">
+      <div className="bg-amber-50 border border-amber-300 rounded-lg shadow-sm p-2 text-sm text-amber-800">
+        <div className="flex items-center justify-between">
+          <button onClick={() => setOpen(!open)} className="font-medium hover:underline">
+            📥 {pending.length} pending upload{pending.length > 1 ? "s" : ""}
+          </button>
+          <button
+            onClick={() => retry()}
+            disabled={retrying}
+            className={`px-3 py-1 rounded-md text-white text-xs ${
+              retrying ? "bg-gray-400 cursor-not-allowed" : "bg-amber-600 hover:bg-amber-700 active:scale-95"
+            }`}
+          >
+            {retrying ? "⏳ Retrying..." : "🔁 Retry all"}
+          </button>
+        </div>
+
+        {open && (
+          <ul className="mt-2 space-y-1 text-left">
+            {pending.map((op) => (
+              <li key={op.id} className="flex items-center justify-between border-t border-amber-200 pt-1">
+                <div className="truncate mr-2">
+                  <span className="font-mono text-xs">{op.fileName}</span>
+                  <span className="ml-2 text-xs opacity-70">
+                    {op.kind === "update_audio" ? "🎤 re-record" : "➕ add"} ·{" "}
+                    {new Date(op.createdAt).toLocaleTimeString()}
+                  </span>
+                  {op.lastError && (
+                    <div className="text-[11px] text-red-600 truncate" title={op.lastError}>
+                      {op.blocked ? "⛔ " : "⚠️ "}
+                      {op.lastError}
+                    </div>
+                  )}
+                </div>
+                <div className="flex space-x-1 shrink-0">
+                  <button onClick={() => retry(op.id)} disabled={retrying} title="Retry" className="px-1 hover:opacity-70">
+                    🔁
+                  </button>
+                  <button onClick={() => discard(op)} title="Discard" className="px-1 hover:opacity-70">
+                    🗑️
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+import React, { useEffect, useState } from "react";
+import {
+  assessQuality,
+  getQualityRules,
+  saveQualityRules,
+  DEFAULT_RULES,
+  CHECKS,
+} from "../utils/quality";
+
+const STYLES = {
+  ok: "bg-green-100 text-green-800",
+  warn: "bg-amber-100 text-amber-800",
+  block: "bg-red-100 text-red-800",
+};
+
+// 🔁 Current rules, kept in sync with the settings panel
+export function useQualityRules() {
+  const [rules, setRules] = useState(getQualityRules);
+  useEffect(() => {
+    const onChange = () => setRules(getQualityRules());
+    window.addEventListener("quality-rules-changed", onChange);
+    return () => window.removeEventListener("quality-rules-changed", onChange);
+  }, []);
+  return rules;
+}
+
+// 📋 One-line metric summary (tooltips, detail rows) — level/clip only when measured on the raw take
+export const describeMetrics = (m) =>
+  [
+    `${m.duration.toFixed(1)} s`,
+    m.rmsDb != null && `${m.rmsDb.toFixed(0)} dBFS`,
+    `SNR ${m.snrDb.toFixed(0)} dB`,
+    m.clipRatio != null && `clip ${m.clipRatio.toFixed(2)}%`,
+    m.dropouts && `${m.dropouts} dropout(s)`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+// 🩺 Quality pill: ✅ good / ⚠️ warnings / ⛔ blocked. compact = icon only (dataset rows)
+export default function QualityBadge({ metrics, compact = false, pending = false }) {
+  const rules = useQualityRules();
+  if (pending) return <span className="text-xs text-gray-500 animate-pulse">🩺…</span>;
+  if (!metrics) return null;
+
+  const { level, issues } = assessQuality(metrics, rules);
+  const icon = level === "ok" ? "✅" : level === "warn" ? "⚠️" : "⛔";
+  const title = [describeMetrics(metrics), ...issues.map((i) => `• ${i.message}`)].join("\n");
+
+  if (compact) {
+    return (
+      <span title={title} className="text-xs shrink-0 cursor-help">
+        {icon}
+      </span>
+    );
+  }
+  return (
+    <div className={`rounded-lg px-3 py-1 text-xs text-left ${STYLES[level]}`} title={title}>
+      <span className="font-semibold">
+        {icon} {level === "ok" ? "Quality OK" : level === "warn" ? "Quality warnings" : "Quality check failed"}
+      </span>
+      <span className="ml-2 opacity-80">{describeMetrics(metrics)}</span>
+      {issues.length > 0 && (
+        <ul className="mt-0.5">
+          {issues.map((i) => (
+            <li key={i.check}>
+              {i.level === "block" ? "⛔" : "⚠️"} {i.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const LABELS = {
+  duration: "Duration",
+  clipping: "Clipping",
+  level: "Level",
+  snr: "Noise (SNR)",
+  dropouts: "Dropouts",
+};
+
+// ⚙️ Threshold editor — each check can block, warn or be ignored
+export function QualitySettings({ onClose }) {
+  const [rules, setRules] = useState(getQualityRules);
+  const set = (patch) => {
+    const next = { ...rules, ...patch };
+    setRules(next);
+    saveQualityRules(next);
+  };
+  const num = (key, step = 1) => (
+    <input
+      type="number"
+      step={step}
+      value={rules[key]}
+      onChange={(e) => set({ [key]: Number(e.target.value) })}
+      className="w-16 border border-gray-300 rounded px-1 text-xs"
+    />
+  );
+  const limits = {
+    duration: <>{num("minDuration", 0.5)}–{num("maxDuration")} s</>,
+    clipping: <>≤ {num("maxClipRatio", 0.1)} % of samples</>,
+    level: <>≥ {num("minRmsDb")} dBFS</>,
+    snr: <>≥ {num("minSnrDb")} dB</>,
+    dropouts: <>≤ {num("maxDropouts")}</>,
+  };
+
+  return (
+    <div className="w-full max-w-md bg-white rounded-lg shadow p-3 text-left text-xs">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-semibold text-gray-800">🩺 Quality thresholds</h4>
+        <div className="space-x-2">
+          <button onClick={() => set(DEFAULT_RULES)} className="text-indigo-700 hover:underline">Reset</button>
+          {onClose && <button onClick={onClose} className="text-gray-500 hover:text-gray-800">✖</button>}
+        </div>
+      </div>
+      <table className="w-full">
+        <tbody>
+          {CHECKS.map((c) => (
+            <tr key={c}>
+              <td className="py-0.5 pr-2">{LABELS[c]}</td>
+              <td className="py-0.5 pr-2 whitespace-nowrap">{limits[c]}</td>
+              <td className="py-0.5">
+                <select
+                  value={rules.severity[c]}
+                  onChange={(e) => set({ severity: { ...rules.severity, [c]: e.target.value } })}
+                  className="border border-gray-300 rounded text-xs"
+                >
+                  <option value="block">⛔ Block</option>
+                  <option value="warn">⚠️ Warn</option>
+                  <option value="off">Off</option>
+                </select>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
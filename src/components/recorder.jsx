@@ -1,9 +1,27 @@
 import React, { useRef, useState, useEffect } from "react";
+import { toWhisperWavSafe } from "../utils/wav";
+import { trimBlob } from "../utils/trim";
+import {
+  getVadSettings,
+  saveVadSettings,
+  thresholdDb,
+  levelDb,
+  measureNoiseFloor,
+  createVad,
+} from "../utils/vad";
 
-export default function Recorder({ onStop }) {
+const MAX_ARMED_MS = 60000; // re-arm (fresh recorder) if nobody speaks for this long
+
+export default function Recorder({ onStop, onStart }) {
   const [recording, setRecording] = useState(false);
   const [audioUrl, setAudioUrl] = useState(null);
   const [device, setDevice] = useState("unknown");
+  const [converting, setConverting] = useState(false);
+  const [handsFree, setHandsFree] = useState(false); // 🙌 voice-activated start/stop
+  const [continuous, setContinuous] = useState(false); // re-arm after each take
+  const [vadPhase, setVadPhase] = useState(null); // null | "armed" | "speaking"
+  const [vad, setVad] = useState(getVadSettings);
+  const [calibrating, setCalibrating] = useState(false);
 
   const canvasRef = useRef(null);
   const mediaRecorderRef = useRef(null);
@@ -11,6 +29,13 @@ export default function Recorder({ onStop }) {
   const animationRef = useRef(null);
   const audioCtxRef = useRef(null);
   const analyserRef = useRef(null);
+  const startedAtRef = useRef(0);
+  const vadRef = useRef(null); // live detector while hands-free
+  const speechAtRef = useRef(null); // onset (ms) of the current hands-free take
+  const rearmRef = useRef(false); // armed too long → discard and restart
+  const startRef = useRef(null);
+  const continuousRef = useRef(false);
+  continuousRef.current = continuous;
 
   // 🌍 Device detection
   const isIOS = () =>
@@ -61,9 +86,45 @@ export default function Recorder({ onStop }) {
     return () => document.removeEventListener("visibilitychange", stopIfHidden);
   }, []);
 
-  // 🎙️ Start Recording
+  const getAudioCtx = () => {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    audioCtxRef.current = audioCtxRef.current || new AudioCtx({ latencyHint: "interactive" });
+    return audioCtxRef.current;
+  };
+
+  const updateVad = (patch) => {
+    setVad((prev) => {
+      const next = { ...prev, ...patch };
+      saveVadSettings(next);
+      return next;
+    });
+  };
+
+  // 🎚️ Measure room noise so the speech threshold fits this room + mic
+  const calibrate = async () => {
+    setCalibrating(true);
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const audioCtx = getAudioCtx();
+      if (audioCtx.state === "suspended") await audioCtx.resume();
+      const analyser = audioCtx.createAnalyser();
+      analyser.fftSize = 2048;
+      audioCtx.createMediaStreamSource(stream).connect(analyser);
+      const floorDb = await measureNoiseFloor(analyser, 3000);
+      stream.getTracks().forEach((t) => t.stop());
+      updateVad({ floorDb: Math.round(floorDb) });
+      window.dispatchEvent(new CustomEvent("toast", { detail: `🎚️ Room noise ${Math.round(floorDb)} dBFS` }));
+    } catch (err) {
+      console.error("🎤 Calibration failed:", err);
+      window.dispatchEvent(new CustomEvent("toast", { detail: "⚠️ Mic access denied" }));
+    } finally {
+      setCalibrating(false);
+    }
+  };
+
+  // 🎙️ Start Recording (hands-free: arm and wait for speech)
   const startRecording = async () => {
-    if (recording) return;
+    if (mediaRecorderRef.current?.state === "recording") return;
     try {
       let mimeType = "audio/webm;codecs=opus";
       if (!MediaRecorder.isTypeSupported(mimeType)) mimeType = "audio/webm";
@@ -74,10 +135,7 @@ export default function Recorder({ onStop }) {
       mediaRecorderRef.current = recorder;
 
       // 🎛️ Waveform setup
-      const AudioCtx = window.AudioContext || window.webkitAudioContext;
-      const audioCtx =
-        audioCtxRef.current || new AudioCtx({ latencyHint: "interactive" });
-      audioCtxRef.current = audioCtx;
+      const audioCtx = getAudioCtx();
 
       const source = audioCtx.createMediaStreamSource(stream);
       const analyser = audioCtx.createAnalyser();
@@ -88,23 +146,70 @@ export default function Recorder({ onStop }) {
       chunksRef.current = [];
       setRecording(true);
 
+      // 🙌 Hands-free: the whole armed period is recorded, then cropped to onset − pre-roll
+      speechAtRef.current = null;
+      rearmRef.current = false;
+      vadRef.current = handsFree
+        ? createVad(vad, {
+            onSpeechStart: (t) => {
+              speechAtRef.current = t;
+              setVadPhase("speaking");
+              // ▶️ The take "starts" now (live listeners get the mic stream)
+              onStart?.({ mimeType, device, stream });
+            },
+            onSpeechEnd: () => stopRecording(),
+          })
+        : null;
+      setVadPhase(handsFree ? "armed" : null);
+
       recorder.ondataavailable = (e) => {
         if (e.data && e.data.size > 0) chunksRef.current.push(e.data);
       };
 
-      recorder.onstop = () => {
+      recorder.onstop = async () => {
+        let duration = (Date.now() - startedAtRef.current) / 1000;
+        stream.getTracks().forEach((t) => t.stop());
+        cancelAnimationFrame(animationRef.current);
+
+        const vadTake = vadRef.current;
+        vadRef.current = null;
+        setVadPhase(null);
+        if (vadTake && speechAtRef.current == null) {
+          // 👂 Nobody spoke: cancelled, or re-arming after a long wait
+          if (rearmRef.current) startRef.current?.();
+          return;
+        }
+
         // 🧩 Build final blob
-        let blob = new Blob(chunksRef.current, { type: mimeType });
-        if ((!blob.type || blob.size === 0) && (isIOS() || isSafari())) {
-          blob = new Blob(chunksRef.current, { type: "audio/mp4" });
+        let originalBlob = new Blob(chunksRef.current, { type: mimeType });
+        if ((!originalBlob.type || originalBlob.size === 0) && (isIOS() || isSafari())) {
+          originalBlob = new Blob(chunksRef.current, { type: "audio/mp4" });
+        }
+        console.log("🎧 Recorded:", originalBlob.type, originalBlob.size);
+
+        // 🎚️ 16 kHz mono normalized WAV (falls back to original on failure)
+        setConverting(true);
+        let blob = await toWhisperWavSafe(originalBlob);
+        if (vadTake) {
+          const start = Math.max(0, (speechAtRef.current - vad.prerollMs - startedAtRef.current) / 1000);
+          if (start > 0) {
+            blob = await trimBlob(blob, { start, end: Infinity }).catch(() => blob);
+            duration -= start;
+          }
         }
+        setConverting(false);
 
         const url = URL.createObjectURL(blob);
         setAudioUrl(url);
-        console.log("🎧 Recorded:", blob.type, blob.size);
 
         // Notify parent (transcribe/save)
-        onStop?.({ blob, device });
+        onStop?.({ blob, originalBlob, device, duration });
+
+        // 🔁 Hands-free sessions keep listening for the next take
+        if (vadTake && continuousRef.current) {
+          setTimeout(() => startRef.current?.(), 300);
+          return;
+        }
 
         // Desktop auto-play preview
         if (device === "desktop") {
@@ -112,14 +217,13 @@ export default function Recorder({ onStop }) {
           auto.playsInline = true;
           auto.play().catch(() => {});
         }
-
-        stream.getTracks().forEach((t) => t.stop());
-        cancelAnimationFrame(animationRef.current);
       };
 
       // ✅ Small delay stabilizes first chunk on iOS
       setTimeout(() => {
         recorder.start(150);
+        startedAtRef.current = Date.now();
+        if (!handsFree) onStart?.({ mimeType, device, stream });
         drawWaveform();
       }, 200);
     } catch (err) {
@@ -128,6 +232,8 @@ export default function Recorder({ onStop }) {
     }
   };
 
+  startRef.current = startRecording;
+
   // ⏹ Stop Recording
   const stopRecording = () => {
     const rec = mediaRecorderRef.current;
@@ -145,9 +251,21 @@ export default function Recorder({ onStop }) {
     const analyser = analyserRef.current;
     const bufferLength = analyser.fftSize;
     const dataArray = new Uint8Array(bufferLength);
+    const floatArray = new Float32Array(bufferLength);
 
     const draw = () => {
       analyser.getByteTimeDomainData(dataArray);
+      const detector = vadRef.current;
+      const db = detector ? levelDb(analyser, floatArray) : null;
+      if (detector) {
+        const now = Date.now();
+        detector.update(db, now);
+        const rec = mediaRecorderRef.current;
+        if (!detector.speaking && now - startedAtRef.current > MAX_ARMED_MS && rec?.state === "recording") {
+          rearmRef.current = true;
+          rec.stop();
+        }
+      }
       ctx.fillStyle = "#f9fafb";
       ctx.fillRect(0, 0, canvas.width, canvas.height);
       ctx.lineWidth = 2;
@@ -166,6 +284,29 @@ export default function Recorder({ onStop }) {
 
       ctx.lineTo(canvas.width, canvas.height / 2);
       ctx.stroke();
+
+      // 🚦 Live VAD threshold (dashed) + level meter on the right edge
+      if (detector) {
+        const amp = Math.pow(10, detector.threshold / 20) * 4 * (canvas.height / 2);
+        ctx.setLineDash([6, 4]);
+        ctx.strokeStyle = "#dc2626";
+        ctx.lineWidth = 1;
+        [canvas.height / 2 - amp, canvas.height / 2 + amp].forEach((y) => {
+          ctx.beginPath();
+          ctx.moveTo(0, y);
+          ctx.lineTo(canvas.width - 12, y);
+          ctx.stroke();
+        });
+        ctx.setLineDash([]);
+
+        const toY = (d) => canvas.height * (1 - Math.max(0, Math.min(1, (d + 90) / 90)));
+        ctx.fillStyle = "#e5e7eb";
+        ctx.fillRect(canvas.width - 8, 0, 8, canvas.height);
+        ctx.fillStyle = db >= detector.threshold ? "#16a34a" : "#9ca3af";
+        ctx.fillRect(canvas.width - 8, toY(db), 8, canvas.height - toY(db));
+        ctx.fillStyle = "#dc2626";
+        ctx.fillRect(canvas.width - 10, toY(detector.threshold) - 1, 10, 2);
+      }
       animationRef.current = requestAnimationFrame(draw);
     };
     draw();
@@ -195,21 +336,88 @@ export default function Recorder({ onStop }) {
         {!recording ? (
           <button
             onClick={startRecording}
-            className="px-6 py-3 bg-indigo-600 text-white rounded-full shadow hover:bg-indigo-700 active:scale-95 transition"
+            disabled={calibrating}
+            className="px-6 py-3 bg-indigo-600 text-white rounded-full shadow hover:bg-indigo-700 active:scale-95 transition disabled:bg-gray-400"
           >
-            🎙️ Start Recording
+            {handsFree ? "🙌 Arm Mic" : "🎙️ Start Recording"}
+          </button>
+        ) : vadPhase === "armed" ? (
+          <button
+            onClick={stopRecording}
+            className="px-6 py-3 bg-amber-500 text-white rounded-full shadow hover:bg-amber-600 active:scale-95 transition"
+          >
+            👂 Listening… tap to disarm
           </button>
         ) : (
           <button
             onClick={stopRecording}
             className="px-6 py-3 bg-red-500 text-white rounded-full shadow hover:bg-red-600 active:scale-95 transition"
           >
-            ⏹️ Stop Recording
+            ⏹️ {vadPhase === "speaking" ? "Recording… (auto-stops)" : "Stop Recording"}
           </button>
         )}
       </div>
 
-      {audioUrl && (
+      <div className="w-full max-w-md text-sm text-gray-700">
+        <label className="flex items-center justify-center space-x-2">
+          <input
+            type="checkbox"
+            checked={handsFree}
+            disabled={recording}
+            onChange={(e) => setHandsFree(e.target.checked)}
+          />
+          <span>🙌 Hands-free (starts on speech, stops on silence)</span>
+        </label>
+
+        {handsFree && (
+          <div className="mt-2 bg-white/70 rounded-lg p-2 text-xs space-y-1">
+            <div className="flex flex-wrap items-center justify-center gap-x-3 gap-y-1">
+              <span>
+                Room: <span className="font-mono">{vad.floorDb} dBFS</span> → threshold{" "}
+                <span className="font-mono">{thresholdDb(vad)} dBFS</span>
+              </span>
+              <button
+                onClick={calibrate}
+                disabled={recording || calibrating}
+                className="px-2 py-0.5 bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:bg-gray-400"
+              >
+                {calibrating ? "🤫 Stay quiet… (3 s)" : "🎚️ Calibrate"}
+              </button>
+            </div>
+            <div className="flex flex-wrap items-center justify-center gap-x-3 gap-y-1">
+              {[
+                ["marginDb", "Margin", "dB", 1],
+                ["silenceMs", "Stop after", "ms", 100],
+                ["prerollMs", "Pre-roll", "ms", 50],
+              ].map(([key, label, unit, step]) => (
+                <label key={key} className="flex items-center space-x-1">
+                  <span>{label}</span>
+                  <input
+                    type="number"
+                    step={step}
+                    min={0}
+                    value={vad[key]}
+                    disabled={recording}
+                    onChange={(e) => updateVad({ [key]: Math.max(0, Number(e.target.value) || 0) })}
+                    className="w-16 border border-gray-300 rounded px-1"
+                  />
+                  <span>{unit}</span>
+                </label>
+              ))}
+            </div>
+            <label className="flex items-center justify-center space-x-1">
+              <input type="checkbox" checked={continuous} onChange={(e) => setContinuous(e.target.checked)} />
+              <span>Keep listening after each take</span>
+            </label>
+          </div>
+        )}
+      </div>
+
+      {converting && (
+        <p className="text-xs text-indigo-600 animate-pulse">🎚️ Preparing 16 kHz WAV…</p>
+      )}
+
+      {audioUrl && !converting && (
         <button
           onClick={playRecording}
           className="px-6 py-3 bg-green-500 text-white rounded-full shadow hover:bg-green-600 active:scale-95 transition"
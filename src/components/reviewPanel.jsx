@@ -0,0 +1,206 @@
+import React, { useEffect, useRef, useState } from "react";
+import { getAudioUrl } from "../utils/api";
+import { sampleText } from "../utils/datasetFilters";
+import { isTypingTarget } from "../utils/annotationKeys";
+import {
+  REVIEW_STATUSES,
+  reviewLabel,
+  reviewIcon,
+  loadReviews,
+  saveReview,
+  statusOf,
+  nextInQueue,
+  reviewCounts,
+  describeReview,
+  getReviewerName,
+  saveReviewerName,
+} from "../utils/review";
+
+const VERDICTS = [
+  ["approved", "1", "bg-green-600 hover:bg-green-700"],
+  ["needs_fix", "2", "bg-amber-600 hover:bg-amber-700"],
+  ["rejected", "3", "bg-red-600 hover:bg-red-700"],
+];
+
+// 🔁 file_name → review, reloaded whenever a verdict is saved
+export function useReviews() {
+  const [reviews, setReviews] = useState(() => new Map());
+  useEffect(() => {
+    const reload = () => loadReviews().then(setReviews);
+    reload();
+    window.addEventListener("reviews-changed", reload);
+    return () => window.removeEventListener("reviews-changed", reload);
+  }, []);
+  return reviews;
+}
+
+// 🧐 Review queue — serves rows with the chosen status in list order
+//    rows: visible dataset rows · start: file to open first · onShow(file_name): sync the list cursor
+export default function ReviewPanel({ rows, reviews, start, onShow, onClose }) {
+  const [source, setSource] = useState("unreviewed");
+  const [current, setCurrent] = useState(null);
+  const [skipped, setSkipped] = useState(() => new Set());
+  const [note, setNote] = useState("");
+  const [reviewer, setReviewer] = useState(getReviewerName);
+  const [error, setError] = useState("");
+  const [playing, setPlaying] = useState(false);
+  const audioRef = useRef(null);
+
+  const sample = rows.find((s) => s.file_name === current) || null;
+  const review = current ? reviews.get(current) : null;
+  const counts = reviewCounts(rows, reviews);
+
+  // 🎯 Open on the requested row, else the first one waiting in the queue
+  useEffect(() => {
+    setCurrent(start?.file || nextInQueue(rows, reviews, { statuses: [source], skipped })?.file_name || null);
+  }, [start, source]);
+
+  useEffect(() => {
+    audioRef.current?.pause();
+    setPlaying(false);
+    const last = reviews.get(current);
+    setNote(last?.reviewer ? last.note : ""); // 📝 reset notes ("Text edited") aren't the reviewer's
+    setError("");
+    if (current) onShow?.(current);
+  }, [current]);
+
+  useEffect(() => () => audioRef.current?.pause(), []);
+
+  const advance = (reviewsNow, skippedNow = skipped) => {
+    const next = nextInQueue(rows, reviewsNow, { statuses: [source], from: current, skipped: skippedNow });
+    setCurrent(next?.file_name || null);
+  };
+
+  const decide = async (status) => {
+    if (!current) return;
+    try {
+      const entry = await saveReview(current, { status, note }, review);
+      advance(new Map(reviews).set(current, entry));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const skip = () => {
+    if (!current) return;
+    const next = new Set(skipped).add(current);
+    setSkipped(next);
+    advance(reviews, next);
+  };
+
+  const play = () => {
+    audioRef.current?.pause();
+    if (playing) return setPlaying(false);
+    const audio = new Audio(`${getAudioUrl(current)}?_=${Date.now()}`);
+    audio.playsInline = true;
+    audio.onended = () => setPlaying(false);
+    audioRef.current = audio;
+    audio.play().then(() => setPlaying(true)).catch(() => setPlaying(false));
+  };
+
+  // ⌨️ 1 approve · 2 needs fix · 3 reject · → skip (outside text fields)
+  const handleKeyRef = useRef(null);
+  handleKeyRef.current = (e) => {
+    if (isTypingTarget(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+    const verdict = VERDICTS.find(([, key]) => key === e.key);
+    if (verdict) {
+      e.preventDefault();
+      decide(verdict[0]);
+    } else if (e.key === "ArrowRight") {
+      e.preventDefault();
+      skip();
+    }
+  };
+  useEffect(() => {
+    const onKey = (e) => handleKeyRef.current(e);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  const field = "border border-gray-300 rounded px-2 py-1 text-sm bg-white";
+
+  return (
+    <div className="w-full max-w-2xl bg-white rounded-lg shadow p-3 mb-3 text-left text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold text-emerald-700">🧐 Review queue</h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-800">✖</button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <input
+          placeholder="👤 Reviewer name"
+          value={reviewer}
+          onChange={(e) => setReviewer(e.target.value)}
+          onBlur={() => saveReviewerName(reviewer)}
+          className={`${field} w-40`}
+        />
+        <span className="text-gray-600">Serve</span>
+        <select value={source} onChange={(e) => setSource(e.target.value)} className={field}>
+          {REVIEW_STATUSES.map(([code, label, icon]) => (
+            <option key={code} value={code}>
+              {icon} {label} ({counts[code]})
+            </option>
+          ))}
+        </select>
+        {skipped.size > 0 && (
+          <button onClick={() => setSkipped(new Set())} className="text-indigo-700 hover:underline">
+            ↩️ Un-skip {skipped.size}
+          </button>
+        )}
+      </div>
+
+      {!sample ? (
+        <p className="text-gray-600 mt-3">
+          ✅ Nothing left with status “{reviewLabel(source)}” in this view.
+        </p>
+      ) : (
+        <div className="mt-3 space-y-2">
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={play}
+              className={`${playing ? "bg-gray-500" : "bg-green-500"} text-white rounded-full w-8 h-8 shrink-0 hover:opacity-90`}
+            >
+              {playing ? "⏹️" : "▶️"}
+            </button>
+            <span className="font-mono text-xs text-gray-500 truncate">{sample.file_name}</span>
+            <span className="shrink-0 text-xs" title={describeReview(review)}>
+              {reviewIcon(statusOf(reviews, current))}
+            </span>
+          </div>
+          <p className="text-lg leading-snug bg-gray-50 rounded p-2 min-h-[2.5rem]">
+            {sampleText(sample) || <span className="text-gray-400">(no transcript)</span>}
+          </p>
+          {review && (
+            <p className="text-[11px] text-gray-500 whitespace-pre-line">
+              {[review, ...(review.history || [])].map(describeReview).join("\n")}
+            </p>
+          )}
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            rows={2}
+            placeholder="📝 Note (what needs fixing, why rejected…)"
+            className="w-full border border-gray-300 rounded p-1 text-sm"
+          />
+          {error && <p className="text-xs text-red-600">⚠️ {error}</p>}
+          <div className="flex flex-wrap items-center gap-2">
+            {VERDICTS.map(([status, key, color]) => (
+              <button
+                key={status}
+                onClick={() => decide(status)}
+                className={`px-3 py-1 text-white rounded ${color}`}
+                title={`Shortcut: ${key}`}
+              >
+                {reviewIcon(status)} {reviewLabel(status)}
+              </button>
+            ))}
+            <button onClick={skip} className="px-3 py-1 text-gray-700 hover:underline" title="Shortcut: →">
+              ⏭️ Skip
+            </button>
+            <span className="text-[11px] text-gray-400 ml-auto">1 · 2 · 3 · →</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,213 @@
+import React, { useEffect, useState } from "react";
+import {
+  GENDERS,
+  AGE_BANDS,
+  DIALECTS,
+  ENVIRONMENTS,
+  labelOf,
+  listProfiles,
+  getActiveProfile,
+  setActiveProfile,
+  newProfile,
+  saveProfile,
+  deleteProfile,
+  getSessionInfo,
+  saveSessionInfo,
+  speakerProblem,
+} from "../utils/speakers";
+
+// 🔁 Profiles + active speaker + session info, kept in sync across pages
+export function useSpeakers() {
+  const read = () => ({ profiles: listProfiles(), active: getActiveProfile(), session: getSessionInfo() });
+  const [state, setState] = useState(read);
+  useEffect(() => {
+    const onChange = () => setState(read());
+    window.addEventListener("speakers-changed", onChange);
+    return () => window.removeEventListener("speakers-changed", onChange);
+  }, []);
+  return state;
+}
+
+// 🏷️ "spk003 · F · 25–34 · Khalkha"
+export const describeSpeaker = (m) =>
+  [
+    m.speaker_id,
+    m.gender && labelOf(GENDERS, m.gender),
+    m.age_band && labelOf(AGE_BANDS, m.age_band),
+    m.dialect,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+// 👥 Choose who is speaking + where/how, before recording
+export default function SpeakerPicker() {
+  const { profiles, active, session } = useSpeakers();
+  const [editing, setEditing] = useState(null); // { profile, previousId }
+  const [mics, setMics] = useState([]);
+
+  // 🎤 Device labels (only filled in once mic permission was granted)
+  useEffect(() => {
+    navigator.mediaDevices
+      ?.enumerateDevices?.()
+      .then((devices) => setMics(devices.filter((d) => d.kind === "audioinput" && d.label).map((d) => d.label)))
+      .catch(() => {});
+  }, []);
+
+  const problem = speakerProblem(active);
+  const field = "border border-gray-300 rounded px-2 py-1 text-sm bg-white";
+
+  return (
+    <div className="w-full max-w-md bg-white/70 rounded-xl shadow p-3 text-left text-sm space-y-2">
+      <div className="flex items-center gap-2">
+        <span className="shrink-0">👤 Speaker</span>
+        <select
+          value={active?.id || ""}
+          onChange={(e) => setActiveProfile(e.target.value)}
+          className={`${field} flex-1 min-w-0`}
+        >
+          <option value="">— choose —</option>
+          {profiles.map((p) => (
+            <option key={p.id} value={p.id}>
+              {describeSpeaker({ speaker_id: p.id, gender: p.gender, age_band: p.ageBand, dialect: p.dialect })}
+            </option>
+          ))}
+        </select>
+        {active && (
+          <button
+            onClick={() => setEditing({ profile: active, previousId: active.id })}
+            className="hover:opacity-70"
+            title="Edit speaker"
+          >
+            ✏️
+          </button>
+        )}
+        <button
+          onClick={() => setEditing({ profile: newProfile(), previousId: null })}
+          className="text-indigo-700 hover:underline shrink-0"
+        >
+          ➕ New
+        </button>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <input
+          list="mw-mic-labels"
+          placeholder="🎤 Microphone"
+          value={session.mic}
+          onChange={(e) => saveSessionInfo({ ...session, mic: e.target.value })}
+          className={`${field} flex-1 min-w-0`}
+        />
+        <datalist id="mw-mic-labels">
+          {mics.map((m) => (
+            <option key={m} value={m} />
+          ))}
+        </datalist>
+        <select
+          value={session.environment}
+          onChange={(e) => saveSessionInfo({ ...session, environment: e.target.value })}
+          className={field}
+          title="Recording environment"
+        >
+          {ENVIRONMENTS.map((env) => (
+            <option key={env} value={env}>{env}</option>
+          ))}
+        </select>
+      </div>
+
+      {problem && <p className="text-xs text-amber-700">⚠️ {problem}</p>}
+
+      {editing && (
+        <ProfileForm
+          key={editing.previousId || "new"}
+          initial={editing.profile}
+          previousId={editing.previousId}
+          onDone={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+// 📝 Create / edit one profile
+function ProfileForm({ initial, previousId, onDone }) {
+  const [p, setP] = useState(initial);
+  const [error, setError] = useState("");
+  const set = (patch) => setP((prev) => ({ ...prev, ...patch }));
+  const field = "border border-gray-300 rounded px-2 py-1 text-sm bg-white w-full";
+
+  const save = () => {
+    try {
+      saveProfile(p, previousId);
+      onDone();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const remove = () => {
+    if (!window.confirm(`🗑️ Delete speaker ${previousId}? Existing recordings keep their file names.`)) return;
+    deleteProfile(previousId);
+    onDone();
+  };
+
+  return (
+    <div className="border border-indigo-200 bg-indigo-50/60 rounded-lg p-2 space-y-2">
+      <div className="grid grid-cols-2 gap-2">
+        <label>
+          <span className="text-xs text-gray-600">Speaker ID</span>
+          <input value={p.id} onChange={(e) => set({ id: e.target.value })} className={`${field} font-mono`} />
+        </label>
+        <label>
+          <span className="text-xs text-gray-600">Gender</span>
+          <select value={p.gender} onChange={(e) => set({ gender: e.target.value })} className={field}>
+            {GENDERS.map(([code, label]) => (
+              <option key={code} value={code}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span className="text-xs text-gray-600">Age band</span>
+          <select value={p.ageBand} onChange={(e) => set({ ageBand: e.target.value })} className={field}>
+            {AGE_BANDS.map(([code, label]) => (
+              <option key={code} value={code}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span className="text-xs text-gray-600">Dialect</span>
+          <select value={p.dialect} onChange={(e) => set({ dialect: e.target.value })} className={field}>
+            {DIALECTS.map((d) => (
+              <option key={d} value={d}>{d}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span className="text-xs text-gray-600">Region / aimag</span>
+          <input value={p.region} onChange={(e) => set({ region: e.target.value })} className={field} />
+        </label>
+        <label>
+          <span className="text-xs text-gray-600">Native language</span>
+          <input value={p.nativeLanguage} onChange={(e) => set({ nativeLanguage: e.target.value })} className={field} />
+        </label>
+      </div>
+      <label className="flex items-start space-x-2 text-xs">
+        <input type="checkbox" checked={p.consent} onChange={(e) => set({ consent: e.target.checked })} className="mt-0.5" />
+        <span>The speaker agrees that their recordings are stored and used to train speech models.</span>
+      </label>
+      {error && <p className="text-xs text-red-600">⚠️ {error}</p>}
+      <div className="flex justify-between">
+        {previousId ? (
+          <button onClick={remove} className="text-xs text-red-600 hover:underline">Delete</button>
+        ) : (
+          <span />
+        )}
+        <div className="space-x-2">
+          <button onClick={onDone} className="px-3 py-1 text-gray-700 hover:underline">Cancel</button>
+          <button onClick={save} className="px-3 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700">
+            💾 Save speaker
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import React, { useEffect, useState } from "react";
+import { useBackendStatus, ping } from "../utils/backendStatus";
+
+// 🛰️ App-wide backend connection badge (cold-start aware)
+export default function StatusBadge() {
+  const { status, latency, wakingSince, error } = useBackendStatus();
+  const [now, setNow] = useState(Date.now());
+
+  // ⏱️ Tick once a second while waking so elapsed time stays live
+  useEffect(() => {
+    if (status !== "waking") return;
+    const t = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, [status]);
+
+  const elapsed = wakingSince ? Math.max(0, Math.round((now - wakingSince) / 1000)) : 0;
+
+  const view = {
+    checking: { dot: "bg-gray-400 animate-pulse", label: "Checking server…" },
+    waking: { dot: "bg-amber-400 animate-pulse", label: `Waking server… ${elapsed}s` },
+    online: { dot: "bg-green-500", label: `Online · ${latency ?? "–"} ms` },
+    offline: { dot: "bg-red-500", label: "Server unreachable" },
+  }[status];
+
+  return (
+    <button
+      onClick={() => ping()}
+      title={error ? `${error} — click to re-check` : "Click to re-check"}
+      className="mt-3 inline-flex items-center space-x-2 px-3 py-1 rounded-full bg-white/80 border border-indigo-200 shadow-sm text-xs text-gray-700 hover:bg-white"
+      aria-live="polite"
+    >
+      <span className={`w-2.5 h-2.5 rounded-full ${view.dot}`} />
+      <span>{view.label}</span>
+    </button>
+  );
+}
+
+// ⚠️ Inline warning for pages whose actions need the backend
+export function BackendNotice({ action = "requests" }) {
+  const { status } = useBackendStatus();
+  if (status === "online" || status === "checking") return null;
+  return (
+    <p className="w-full max-w-md text-xs text-amber-800 bg-amber-50 border border-amber-300 rounded-lg px-3 py-2">
+      {status === "waking"
+        ? `⏳ Server is waking up — ${action} will wait until it answers; saves are queued.`
+        : `⚠️ Server unreachable — ${action} are on hold; saves are queued offline.`}
+    </p>
+  );
+}
@@ -0,0 +1,70 @@
+import React, { useEffect, useState } from "react";
+import { DEFAULT_TEXT_POLICY, getTextPolicy, saveTextPolicy } from "../utils/mnText";
+
+// 🔁 Current text policy, kept in sync across components
+export function useTextPolicy() {
+  const [policy, setPolicy] = useState(getTextPolicy);
+  useEffect(() => {
+    const onChange = () => setPolicy(getTextPolicy());
+    window.addEventListener("text-policy-changed", onChange);
+    return () => window.removeEventListener("text-policy-changed", onChange);
+  }, []);
+  return policy;
+}
+
+// 📝 Tooltip text for a row's issues
+export const describeIssues = (issues) => issues.map((i) => `${i.fixable ? "✨" : "⚠️"} ${i.message}`).join("\n");
+
+// ⚙️ Editable normalization policy (applies to every save)
+export default function TextPolicySettings({ onClose }) {
+  const [policy, setPolicy] = useState(getTextPolicy);
+  const set = (patch) => {
+    const next = { ...policy, ...patch };
+    setPolicy(next);
+    saveTextPolicy(next);
+  };
+  const select = (key, options) => (
+    <select
+      value={policy[key]}
+      onChange={(e) => set({ [key]: e.target.value })}
+      className="border border-gray-300 rounded text-xs"
+    >
+      {options.map(([value, label]) => (
+        <option key={value} value={value}>{label}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="w-full max-w-2xl bg-white rounded-lg shadow p-3 mb-3 text-left text-xs">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-semibold text-gray-800">✨ Text policy</h4>
+        <div className="space-x-2">
+          <button onClick={() => set(DEFAULT_TEXT_POLICY)} className="text-indigo-700 hover:underline">Reset</button>
+          {onClose && <button onClick={onClose} className="text-gray-500 hover:text-gray-800">✖</button>}
+        </div>
+      </div>
+      <p className="text-gray-500 mb-2">
+        Latin look-alikes (o/о, e/е, y/у) and ө/ү variants are always unified; extra spaces are collapsed.
+      </p>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        <label className="flex items-center justify-between space-x-2">
+          <span>Numbers</span>
+          {select("numbers", [["flag", "⚠️ Flag digits"], ["words", "🔢 Spell out (5 → тав)"], ["keep", "Keep"]])}
+        </label>
+        <label className="flex items-center justify-between space-x-2">
+          <span>Punctuation</span>
+          {select("punctuation", [["basic", ". , ? ! only"], ["strip", "Strip all"], ["keep", "Keep (fix spacing)"]])}
+        </label>
+        <label className="flex items-center justify-between space-x-2">
+          <span>Latin words</span>
+          {select("latinWords", [["flag", "⚠️ Flag"], ["keep", "Allow"]])}
+        </label>
+        <label className="flex items-center space-x-1">
+          <input type="checkbox" checked={policy.autoFix} onChange={(e) => set({ autoFix: e.target.checked })} />
+          <span>Auto-fix on save</span>
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  listTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+  emptyTrash,
+  RETENTION_DAYS,
+} from "../utils/trash";
+
+// 🗑️ Trash view — restore or purge deleted samples
+export default function TrashPanel({ onToast }) {
+  const [entries, setEntries] = useState([]);
+  const [busy, setBusy] = useState(null); // file_name being restored
+  const [playing, setPlaying] = useState(null);
+  const audioRef = useRef(null);
+
+  const refresh = async () => setEntries(await listTrash());
+
+  useEffect(() => {
+    refresh();
+    window.addEventListener("trash-updated", refresh);
+    return () => {
+      window.removeEventListener("trash-updated", refresh);
+      audioRef.current?.pause();
+    };
+  }, []);
+
+  const restore = async (e) => {
+    setBusy(e.file_name);
+    try {
+      await restoreFromTrash(e.file_name);
+      onToast?.("♻️ Restored");
+    } catch (err) {
+      console.error("❌ restore failed:", err);
+      onToast?.(`⚠️ Restore failed: ${err.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const purge = async (e) => {
+    if (!window.confirm(`⚠️ Permanently delete "${e.file_name}"?\nThis action cannot be undone.`)) return;
+    await purgeFromTrash(e.file_name);
+  };
+
+  const purgeAll = async () => {
+    if (!window.confirm(`⚠️ Permanently delete all ${entries.length} item(s) in the trash?`)) return;
+    await emptyTrash();
+  };
+
+  const play = (e) => {
+    audioRef.current?.pause();
+    if (playing === e.file_name) return setPlaying(null);
+    const url = URL.createObjectURL(e.blob);
+    const audio = new Audio(url);
+    audio.playsInline = true;
+    audio.onended = () => {
+      setPlaying(null);
+      URL.revokeObjectURL(url);
+    };
+    audioRef.current = audio;
+    audio.play().then(() => setPlaying(e.file_name)).catch(() => setPlaying(null));
+  };
+
+  return (
+    <div className="w-full max-w-2xl bg-white rounded-lg shadow p-3 mb-3 text-left text-sm">
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="font-semibold text-red-700">🗑️ Trash ({entries.length})</h3>
+        {entries.length > 0 && (
+          <button onClick={purgeAll} className="text-xs text-red-600 hover:underline">
+            Empty trash
+          </button>
+        )}
+      </div>
+      <p className="text-[11px] text-gray-500 mb-2">
+        Items are kept on this device for {RETENTION_DAYS} days, then purged.
+      </p>
+
+      {entries.length === 0 ? (
+        <p className="text-gray-500">Trash is empty.</p>
+      ) : (
+        <ul className="max-h-[260px] overflow-y-auto divide-y divide-gray-100">
+          {entries.map((e) => (
+            <li key={e.file_name} className="py-1 flex items-center justify-between">
+              <div className="min-w-0 mr-2">
+                <div className="font-mono text-xs truncate">{e.file_name}</div>
+                <div className="text-gray-700 truncate">{e.text || "—"}</div>
+                <div className="text-[11px] text-gray-500">
+                  {new Date(e.deletedAt).toLocaleString()}
+                </div>
+              </div>
+              <div className="flex space-x-2 shrink-0 text-xs">
+                <button onClick={() => play(e)} className="hover:opacity-70">
+                  {playing === e.file_name ? "⏹️" : "▶️"}
+                </button>
+                <button
+                  onClick={() => restore(e)}
+                  disabled={busy === e.file_name}
+                  className="text-green-700 hover:underline disabled:text-gray-400 disabled:no-underline"
+                >
+                  {busy === e.file_name ? "⏳" : "♻️ Restore"}
+                </button>
+                <button onClick={() => purge(e)} className="text-red-600 hover:underline">
+                  ✖ Purge
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
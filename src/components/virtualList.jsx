@@ -0,0 +1,67 @@
+import React, { forwardRef, useImperativeHandle, useRef, useState } from "react";
+
+// 📜 Fixed-row-height virtual list — only visible rows are mounted
+//    `pinned` indices stay mounted off-screen (e.g. a row that is recording)
+const VirtualList = forwardRef(function VirtualList(
+  { items, rowHeight, height, overscan = 8, pinned = [], getKey, renderRow, className = "" },
+  ref
+) {
+  const boxRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  useImperativeHandle(ref, () => ({
+    // 🎯 Bring row i into view (centered by default)
+    scrollToIndex(i, align = "center") {
+      const el = boxRef.current;
+      if (!el || i < 0) return;
+      const top = i * rowHeight;
+      if (align === "center") el.scrollTop = Math.max(0, top - (el.clientHeight - rowHeight) / 2);
+      else if (top < el.scrollTop) el.scrollTop = top;
+      else if (top + rowHeight > el.scrollTop + el.clientHeight)
+        el.scrollTop = top + rowHeight - el.clientHeight;
+      setScrollTop(el.scrollTop);
+    },
+    scrollToEnd() {
+      const el = boxRef.current;
+      if (el) el.scrollTop = el.scrollHeight;
+    },
+    // 🔎 Mounted DOM node for row i (after it has rendered)
+    rowElement(i) {
+      return boxRef.current?.querySelector(`[data-index="${i}"]`)?.firstElementChild || null;
+    },
+  }));
+
+  const viewport = Math.min(height, items.length * rowHeight);
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const end = Math.min(items.length, Math.ceil((scrollTop + height) / rowHeight) + overscan);
+
+  const indices = new Set();
+  for (let i = start; i < end; i++) indices.add(i);
+  pinned.forEach((i) => i >= 0 && i < items.length && indices.add(i));
+
+  return (
+    <div
+      ref={boxRef}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      className={`relative overflow-y-auto ${className}`}
+      style={{ height: viewport }}
+    >
+      <div className="relative" style={{ height: items.length * rowHeight }}>
+        {[...indices]
+          .sort((a, b) => a - b)
+          .map((i) => (
+            <div
+              key={getKey(items[i], i)}
+              data-index={i}
+              className="absolute left-0 right-0"
+              style={{ top: i * rowHeight, height: rowHeight }}
+            >
+              {renderRow(items[i], i)}
+            </div>
+          ))}
+      </div>
+    </div>
+  );
+});
+
+export default VirtualList;
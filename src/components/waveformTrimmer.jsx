@@ -0,0 +1,265 @@
+import React, { useEffect, useRef, useState } from "react";
+import { loadSamples, detectSpeech, computePeaks, trimBlob, DEFAULT_PAD_MS } from "../utils/trim";
+import { TARGET_SAMPLE_RATE } from "../utils/wav";
+
+const MIN_LENGTH = 0.1; // seconds kept at the very least
+const HANDLE_PX = 6;
+
+const fmt = (t) => `${t.toFixed(2)} s`;
+
+// ✂️ Waveform with draggable start/end handles + auto silence trim
+//    onChange(range | null) — null when the blob can't be decoded (save untrimmed)
+export default function TrimEditor({ blob, onChange }) {
+  const [samples, setSamples] = useState(null);
+  const [range, setRange] = useState(null); // { start, end } seconds
+  const [padMs, setPadMs] = useState(DEFAULT_PAD_MS);
+  const [error, setError] = useState("");
+  const [playhead, setPlayhead] = useState(null);
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null); // "start" | "end"
+  const playRef = useRef(null); // { ctx, raf }
+
+  const duration = samples ? samples.length / TARGET_SAMPLE_RATE : 0;
+
+  const commit = (r) => {
+    setRange(r);
+    onChange?.(r);
+  };
+
+  // 🎧 Decode once per take, then auto-trim
+  useEffect(() => {
+    let cancelled = false;
+    setSamples(null);
+    setError("");
+    stopPreview();
+    if (!blob) return;
+    loadSamples(blob)
+      .then((s) => {
+        if (cancelled) return;
+        setSamples(s);
+        commit(detectSpeech(s, TARGET_SAMPLE_RATE, { padMs }));
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.warn("⚠️ Trim editor could not decode audio:", err);
+        setError("This browser can't decode the take — it will be saved untrimmed.");
+        commit(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [blob]);
+
+  useEffect(() => () => stopPreview(), []);
+
+  // 🎨 Waveform, shaded outside the kept range
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !samples) return;
+    const dpr = window.devicePixelRatio || 1;
+    const w = (canvas.width = Math.round(canvas.clientWidth * dpr));
+    const h = (canvas.height = Math.round(canvas.clientHeight * dpr));
+    const ctx = canvas.getContext("2d");
+    const peaks = computePeaks(samples, w);
+
+    ctx.fillStyle = "#f9fafb";
+    ctx.fillRect(0, 0, w, h);
+    ctx.fillStyle = "#4f46e5";
+    for (let x = 0; x < w; x++) {
+      const top = (1 - peaks[x * 2 + 1]) * (h / 2);
+      const bottom = (1 - peaks[x * 2]) * (h / 2);
+      ctx.fillRect(x, top, 1, Math.max(1, bottom - top));
+    }
+
+    if (range) {
+      const sx = (range.start / duration) * w;
+      const ex = (range.end / duration) * w;
+      ctx.fillStyle = "rgba(107, 114, 128, 0.55)";
+      ctx.fillRect(0, 0, sx, h);
+      ctx.fillRect(ex, 0, w - ex, h);
+      ctx.fillStyle = "#dc2626";
+      ctx.fillRect(sx - dpr, 0, 2 * dpr, h);
+      ctx.fillRect(ex - dpr, 0, 2 * dpr, h);
+    }
+    if (playhead != null) {
+      ctx.fillStyle = "#16a34a";
+      ctx.fillRect((playhead / duration) * w, 0, dpr, h);
+    }
+  }, [samples, range, playhead]);
+
+  // 🖱️ Drag whichever handle is nearest to the pointer
+  const timeAt = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return Math.max(0, Math.min(duration, ((e.clientX - rect.left) / rect.width) * duration));
+  };
+
+  const moveHandle = (which, t) => {
+    const r = range || { start: 0, end: duration };
+    return which === "start"
+      ? { ...r, start: Math.min(t, r.end - MIN_LENGTH) }
+      : { ...r, end: Math.max(t, r.start + MIN_LENGTH) };
+  };
+
+  const onPointerDown = (e) => {
+    if (!samples) return;
+    const t = timeAt(e);
+    const r = range || { start: 0, end: duration };
+    const px = (d) => (Math.abs(d) / duration) * e.currentTarget.clientWidth;
+    let which = Math.abs(t - r.start) < Math.abs(t - r.end) ? "start" : "end";
+    if (px(t - r.start) <= HANDLE_PX) which = "start"; // grab a handle even past the midpoint
+    else if (px(t - r.end) <= HANDLE_PX) which = "end";
+    dragRef.current = which;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setRange(moveHandle(which, t));
+  };
+
+  const onPointerMove = (e) => {
+    if (dragRef.current) setRange(moveHandle(dragRef.current, timeAt(e)));
+  };
+
+  const onPointerUp = () => {
+    if (!dragRef.current) return;
+    dragRef.current = null;
+    onChange?.(range);
+  };
+
+  const autoTrim = (pad = padMs) => samples && commit(detectSpeech(samples, TARGET_SAMPLE_RATE, { padMs: pad }));
+
+  // ▶️ Preview only the kept part
+  function stopPreview() {
+    const p = playRef.current;
+    if (!p) return;
+    cancelAnimationFrame(p.raf);
+    p.ctx.close().catch(() => {});
+    playRef.current = null;
+    setPlayhead(null);
+  }
+
+  const preview = () => {
+    if (playRef.current) return stopPreview();
+    if (!samples || !range) return;
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    const ctx = new AudioCtx();
+    const buf = ctx.createBuffer(1, samples.length, TARGET_SAMPLE_RATE);
+    buf.getChannelData(0).set(samples);
+    const src = ctx.createBufferSource();
+    src.buffer = buf;
+    src.connect(ctx.destination);
+    src.onended = stopPreview;
+    const t0 = ctx.currentTime;
+    src.start(0, range.start, range.end - range.start);
+    const tick = () => {
+      setPlayhead(range.start + ctx.currentTime - t0);
+      playRef.current.raf = requestAnimationFrame(tick);
+    };
+    playRef.current = { ctx, raf: requestAnimationFrame(tick) };
+  };
+
+  if (!blob) return null;
+
+  return (
+    <div className="w-full text-sm">
+      {error ? (
+        <p className="text-amber-700 text-xs">⚠️ {error}</p>
+      ) : !samples ? (
+        <p className="text-gray-500 animate-pulse text-xs">⏳ Loading waveform…</p>
+      ) : (
+        <>
+          <canvas
+            ref={canvasRef}
+            onPointerDown={onPointerDown}
+            onPointerMove={onPointerMove}
+            onPointerUp={onPointerUp}
+            className="w-full h-20 rounded border border-gray-300 cursor-ew-resize touch-none"
+          />
+          <div className="flex flex-wrap items-center justify-between gap-2 mt-1 text-xs text-gray-600">
+            <span>
+              ✂️ {range ? `${fmt(range.start)} → ${fmt(range.end)} (${fmt(range.end - range.start)} of ${fmt(duration)})` : "—"}
+            </span>
+            <label className="flex items-center space-x-1">
+              <span>Padding</span>
+              <input
+                type="range"
+                min={0}
+                max={500}
+                step={25}
+                value={padMs}
+                onChange={(e) => {
+                  const pad = Number(e.target.value);
+                  setPadMs(pad);
+                  autoTrim(pad);
+                }}
+              />
+              <span className="w-12">{padMs} ms</span>
+            </label>
+          </div>
+          <div className="flex space-x-2 mt-1">
+            <button onClick={preview} className="px-2 py-0.5 bg-green-600 text-white rounded hover:bg-green-700 text-xs">
+              {playhead != null ? "⏹️ Stop" : "▶️ Preview trim"}
+            </button>
+            <button onClick={() => autoTrim()} className="px-2 py-0.5 bg-indigo-600 text-white rounded hover:bg-indigo-700 text-xs">
+              ✨ Auto-trim silence
+            </button>
+            <button
+              onClick={() => commit({ start: 0, end: duration })}
+              className="px-2 py-0.5 bg-gray-500 text-white rounded hover:bg-gray-600 text-xs"
+            >
+              ↔️ Keep all
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// 🪟 Modal around TrimEditor — resolves with the trimmed blob
+export function TrimDialog({ blob, title = "✂️ Trim recording", confirmLabel = "💾 Save", onConfirm, onCancel }) {
+  const [range, setRange] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const boxRef = useRef(null);
+
+  useEffect(() => boxRef.current?.focus(), []);
+
+  const confirm = async () => {
+    setBusy(true);
+    try {
+      onConfirm(await trimBlob(blob, range));
+    } catch (err) {
+      console.warn("⚠️ Trim failed, keeping the full take:", err);
+      onConfirm(blob);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <div
+        ref={boxRef}
+        tabIndex={-1}
+        // ⌨️ Keep annotation shortcuts from firing underneath
+        onKeyDown={(e) => {
+          e.stopPropagation();
+          if (e.key === "Escape") onCancel();
+        }}
+        className="w-full max-w-xl bg-white rounded-xl shadow-lg p-4 text-left focus:outline-none"
+      >
+        <h3 className="font-semibold text-indigo-700 mb-2">{title}</h3>
+        <TrimEditor blob={blob} onChange={setRange} />
+        <div className="flex justify-end space-x-2 mt-3 text-sm">
+          <button onClick={onCancel} disabled={busy} className="px-3 py-1 bg-gray-400 text-white rounded hover:bg-gray-500">
+            ✖ Discard take
+          </button>
+          <button
+            onClick={confirm}
+            disabled={busy}
+            className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 disabled:bg-gray-400"
+          >
+            {busy ? "⏳ Trimming..." : confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,20 +1,188 @@
 // ===============================================
-// 🎙️ DatasetManager.jsx (v4.1.8 — Safe Download + Delete/Re-Record Confirmation)
+// 🎙️ DatasetManager.jsx (v4.3.0 — Search, Filters + Virtual List)
 // ✅ Adds reliable ZIP download for Render + all browsers
 // ✅ Keeps Safe Delete + Re-Record confirmations
-// ✅ All other logic untouched
+// ✅ Deletes go to a local Trash with a timed "Undo" toast
+// ✅ Training export (LJSpeech / audiofolder / NeMo) with seeded splits
+// ✅ Import wizard for ZIPs / folders with metadata
+// ✅ Keyboard annotation mode with cheat sheet + auto-advance
+// ✅ Re-records open a trim dialog before upload
+// ✅ Quality badges per row + bulk quality check
+// ✅ Hand the selection to the Evaluate page
+// ✅ Transcripts normalized on save; policy violations highlighted with one-click fix
+// ✅ Row editor with Latin → Cyrillic transliteration + on-screen keyboard
+// ✅ Speaker metadata per row, speaker/gender/age/dialect filters + balance view
+// ✅ Duplicate scan (transcripts + audio fingerprints) with keep-one-trash-the-rest
+// ✅ Review queue: approve / needs fix / reject with reviewer, notes + status filter
+// ✅ All requests go through utils/api (timeouts, retries, cancellation)
+// ✅ Search / filter / sort synced to the URL; virtualized for 20k+ rows
+// ✅ Multi-select bulk delete/export + find & replace with diff preview
 // ===============================================
 
-import React, { useEffect, useState, useRef } from "react";
-import axios from "axios";
-import { API_BASE } from "../utils/api";
+import React, { useEffect, useState, useRef, useMemo, useDeferredValue } from "react";
+import {
+  listSamples,
+  updateSample,
+  addEmptySample,
+  exportDataset,
+  getAudioUrl,
+  isAbortError,
+  fetchSampleAudio,
+} from "../utils/api";
+import { useAbortScope } from "../utils/useAbortScope";
+import { downloadBlob, downloadCSV, stampForFile } from "../utils/download";
+import { runPool } from "../utils/concurrency";
+import { toWhisperWavSafe } from "../utils/wav";
+import { submitUpload } from "../utils/uploadQueue";
+import { BackendNotice } from "../components/statusBadge";
+import VirtualList from "../components/virtualList";
+import FindReplace from "../components/findReplace";
+import TrashPanel from "../components/trashPanel";
+import ExportDialog from "../components/exportDialog";
+import ImportWizard from "../components/importWizard";
+import DuplicatesPanel from "../components/duplicatesPanel";
+import ReviewPanel, { useReviews } from "../components/reviewPanel";
+import { TrimDialog } from "../components/waveformTrimmer";
+import QualityBadge from "../components/qualityBadge";
+import TextPolicySettings, { useTextPolicy, describeIssues } from "../components/textPolicy";
+import MnInput from "../components/mnInput";
+import { useSpeakers, describeSpeaker } from "../components/speakerPicker";
+import { GENDERS, AGE_BANDS, DIALECTS, labelOf, loadSampleMeta, resolveSampleMeta } from "../utils/speakers";
+import { checkTranscript, prepareForSave } from "../utils/mnText";
+import {
+  analyzeBlob,
+  assessQuality,
+  confirmQuality,
+  saveQualityReport,
+  levelBlind,
+  loadQualityReports,
+  forgetQualityReport,
+} from "../utils/quality";
+import { SHORTCUTS, commandForKey, isTypingTarget } from "../utils/annotationKeys";
+import { trashSample, restoreFromTrash } from "../utils/trash";
+import { updateRoute, navigate } from "../utils/router";
+import { SELECTION_KEY } from "../utils/evaluation";
+import { REVIEW_STATUSES, reviewIcon, describeReview, reopenReview } from "../utils/review";
+import {
+  sampleText,
+  indexSamples,
+  applyFilters,
+  filtersFromQuery,
+  filtersToQuery,
+  hasActiveFilters,
+  DEFAULT_FILTERS,
+} from "../utils/datasetFilters";
 
-export default function DatasetManager() {
+const ROW_HEIGHT = 38;
+const UNDO_MS = 6000;
+const LIST_HEIGHT = 460;
+
+const sameFile = (a, b) => a === b || (a || "").replace(/^wavs\//, "") === (b || "").replace(/^wavs\//, "");
+
+export default function DatasetManager({ focusFile = null, query = {} }) {
   const [samples, setSamples] = useState([]);
   const [loading, setLoading] = useState(false);
   const [adding, setAdding] = useState(false);
   const [toast, setToast] = useState("");
-  const [currentIdx, setCurrentIdx] = useState(null);
+  const [currentFile, setCurrentFile] = useState(null);
+  const [selected, setSelected] = useState(() => new Set()); // ☑️ file_names
+  const [showReplace, setShowReplace] = useState(false);
+  const [bulkBusy, setBulkBusy] = useState(null); // { label, done, total }
+  const [showTrash, setShowTrash] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [undo, setUndo] = useState(null); // { names } — recently trashed
+  const [annotate, setAnnotate] = useState(false); // ⌨️ keyboard annotation mode
+  const [showKeys, setShowKeys] = useState(true);
+  const [command, setCommand] = useState(null); // { type, file, nonce } for the active Row
+  const [quality, setQuality] = useState({}); // 🩺 file_name → cached metrics
+  const [showPolicy, setShowPolicy] = useState(false);
+  const [showBalance, setShowBalance] = useState(false);
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [take, setTake] = useState(null); // ✂️ { fileName, blob, raw } re-record awaiting trim (outlives its Row)
+  const [reviewing, setReviewing] = useState(null); // 🧐 { file } while the review queue is open
+  const [metaCache, setMetaCache] = useState(() => new Map()); // 👥 locally known upload metadata
+  const { profiles } = useSpeakers();
+  const textPolicy = useTextPolicy();
+  const reviews = useReviews();
+  const undoTimerRef = useRef(null);
+  const { renew, scoped } = useAbortScope(); // 🛑 cancel requests on unmount
+  const handledFocusRef = useRef(null); // deep link already handled
+  const pendingScrollRef = useRef(false); // scroll to currentFile once visible
+  const listRef = useRef(null);
+
+  // 🔎 Filters live in the URL (#/dataset?q=…&empty=1)
+  const filters = useMemo(() => filtersFromQuery(query), [JSON.stringify(query)]);
+  const setFilters = (patch) =>
+    updateRoute({ query: filtersToQuery({ ...filters, ...patch }) }, { replace: true });
+  const deferredFilters = useDeferredValue(filters);
+
+  const index = useMemo(
+    () => indexSamples(samples, { metaOf: (s) => resolveSampleMeta(s, metaCache, profiles) }),
+    [samples, metaCache, profiles]
+  );
+  const metaByFile = useMemo(() => new Map(index.map((r) => [r.sample.file_name, r.meta])), [index]);
+  const speakerIds = useMemo(
+    () => [...new Set(index.map((r) => r.meta.speaker_id).filter(Boolean))].sort(),
+    [index]
+  );
+
+  // ✨ Transcripts that break the text policy: file_name → { fixed, issues }
+  const textIssues = useMemo(() => {
+    const out = new Map();
+    for (const r of index) {
+      if (!r.text.trim()) continue; // empty rows have their own filter
+      const check = checkTranscript(r.text, textPolicy);
+      if (check.issues.length) out.set(r.sample.file_name, check);
+    }
+    return out;
+  }, [index, textPolicy]);
+
+  const visible = useMemo(
+    () => applyFilters(index, deferredFilters, { flagged: textIssues, reviews }),
+    [index, deferredFilters, textIssues, reviews]
+  );
+  const currentIdx = currentFile ? visible.findIndex((s) => s.file_name === currentFile) : -1;
+
+  // ☑️ Selection (pruned when rows disappear)
+  useEffect(() => {
+    setSelected((prev) => {
+      const names = new Set(samples.map((s) => s.file_name));
+      const next = new Set([...prev].filter((f) => names.has(f)));
+      return next.size === prev.size ? prev : next;
+    });
+  }, [samples]);
+
+  const toggleSelect = (file_name) =>
+    setSelected((prev) => {
+      const next = new Set(prev);
+      next.has(file_name) ? next.delete(file_name) : next.add(file_name);
+      return next;
+    });
+
+  const allVisibleSelected = visible.length > 0 && visible.every((s) => selected.has(s.file_name));
+  const toggleSelectAll = () =>
+    setSelected((prev) => {
+      const next = new Set(prev);
+      visible.forEach((s) => (allVisibleSelected ? next.delete(s.file_name) : next.add(s.file_name)));
+      return next;
+    });
+
+  const selectedSamples = useMemo(
+    () => samples.filter((s) => selected.has(s.file_name)),
+    [samples, selected]
+  );
+
+  // 🔁 Find & replace / duplicate scan work on the selection, or on every visible row
+  const replaceScope = useMemo(
+    () =>
+      (selectedSamples.length ? selectedSamples : visible).map((s) => ({
+        file_name: s.file_name,
+        text: sampleText(s),
+      })),
+    [selectedSamples, visible]
+  );
+  const scopeLabel = selected.size ? `${selected.size} selected` : `${visible.length} visible rows`;
 
   const showToast = (msg) => {
     setToast(msg);
@@ -24,17 +192,15 @@ export default function DatasetManager() {
   const fetchSamples = async () => {
     setLoading(true);
     try {
-      const res = await axios.get(`${API_BASE}/dataset/list?_=${Date.now()}`, {
-        headers: { "Cache-Control": "no-cache" },
-      });
-      const rows = res.data?.samples || [];
+      const data = await listSamples({ signal: renew("list") });
+      const rows = data?.samples || [];
       setSamples(rows);
-      setCurrentIdx((idx) =>
-        idx == null ? null : Math.min(idx, Math.max(0, rows.length - 1))
-      );
+      return rows;
     } catch (err) {
+      if (isAbortError(err)) return null;
       console.error("❌ /dataset/list failed:", err);
       showToast("⚠️ Failed to load dataset list.");
+      return null;
     } finally {
       setLoading(false);
     }
@@ -42,87 +208,381 @@ export default function DatasetManager() {
 
   const updateText = async (file_name, new_text) => {
     const cleanName = (file_name || "").trim();
-    const cleanText = (new_text || "").trim();
+    // ✨ Normalized per the text policy (homoglyphs, ө/ү, numbers, punctuation)
+    const { text: cleanText, changed, remaining } = prepareForSave(new_text, textPolicy);
     if (!cleanName || !cleanText) {
       showToast("⚠️ Empty text ignored");
       return;
     }
 
-    const fd = new FormData();
-    fd.append("file_name", cleanName);
-    fd.append("new_text", cleanText);
-
     try {
-      const res = await axios.post(`${API_BASE}/dataset/update`, fd);
-      if (res.data?.status === "ok") {
-        showToast("💾 Text updated");
+      const data = await updateSample(cleanName, cleanText, { signal: scoped() });
+      if (data?.status === "ok") {
+        // 🧐 A changed transcript needs a fresh review
+        if (textOf(cleanName) !== cleanText) reopenReview(cleanName, "Text edited");
+        showToast(
+          remaining.length
+            ? `💾 Saved · ⚠️ ${remaining[0].message}`
+            : changed
+            ? "💾 Text updated · ✨ normalized"
+            : "💾 Text updated"
+        );
         setSamples((prev) =>
           prev.map((s) =>
             s.file_name === cleanName ? { ...s, text: cleanText } : s
           )
         );
+        return true;
       } else showToast("⚠️ Update failed.");
     } catch (err) {
+      if (isAbortError(err)) return;
       console.error("❌ /dataset/update failed:", err);
-      showToast("⚠️ Update failed.");
+      showToast(`⚠️ Update failed: ${err.message}`);
     }
   };
 
   const addNewRecord = async () => {
     try {
       setAdding(true);
-      const res = await axios.post(`${API_BASE}/dataset/add_empty`);
-      if (res.data?.status === "ok") {
+      const before = new Set(samples.map((s) => s.file_name));
+      const data = await addEmptySample({ signal: scoped() });
+      if (data?.status === "ok") {
         showToast("➕ Added new voice room");
-        await fetchSamples();
-        setTimeout(() => {
-          const list = document.querySelector(".dataset-list");
-          if (list) list.scrollTop = list.scrollHeight;
-          setCurrentIdx((rowsLen) => {
-            const len = document.querySelectorAll(".dataset-list .row-item").length;
-            return len ? len - 1 : null;
-          });
-        }, 200);
+        const rows = (await fetchSamples()) || [];
+        // 🎯 Jump to the new room (clear filters so it is visible)
+        const added = rows.find((s) => !before.has(s.file_name)) || rows[rows.length - 1];
+        if (added) {
+          if (hasActiveFilters(filters)) setFilters({ ...DEFAULT_FILTERS });
+          focusRow(added.file_name, { scroll: true });
+        }
       } else showToast("⚠️ Add failed.");
     } catch (err) {
+      if (isAbortError(err)) return;
       console.error("❌ /dataset/add_empty failed:", err);
-      showToast("⚠️ Add failed.");
+      showToast(`⚠️ Add failed: ${err.message}`);
     } finally {
       setAdding(false);
     }
   };
 
-  // 🧩 Safe Delete Confirmation
+  // ➡️ Drop rows locally, keeping the cursor on the row that slides into place
+  const removeLocally = (names) => {
+    const gone = new Set(names);
+    if (gone.has(currentFile)) {
+      const idx = visible.findIndex((s) => s.file_name === currentFile);
+      const rest = visible.filter((s) => !gone.has(s.file_name));
+      setCurrentFile(rest.length ? rest[Math.min(idx, rest.length - 1)].file_name : null);
+    }
+    setSamples((prev) => prev.filter((s) => !gone.has(s.file_name)));
+  };
+
+  // ↩️ "Undo" toast for a few seconds after each delete
+  const offerUndo = (names) => {
+    clearTimeout(undoTimerRef.current);
+    setUndo({ names });
+    undoTimerRef.current = setTimeout(() => setUndo(null), UNDO_MS);
+  };
+  useEffect(() => () => clearTimeout(undoTimerRef.current), []);
+
+  const undoDelete = async () => {
+    const names = undo?.names || [];
+    clearTimeout(undoTimerRef.current);
+    setUndo(null);
+    const results = await runPool(names, 3, (name) => restoreFromTrash(name));
+    const failed = results.filter((r) => !r.ok);
+    failed.forEach((r) => console.error("❌ undo failed:", r.error));
+    showToast(failed.length ? `⚠️ Restored ${names.length - failed.length}, ${failed.length} failed` : "♻️ Restored");
+  };
+
+  const textOf = (file_name) => sampleText(samples.find((s) => s.file_name === file_name));
+
+  // 🧩 Safe Delete Confirmation (recoverable from Trash)
   const deleteSample = async (file_name) => {
     const confirmDelete = window.confirm(
-      `⚠️ Are you sure you want to delete "${file_name}"?\nThis action cannot be undone.`
+      `⚠️ Move "${file_name}" to the Trash?\nYou can undo or restore it later.`
     );
     if (!confirmDelete) return;
 
-    const fd = new FormData();
-    fd.append("file_name", file_name);
     try {
-      const res = await axios.post(`${API_BASE}/dataset/delete`, fd);
-      if (res.data?.status === "ok") {
-        setSamples((prev) => {
-          const idx = prev.findIndex((s) => s.file_name === file_name);
-          const next = prev.filter((s) => s.file_name !== file_name);
-          if (idx !== -1) {
-            const newIdx = Math.min(idx, Math.max(0, next.length - 1));
-            setCurrentIdx(next.length ? newIdx : null);
-          }
-          return next;
-        });
-        showToast("🗑️ Deleted");
-      } else showToast("⚠️ Delete failed.");
+      await trashSample(file_name, textOf(file_name), { signal: scoped() });
     } catch (err) {
-      console.error("❌ /dataset/delete failed:", err);
-      showToast("⚠️ Delete failed.");
+      if (isAbortError(err)) return;
+      if (!err.backupFailed) {
+        console.error("❌ /dataset/delete failed:", err);
+        return showToast(`⚠️ Delete failed: ${err.message}`);
+      }
+      // 🎧 No audio to back up (e.g. an empty voice room)
+      const force = window.confirm(
+        `⚠️ The audio for "${file_name}" could not be backed up (${err.message}).\nDelete it permanently?`
+      );
+      if (!force) return;
+      try {
+        await trashSample(file_name, textOf(file_name), { signal: scoped(), requireAudio: false });
+      } catch (err2) {
+        if (isAbortError(err2)) return;
+        console.error("❌ /dataset/delete failed:", err2);
+        return showToast(`⚠️ Delete failed: ${err2.message}`);
+      }
+      removeLocally([file_name]);
+      return showToast("🗑️ Deleted (no audio backup)");
+    }
+    removeLocally([file_name]);
+    offerUndo([file_name]);
+  };
+
+  // 🗑️ Bulk delete to Trash (one confirmation, bounded parallel requests) → names removed
+  const trashMany = async (names, what = "selected") => {
+    if (!names.length) return [];
+    const ok = window.confirm(
+      `⚠️ Move ${names.length} ${what} sample(s) to the Trash?\nYou can undo or restore them later.`
+    );
+    if (!ok) return [];
+
+    const run = async (list, requireAudio) => {
+      setBulkBusy({ label: "🗑️ Deleting", done: 0, total: list.length });
+      const results = await runPool(
+        list,
+        3,
+        (name) => trashSample(name, textOf(name), { signal: scoped(), requireAudio }),
+        { onProgress: ({ done, total }) => setBulkBusy((b) => b && { ...b, done, total }) }
+      );
+      setBulkBusy(null);
+      return results;
+    };
+
+    const results = await run(names, true);
+    let trashed = names.filter((_, i) => results[i].ok);
+    const noBackup = names.filter((_, i) => !results[i].ok && results[i].error.backupFailed);
+    let failed = names.length - trashed.length - noBackup.length;
+
+    let forced = [];
+    if (
+      noBackup.length &&
+      window.confirm(`⚠️ ${noBackup.length} sample(s) have no audio to back up.\nDelete them permanently?`)
+    ) {
+      const second = await run(noBackup, false);
+      forced = noBackup.filter((_, i) => second[i].ok);
+      failed += noBackup.length - forced.length;
+    } else failed += noBackup.length;
+
+    removeLocally([...trashed, ...forced]);
+    if (trashed.length) offerUndo(trashed);
+    if (failed) showToast(`⚠️ Deleted ${trashed.length + forced.length}, ${failed} failed`);
+    return [...trashed, ...forced];
+  };
+
+  const bulkDelete = () => trashMany([...selected]);
+
+  // ⬇️ Bulk export of the selection as CSV
+  const bulkExport = () => {
+    downloadCSV(
+      selectedSamples.map((s) => ({ file_name: s.file_name, text: sampleText(s) })),
+      ["file_name", "text"],
+      `dataset_selection_${stampForFile()}.csv`
+    );
+  };
+
+  // 🩺 Analyze the selection (or every visible row) and cache the metrics
+  //    Stored WAVs are normalized: only duration / SNR / dropouts are judged from them,
+  //    rows with a save-time report (raw-take levels) keep it
+  const bulkQuality = async () => {
+    const rows = selectedSamples.length ? selectedSamples : visible;
+    if (!rows.length) return;
+    setBulkBusy({ label: "🩺 Checking", done: 0, total: rows.length });
+    const results = await runPool(
+      rows,
+      3,
+      async (s) => {
+        const known = quality[s.file_name];
+        if (known?.rmsDb != null) return assessQuality(known).level;
+        const metrics = levelBlind(await analyzeBlob(await fetchSampleAudio(s.file_name, { signal: scoped() })));
+        await saveQualityReport(s.file_name, metrics);
+        setQuality((prev) => ({ ...prev, [s.file_name]: metrics }));
+        return assessQuality(metrics).level;
+      },
+      {
+        signal: scoped(),
+        onProgress: ({ done, total }) => setBulkBusy((b) => b && { ...b, done, total }),
+      }
+    );
+    setBulkBusy(null);
+    const levels = results.filter((r) => r?.ok).map((r) => r.value);
+    const failed = results.filter((r) => r && !r.ok).length;
+    const flagged = levels.filter((l) => l !== "ok").length;
+    showToast(`🩺 ${levels.length} checked · ${flagged} flagged${failed ? ` · ${failed} failed` : ""}`);
+  };
+
+  // 🧪 Evaluate the selection against the served model
+  const evaluateSelection = () => {
+    sessionStorage.setItem(SELECTION_KEY, JSON.stringify([...selected]));
+    navigate({ page: "evaluate" });
+  };
+
+  const setRowQuality = (file_name, metrics) => {
+    setQuality((prev) => ({ ...prev, [file_name]: metrics }));
+    if (metrics) saveQualityReport(file_name, metrics, "take").catch(() => {}); // 🎤 analyzed with the raw take
+    else forgetQualityReport(file_name);
+  };
+
+  // 🎙️ Trimmed re-record → quality gate → upload queue
+  const uploadTake = async (blob) => {
+    const { fileName, raw } = take;
+    // 🩺 Same quality gate as the Transcribe page
+    const metrics = await analyzeBlob(blob, { levelFrom: raw }).catch(() => null);
+    if (metrics && !confirmQuality(assessQuality(metrics))) return;
+    setTake(null);
+    setRowQuality(fileName, metrics);
+    try {
+      // 📥 Persisted to IndexedDB first — retried later if offline
+      const res = await submitUpload({ kind: "update_audio", blob, fileName });
+      // ✅ success fires "dataset-updated", which refreshes the list
+      if (res.status !== "uploaded") showToast("📥 Re-record saved offline — will upload later");
+    } catch (err) {
+      console.error("❌ /dataset/update_audio failed:", err);
+      showToast("⚠️ Re-record upload failed.");
+    }
+  };
+
+  // ✨ Apply the auto-fixes to every fixable flagged row (selection or visible)
+  const bulkFixText = async () => {
+    const rows = (selectedSamples.length ? selectedSamples : visible)
+      .map((s) => ({ file_name: s.file_name, check: textIssues.get(s.file_name) }))
+      .filter((r) => r.check?.fixed && r.check.issues.some((i) => i.fixable));
+    if (!rows.length) return showToast("✅ Nothing to fix");
+    if (!window.confirm(`✨ Normalize ${rows.length} transcript(s)?`)) return;
+    setBulkBusy({ label: "✨ Fixing", done: 0, total: rows.length });
+    const results = await runPool(
+      rows,
+      4,
+      async (r) => {
+        const data = await updateSample(r.file_name, r.check.fixed, { signal: scoped() });
+        if (data?.status !== "ok") throw new Error(data?.detail || "Update failed");
+        applyLocalText(r.file_name, r.check.fixed);
+      },
+      {
+        signal: scoped(),
+        onProgress: ({ done, total }) => setBulkBusy((b) => b && { ...b, done, total }),
+      }
+    );
+    setBulkBusy(null);
+    const failed = results.filter((r) => r && !r.ok).length;
+    showToast(`✨ ${results.length - failed} fixed${failed ? ` · ⚠️ ${failed} failed` : ""}`);
+  };
+
+  // ✏️ Reflect a bulk-edited transcript locally (and send it back to review)
+  const applyLocalText = (file_name, text) => {
+    reopenReview(file_name, "Text edited");
+    setSamples((prev) => prev.map((s) => (s.file_name === file_name ? { ...s, text } : s)));
+  };
+
+  // 🎯 Scroll a row into view and focus it (once it has mounted)
+  const scrollToFile = (file_name) => {
+    const i = visible.findIndex((s) => s.file_name === file_name);
+    if (i === -1) return;
+    listRef.current?.scrollToIndex(i);
+    requestAnimationFrame(() => listRef.current?.rowElement(i)?.focus({ preventScroll: true }));
+  };
+
+  // 🔗 Deep link #/dataset/<file_name> → focus + scroll that row
+  useEffect(() => {
+    if (!focusFile || !samples.length || handledFocusRef.current === focusFile) return;
+    handledFocusRef.current = focusFile;
+    const match = samples.find((s) => sameFile(s.file_name, focusFile));
+    if (!match) return showToast(`⚠️ "${focusFile}" not found`);
+    if (!visible.some((s) => s.file_name === match.file_name)) {
+      showToast("🔎 Linked row is hidden by filters — cleared them");
+      setFilters({ ...DEFAULT_FILTERS });
+    }
+    pendingScrollRef.current = true;
+    setCurrentFile(match.file_name);
+  }, [focusFile, samples]);
+
+  // 📜 Scroll once the requested row is part of the visible list
+  useEffect(() => {
+    if (!pendingScrollRef.current || !currentFile) return;
+    if (!visible.some((s) => s.file_name === currentFile)) return;
+    pendingScrollRef.current = false;
+    scrollToFile(currentFile);
+  }, [currentFile, visible]);
+
+  // 📌 Focusing a row makes the URL a shareable link to it
+  const focusRow = (file_name, { scroll = false } = {}) => {
+    pendingScrollRef.current = scroll;
+    setCurrentFile(file_name);
+    if (!file_name || sameFile(file_name, focusFile)) return;
+    handledFocusRef.current = file_name; // our own URL update — don't re-handle
+    updateRoute({ param: file_name }, { replace: true });
+  };
+
+  // ⌨️ Annotation mode — move the cursor, or hand the command to the active Row
+  const moveTo = (i) => {
+    const s = visible[Math.max(0, Math.min(visible.length - 1, i))];
+    if (s) focusRow(s.file_name, { scroll: true });
+  };
+
+  const nextEmptyIdx = (from) => {
+    for (let k = 1; k < visible.length; k++) {
+      const j = (from + k) % visible.length;
+      if (!sampleText(visible[j]).trim()) return j;
     }
+    return -1;
+  };
+
+  // ⏭️ After a save: next row still missing text (or simply the next row)
+  const advanceFrom = (file_name) => {
+    const from = visible.findIndex((s) => s.file_name === file_name);
+    const j = nextEmptyIdx(from);
+    moveTo(j === -1 ? from + 1 : j);
+  };
+
+  const startAnnotating = () => {
+    setAnnotate(true);
+    if (currentIdx === -1) {
+      const j = nextEmptyIdx(-1);
+      moveTo(j === -1 ? 0 : j);
+    } else scrollToFile(currentFile);
   };
 
+  const handleKeyRef = useRef(null);
+  handleKeyRef.current = (e) => {
+    if (isTypingTarget(e.target)) return;
+    const cmd = commandForKey(e);
+    if (!cmd) return;
+    e.preventDefault();
+    if (cmd === "exit") return setAnnotate(false);
+    if (cmd === "help") return setShowKeys((v) => !v);
+    if (cmd === "next") return moveTo(currentIdx + 1);
+    if (cmd === "prev") return moveTo(currentIdx === -1 ? 0 : currentIdx - 1);
+    if (cmd === "nextEmpty") {
+      const j = nextEmptyIdx(currentIdx);
+      return j === -1 ? showToast("✅ No empty rows left") : moveTo(j);
+    }
+    if (!currentFile) return moveTo(0);
+    if (cmd === "delete") return deleteSample(currentFile);
+    setCommand({ type: cmd, file: currentFile, nonce: Date.now() + Math.random() });
+  };
+
+  useEffect(() => {
+    if (!annotate) return;
+    const onKey = (e) => handleKeyRef.current(e);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [annotate]);
+
+  // 🔄 Reload when a (possibly queued) upload lands
+  useEffect(() => {
+    const onUpdated = () => {
+      fetchSamples();
+      loadSampleMeta().then(setMetaCache);
+    };
+    window.addEventListener("dataset-updated", onUpdated);
+    return () => window.removeEventListener("dataset-updated", onUpdated);
+  }, []);
+
   useEffect(() => {
     fetchSamples();
+    loadQualityReports().then(setQuality);
+    loadSampleMeta().then(setMetaCache);
     return () => {
       const audios = document.querySelectorAll("audio");
       audios.forEach((a) => a.pause());
@@ -135,46 +595,22 @@ export default function DatasetManager() {
   const downloadDataset = async () => {
     try {
       showToast("⏳ Preparing ZIP...");
-      const res = await axios.get(`${API_BASE}/dataset/export?_=${Date.now()}`, {
-        responseType: "blob",
-        headers: { "Cache-Control": "no-cache" },
-      });
-
-      const ct = (res.headers["content-type"] || "").toLowerCase();
-      if (!ct.includes("application/zip")) {
-        const text = await new Response(res.data).text().catch(() => "");
-        showToast(text || "⚠️ Download error.");
-        return;
-      }
-
-      const blob = new Blob([res.data], { type: "application/zip" });
-      const url = window.URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-
-      const cd = res.headers["content-disposition"] || "";
-      const match = cd.match(/filename="?([^"]+)"?/i);
-      const filename =
-        match?.[1] ||
-        `MongolianWhisper_FullDataset_${new Date()
-          .toISOString()
-          .replace(/[:.]/g, "_")}.zip`;
-
-      a.download = filename;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      window.URL.revokeObjectURL(url);
-
+      const { blob, filename } = await exportDataset({ signal: scoped() });
+      downloadBlob(blob, filename);
       showToast("✅ Download complete!");
     } catch (err) {
+      if (isAbortError(err)) return;
       console.error("❌ /dataset/export failed:", err);
-      showToast("⚠️ Download failed. Check backend or CORS.");
+      showToast(
+        err.status != null ? `⚠️ ${err.message}` : "⚠️ Download failed. Check backend or CORS."
+      );
     }
   };
 
   const total = samples.length;
-  const currentHuman = currentIdx != null ? currentIdx + 1 : null;
+  const shown = visible.length;
+  const filtered = hasActiveFilters(filters);
+  const currentHuman = currentIdx !== -1 ? currentIdx + 1 : null;
 
   return (
     <div className="relative w-full flex flex-col items-center">
@@ -184,49 +620,183 @@ export default function DatasetManager() {
         </div>
       )}
 
+      {undo && (
+        <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 flex items-center space-x-3 bg-gray-900 text-white text-sm px-4 py-2 rounded-lg shadow-lg">
+          <span>
+            🗑️ {undo.names.length > 1 ? `${undo.names.length} samples` : "Sample"} moved to Trash
+          </span>
+          <button onClick={undoDelete} className="font-semibold text-amber-300 hover:text-amber-200">
+            ↩️ Undo
+          </button>
+        </div>
+      )}
+
       <h2 className="text-2xl font-bold text-blue-700 mb-1">🗂️ Dataset Manager</h2>
 
+      <div className="w-full flex justify-center mb-2">
+        <BackendNotice action="edits" />
+      </div>
+
       <div className="text-sm text-gray-700 mb-2">
         {total > 0 ? (
           currentHuman ? (
-            <>Record <span className="font-semibold">{currentHuman}</span> / {total}</>
+            <>Record <span className="font-semibold">{currentHuman}</span> / {shown}</>
           ) : (
-            <>Total records: <span className="font-semibold">{total}</span></>
+            <>{filtered ? "Matching" : "Total"} records: <span className="font-semibold">{shown}</span></>
           )
         ) : (
           <>No records</>
         )}
+        {filtered && total > 0 && <span className="text-gray-500"> (of {total})</span>}
+        {total > 0 && (
+          <button onClick={() => navigate({ page: "stats" })} className="ml-2 text-indigo-700 hover:underline">
+            📊 Statistics
+          </button>
+        )}
       </div>
 
-      <button
-        onClick={addNewRecord}
-        disabled={adding}
-        className={`mb-3 px-4 py-2 text-white rounded-lg text-sm ${
-          adding
-            ? "bg-gray-400 cursor-not-allowed"
-            : "bg-green-600 hover:bg-green-700 active:scale-95"
-        }`}
-      >
-        {adding ? "⏳ Adding..." : "➕ Add New Voice Room"}
-      </button>
+      <FilterBar
+        filters={filters}
+        onChange={setFilters}
+        flaggedCount={textIssues.size}
+        onPolicy={() => setShowPolicy((v) => !v)}
+        speakerIds={speakerIds}
+        onBalance={() => setShowBalance((v) => !v)}
+      />
+
+      {showBalance && <SpeakerBalance metas={visible.map((s) => metaByFile.get(s.file_name) || {})} />}
+
+      {showPolicy && <TextPolicySettings onClose={() => setShowPolicy(false)} />}
+
+      <BulkBar
+        count={selected.size}
+        allSelected={allVisibleSelected}
+        busy={bulkBusy}
+        onToggleAll={toggleSelectAll}
+        onClear={() => setSelected(new Set())}
+        onDelete={bulkDelete}
+        onExport={bulkExport}
+        onReplace={() => setShowReplace((v) => !v)}
+        onQuality={bulkQuality}
+        onEvaluate={evaluateSelection}
+        onFixText={bulkFixText}
+      />
+
+      {showReplace && (
+        <FindReplace
+          rows={replaceScope}
+          scopeLabel={scopeLabel}
+          onApplied={applyLocalText}
+          onClose={() => setShowReplace(false)}
+        />
+      )}
+
+      {reviewing && (
+        <ReviewPanel
+          rows={visible}
+          reviews={reviews}
+          start={reviewing}
+          onShow={(file_name) => focusRow(file_name, { scroll: true })}
+          onClose={() => setReviewing(null)}
+        />
+      )}
+
+      {showDuplicates && (
+        <DuplicatesPanel
+          rows={replaceScope}
+          scopeLabel={scopeLabel}
+          onDelete={(names) => trashMany(names, "duplicate")}
+          onClose={() => setShowDuplicates(false)}
+        />
+      )}
+
+      <div className="flex space-x-2 mb-3">
+        <button
+          onClick={addNewRecord}
+          disabled={adding}
+          className={`px-4 py-2 text-white rounded-lg text-sm ${
+            adding
+              ? "bg-gray-400 cursor-not-allowed"
+              : "bg-green-600 hover:bg-green-700 active:scale-95"
+          }`}
+        >
+          {adding ? "⏳ Adding..." : "➕ Add New Voice Room"}
+        </button>
+        <button
+          onClick={() => setShowImport((v) => !v)}
+          className="px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 active:scale-95 text-sm"
+        >
+          📥 Import
+        </button>
+        <button
+          onClick={() => (annotate ? setAnnotate(false) : startAnnotating())}
+          className={`px-4 py-2 text-white rounded-lg active:scale-95 text-sm ${
+            annotate ? "bg-indigo-700 ring-2 ring-indigo-300" : "bg-indigo-500 hover:bg-indigo-600"
+          }`}
+        >
+          ⌨️ {annotate ? "Annotating" : "Annotate"}
+        </button>
+        <button
+          onClick={() => setShowDuplicates((v) => !v)}
+          className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 active:scale-95 text-sm"
+        >
+          👯 Duplicates
+        </button>
+        <button
+          onClick={() => setReviewing((r) => (r ? null : { file: null }))}
+          className={`px-4 py-2 text-white rounded-lg active:scale-95 text-sm ${
+            reviewing ? "bg-emerald-700 ring-2 ring-emerald-300" : "bg-emerald-600 hover:bg-emerald-700"
+          }`}
+        >
+          🧐 Review
+        </button>
+      </div>
+
+      {annotate && <ShortcutSheet open={showKeys} onToggle={() => setShowKeys((v) => !v)} />}
 
-      <div className="dataset-list w-full max-w-2xl bg-white rounded-lg shadow p-3 space-y-1 max-h=[460px] max-h-[460px] overflow-y-auto">
+      {showImport && (
+        <ImportWizard onToast={showToast} onImported={fetchSamples} onClose={() => setShowImport(false)} />
+      )}
+
+      <div className="dataset-list w-full max-w-2xl bg-white rounded-lg shadow p-3">
         {loading && <p className="text-gray-600 animate-pulse">Loading...</p>}
         {!loading && samples.length === 0 && (
           <p className="text-gray-600">No samples yet. Add new voice room.</p>
         )}
-        {samples.map((s, i) => (
-          <Row
-            key={s.file_name}
-            index={i}
-            fileName={s.file_name}
-            initialText={s.text || s[" text"] || ""}
-            onSave={(text) => updateText(s.file_name, text)}
-            onDelete={() => deleteSample(s.file_name)}
-            onUpdated={fetchSamples}
-            onFocusRow={() => setCurrentIdx(i)}
-          />
-        ))}
+        {!loading && samples.length > 0 && shown === 0 && (
+          <p className="text-gray-600">No samples match these filters.</p>
+        )}
+        <VirtualList
+          ref={listRef}
+          items={visible}
+          rowHeight={ROW_HEIGHT}
+          height={LIST_HEIGHT}
+          pinned={[currentIdx]}
+          getKey={(s) => s.file_name}
+          renderRow={(s, i) => (
+            <Row
+              index={i}
+              fileName={s.file_name}
+              initialText={sampleText(s)}
+              active={i === currentIdx}
+              selected={selected.has(s.file_name)}
+              onToggleSelect={() => toggleSelect(s.file_name)}
+              onSave={(text) => updateText(s.file_name, text)}
+              onDelete={() => deleteSample(s.file_name)}
+              onFocusRow={() => focusRow(s.file_name)}
+              annotate={annotate}
+              command={command}
+              onAdvance={() => advanceFrom(s.file_name)}
+              quality={quality[s.file_name]}
+              onTake={(t) => setTake({ ...t, fileName: s.file_name })}
+              textCheck={textIssues.get(s.file_name)}
+              speakerMeta={metaByFile.get(s.file_name)}
+              onFixText={(fixed) => updateText(s.file_name, fixed)}
+              review={reviews.get(s.file_name)}
+              onReview={() => setReviewing({ file: s.file_name })}
+            />
+          )}
+        />
       </div>
 
       <div className="flex space-x-3 mt-4">
@@ -242,20 +812,275 @@ export default function DatasetManager() {
         >
           ⬇️ Download
         </button>
+        <button
+          onClick={() => setShowExport((v) => !v)}
+          className="px-4 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 active:scale-95 text-sm"
+        >
+          📦 Training Export
+        </button>
+        <button
+          onClick={() => setShowTrash((v) => !v)}
+          className="px-4 py-1 bg-gray-600 text-white rounded-lg hover:bg-gray-700 active:scale-95 text-sm"
+        >
+          🗑️ Trash
+        </button>
+      </div>
+
+      {showExport && (
+        <div className="w-full flex justify-center mt-4">
+          <ExportDialog
+            scopes={{ all: samples, visible, selected: selectedSamples }}
+            reviews={reviews}
+            onToast={showToast}
+            onClose={() => setShowExport(false)}
+          />
+        </div>
+      )}
+
+      {showTrash && (
+        <div className="w-full flex justify-center mt-4">
+          <TrashPanel onToast={showToast} />
+        </div>
+      )}
+
+      {take && (
+        <TrimDialog
+          blob={take.blob}
+          title={`✂️ Trim re-record for ${take.fileName}`}
+          confirmLabel="💾 Replace audio"
+          onConfirm={uploadTake}
+          onCancel={() => setTake(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+// ☑️ Selection toolbar: select all, bulk delete/export, find & replace
+function BulkBar({
+  count,
+  allSelected,
+  busy,
+  onToggleAll,
+  onClear,
+  onDelete,
+  onExport,
+  onReplace,
+  onQuality,
+  onEvaluate,
+  onFixText,
+}) {
+  const btn = "px-2 py-1 rounded text-white text-xs disabled:bg-gray-400";
+  return (
+    <div className="w-full max-w-2xl flex flex-wrap items-center justify-between gap-2 mb-3 text-sm">
+      <label className="flex items-center space-x-1">
+        <input type="checkbox" checked={allSelected} onChange={onToggleAll} />
+        <span>{count ? `${count} selected` : "Select all"}</span>
+        {count > 0 && (
+          <button onClick={onClear} className="text-indigo-700 hover:underline text-xs ml-1">
+            clear
+          </button>
+        )}
+      </label>
+      {busy ? (
+        <span className="text-xs text-gray-600 animate-pulse">
+          {busy.label} {busy.done} / {busy.total}…
+        </span>
+      ) : (
+        <div className="flex space-x-1">
+          <button onClick={onReplace} className={`${btn} bg-indigo-600 hover:bg-indigo-700`}>
+            🔁 Find & replace
+          </button>
+          <button onClick={onQuality} className={`${btn} bg-teal-600 hover:bg-teal-700`}>
+            🩺 Check quality
+          </button>
+          <button onClick={onFixText} className={`${btn} bg-amber-600 hover:bg-amber-700`}>
+            ✨ Fix text
+          </button>
+          <button onClick={onEvaluate} disabled={!count} className={`${btn} bg-blue-600 hover:bg-blue-700`}>
+            🧪 Evaluate
+          </button>
+          <button onClick={onExport} disabled={!count} className={`${btn} bg-purple-600 hover:bg-purple-700`}>
+            ⬇️ Export
+          </button>
+          <button onClick={onDelete} disabled={!count} className={`${btn} bg-red-600 hover:bg-red-700`}>
+            🗑️ Delete
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// 🔎 Search + filters + sort (all mirrored into the URL)
+function FilterBar({ filters, onChange, flaggedCount, onPolicy, speakerIds, onBalance }) {
+  const [q, setQ] = useState(filters.q);
+  useEffect(() => setQ(filters.q), [filters.q]);
+
+  // ⌨️ Debounced search so typing stays smooth
+  useEffect(() => {
+    if (q === filters.q) return;
+    const t = setTimeout(() => onChange({ q }), 250);
+    return () => clearTimeout(t);
+  }, [q]);
+
+  const field = "border border-gray-300 rounded px-2 py-1 text-sm bg-white";
+  return (
+    <div className="w-full max-w-2xl bg-white/70 rounded-lg shadow-sm p-2 mb-3 text-sm text-left space-y-2">
+      <input
+        type="search"
+        placeholder="🔍 Search text or file name…"
+        value={q}
+        onChange={(e) => setQ(e.target.value)}
+        className={`${field} w-full`}
+      />
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="flex items-center space-x-1">
+          <input
+            type="checkbox"
+            checked={filters.empty}
+            onChange={(e) => onChange({ empty: e.target.checked })}
+          />
+          <span>Empty text</span>
+        </label>
+        <label className="flex items-center space-x-1" title="Transcripts that break the text policy">
+          <input
+            type="checkbox"
+            checked={filters.invalid}
+            onChange={(e) => onChange({ invalid: e.target.checked })}
+          />
+          <span>Needs fixing{flaggedCount ? ` (${flaggedCount})` : ""}</span>
+        </label>
+        <button onClick={onPolicy} className="hover:opacity-70" title="Text policy">
+          ⚙️
+        </button>
+        <select value={filters.prefix} onChange={(e) => onChange({ prefix: e.target.value })} className={field}>
+          <option value="">All files</option>
+          <option value="usr">usr_*</option>
+          <option value="wv">wv_*</option>
+          <option value="spk">Speaker-profile recordings</option>
+          <option value="read">Read sessions</option>
+          <option value="other">Other</option>
+        </select>
+        <input
+          type="date"
+          value={filters.from}
+          onChange={(e) => onChange({ from: e.target.value })}
+          className={field}
+          title="From date (from file name)"
+        />
+        <span>–</span>
+        <input
+          type="date"
+          value={filters.to}
+          onChange={(e) => onChange({ to: e.target.value })}
+          className={field}
+          title="To date (from file name)"
+        />
+        <select value={filters.sort} onChange={(e) => onChange({ sort: e.target.value })} className={field}>
+          <option value="order">Server order</option>
+          <option value="name">File name</option>
+          <option value="date">Recorded date</option>
+          <option value="length">Text length</option>
+          <option value="speaker">Speaker</option>
+        </select>
+        <button
+          onClick={() => onChange({ dir: filters.dir === "asc" ? "desc" : "asc" })}
+          className={field}
+          title="Toggle sort direction"
+        >
+          {filters.dir === "asc" ? "⬆️" : "⬇️"}
+        </button>
+        {hasActiveFilters(filters) && (
+          <button
+            onClick={() => onChange({ ...DEFAULT_FILTERS, sort: filters.sort, dir: filters.dir })}
+            className="text-indigo-700 hover:underline"
+          >
+            ✖ Clear
+          </button>
+        )}
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-gray-600">👥</span>
+        <select value={filters.speaker} onChange={(e) => onChange({ speaker: e.target.value })} className={field}>
+          <option value="">All speakers</option>
+          {speakerIds.map((id) => (
+            <option key={id} value={id}>{id}</option>
+          ))}
+        </select>
+        <select value={filters.gender} onChange={(e) => onChange({ gender: e.target.value })} className={field}>
+          <option value="">Any gender</option>
+          {GENDERS.map(([code, label]) => (
+            <option key={code} value={code}>{label}</option>
+          ))}
+        </select>
+        <select value={filters.age} onChange={(e) => onChange({ age: e.target.value })} className={field}>
+          <option value="">Any age</option>
+          {AGE_BANDS.map(([code, label]) => (
+            <option key={code} value={code}>{label}</option>
+          ))}
+        </select>
+        <select value={filters.dialect} onChange={(e) => onChange({ dialect: e.target.value })} className={field}>
+          <option value="">Any dialect</option>
+          {DIALECTS.map((d) => (
+            <option key={d} value={d}>{d}</option>
+          ))}
+        </select>
+        <select
+          value={filters.review}
+          onChange={(e) => onChange({ review: e.target.value })}
+          className={field}
+          title="Review status"
+        >
+          <option value="">Any review status</option>
+          {REVIEW_STATUSES.map(([code, label, icon]) => (
+            <option key={code} value={code}>{icon} {label}</option>
+          ))}
+        </select>
+        <button onClick={onBalance} className="text-indigo-700 hover:underline">
+          ⚖️ Balance
+        </button>
       </div>
     </div>
   );
 }
 
 // 🎵 Row Component
-function Row({ index, fileName, initialText, onSave, onDelete, onUpdated, onFocusRow }) {
+function Row({
+  index,
+  fileName,
+  initialText,
+  active,
+  selected,
+  onToggleSelect,
+  onSave,
+  onDelete,
+  onFocusRow,
+  annotate,
+  command,
+  onAdvance,
+  quality,
+  onTake,
+  textCheck,
+  onFixText,
+  speakerMeta,
+  review,
+  onReview,
+}) {
   const [val, setVal] = useState(initialText || "");
   const [editing, setEditing] = useState(false);
+
+  // 🔁 Pick up text changed elsewhere (refresh, bulk edits, normalization on save) unless mid-edit
+  useEffect(() => {
+    if (!editing) setVal(initialText || "");
+  }, [initialText, editing]);
   const [isRecording, setIsRecording] = useState(false);
   const [isPlaying, setIsPlaying] = useState(false);
   const mediaRecorderRef = useRef(null);
   const chunksRef = useRef([]);
   const audioRef = useRef(null);
+  const inputRef = useRef(null);
+  const lastCommandRef = useRef(command?.nonce); // ignore commands sent before mount
 
   const handlePlay = async () => {
     if (editing) return;
@@ -266,8 +1091,7 @@ function Row({ index, fileName, initialText, onSave, onDelete, onUpdated, onFocu
         setIsPlaying(false);
         return;
       }
-      const cleanName = fileName.replace(/^wavs\//, "");
-      const audioUrl = `${API_BASE}/record_archive/wavs/${encodeURIComponent(cleanName)}?_=${Date.now()}`;
+      const audioUrl = `${getAudioUrl(fileName)}?_=${Date.now()}`;
       const audio = new Audio(audioUrl);
       audioRef.current = audio;
       audio.playsInline = true;
@@ -304,16 +1128,9 @@ function Row({ index, fileName, initialText, onSave, onDelete, onUpdated, onFocu
 
       mediaRecorder.ondataavailable = (e) => chunksRef.current.push(e.data);
       mediaRecorder.onstop = async () => {
-        const blob = new Blob(chunksRef.current, { type: "audio/webm" });
-        const fd = new FormData();
-        fd.append("file", blob, "re_record.webm");
-        fd.append("file_name", fileName);
-        try {
-          const res = await axios.post(`${API_BASE}/dataset/update_audio`, fd);
-          if (res.data?.status === "ok") onUpdated();
-        } catch (err) {
-          console.error("❌ /dataset/update_audio failed:", err);
-        }
+        stream.getTracks().forEach((t) => t.stop());
+        const raw = new Blob(chunksRef.current, { type: mediaRecorder.mimeType || "audio/webm" });
+        onTake?.({ blob: await toWhisperWavSafe(raw), raw }); // ✂️ trimmed in the page's TrimDialog, then uploaded
       };
 
       mediaRecorder.start();
@@ -324,14 +1141,82 @@ function Row({ index, fileName, initialText, onSave, onDelete, onUpdated, onFocu
   };
 
   const toggleEdit = async () => {
-    if (editing) await onSave(val);
+    if (editing && !(await onSave(val))) return; // ⚠️ failed save keeps the typed text in edit mode
     setEditing(!editing);
     onFocusRow?.();
   };
 
+  // ⏪ Jump back 2 s (or replay the tail of a finished clip)
+  const handleReplay = async () => {
+    const audio = audioRef.current;
+    if (!audio) return handlePlay();
+    audio.currentTime = Math.max(0, audio.currentTime - 2);
+    try {
+      await audio.play();
+      setIsPlaying(true);
+    } catch (err) {
+      console.error("⚠️ Replay failed:", err);
+    }
+  };
+
+  // ⌨️ Commands from annotation mode (only the targeted row reacts)
+  useEffect(() => {
+    if (!command || command.file !== fileName || command.nonce === lastCommandRef.current) return;
+    lastCommandRef.current = command.nonce;
+    if (command.type === "play") handlePlay();
+    else if (command.type === "replay") handleReplay();
+    else if (command.type === "record") handleRecord();
+    else if (command.type === "edit" && !editing) setEditing(true);
+  }, [command]);
+
+  // ✍️ Keyboard edits start with the caret at the end of the text
+  useEffect(() => {
+    if (!annotate || !editing) return;
+    const el = inputRef.current;
+    el?.focus();
+    el?.setSelectionRange(el.value.length, el.value.length);
+  }, [editing]);
+
+  // 🔇 Leaving the row in annotation mode stops its playback
+  useEffect(() => {
+    if (annotate && !active && audioRef.current) {
+      audioRef.current.pause();
+      setIsPlaying(false);
+    }
+  }, [active]);
+
+  const handleEditKey = async (e) => {
+    if (!annotate || !editing) return;
+    if (e.key === "Enter") {
+      e.preventDefault();
+      const ok = await onSave(val);
+      if (!ok) return;
+      setEditing(false);
+      onAdvance?.();
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      setVal(initialText || "");
+      setEditing(false);
+      e.currentTarget.closest("[data-file]")?.focus();
+    }
+  };
+
   return (
-    <div className="row-item flex items-center justify-between border-b border-gray-200 pb-1">
+    <div
+      tabIndex={-1}
+      data-file={fileName}
+      className={`row-item flex items-center justify-between border-b border-gray-200 pb-1 rounded focus:outline-none ${
+        active ? "bg-indigo-50 ring-1 ring-indigo-300" : ""
+      }`}
+    >
       <div className="flex items-center space-x-2 w-full" onMouseDown={onFocusRow} onFocus={onFocusRow}>
+        <input
+          type="checkbox"
+          checked={!!selected}
+          onChange={onToggleSelect}
+          aria-label={`Select ${fileName}`}
+          className="shrink-0"
+        />
         <button
           onClick={handlePlay}
           disabled={editing}
@@ -360,14 +1245,15 @@ function Row({ index, fileName, initialText, onSave, onDelete, onUpdated, onFocu
           {editing ? "✔️" : "✏️"}
         </button>
 
-        <input
-          type="text"
+        <MnInput
+          ref={inputRef}
           value={val}
           readOnly={!editing}
-          onChange={(e) => setVal(e.target.value)}
+          onChange={setVal}
+          onKeyDown={handleEditKey}
           onFocus={onFocusRow}
           className={`border p-1 rounded text-sm truncate transition-all duration-300 ease-in-out ${
-            editing ? "bg-white" : "bg-gray-100 cursor-default"
+            editing ? "bg-white" : textCheck ? "bg-amber-50 border-amber-400 cursor-default" : "bg-gray-100 cursor-default"
           } focus:ring focus:ring-blue-200 focus:outline-none overflow-x-auto`}
           style={{
             fontSize: "0.95rem",
@@ -377,9 +1263,48 @@ function Row({ index, fileName, initialText, onSave, onDelete, onUpdated, onFocu
             maxWidth: "calc(100% - 90px)",
             letterSpacing: "0.2px",
           }}
+          title={textCheck && !editing ? describeIssues(textCheck.issues) : undefined}
         />
       </div>
 
+      {textCheck && !editing && (
+        textCheck.issues.some((i) => i.fixable) ? (
+          <button
+            onClick={() => onFixText(textCheck.fixed)}
+            className="ml-1 text-sm hover:opacity-70"
+            title={`${describeIssues(textCheck.issues)}\n\n→ ${textCheck.fixed}`}
+          >
+            ✨
+          </button>
+        ) : (
+          <span className="ml-1 text-sm cursor-help" title={describeIssues(textCheck.issues)}>⚠️</span>
+        )
+      )}
+
+      {speakerMeta?.speaker_id && (
+        <span
+          className="ml-1 shrink-0 px-1 rounded bg-sky-100 text-sky-800 text-[10px] font-mono cursor-help"
+          title={[describeSpeaker(speakerMeta), speakerMeta.mic, speakerMeta.environment, speakerMeta.browser]
+            .filter(Boolean)
+            .join("\n")}
+        >
+          {speakerMeta.speaker_id}
+          {speakerMeta.gender && speakerMeta.gender !== "u" ? ` ${speakerMeta.gender.toUpperCase()}` : ""}
+        </span>
+      )}
+
+      {review && review.status !== "unreviewed" && (
+        <button
+          onClick={onReview}
+          className="ml-1 shrink-0 text-sm hover:opacity-70"
+          title={`${describeReview(review)}\n\nClick to review again`}
+        >
+          {reviewIcon(review.status)}
+        </button>
+      )}
+
+      <QualityBadge metrics={quality} compact />
+
       <button
         onClick={onDelete}
         className="text-red-600 hover:text-red-800 ml-2 text-sm"
@@ -390,3 +1315,71 @@ function Row({ index, fileName, initialText, onSave, onDelete, onUpdated, onFocu
     </div>
   );
 }
+
+// ⌨️ On-screen cheat sheet for annotation mode
+function ShortcutSheet({ open, onToggle }) {
+  return (
+    <div className="w-full max-w-2xl bg-indigo-50 border border-indigo-200 rounded-lg p-2 mb-3 text-left text-xs">
+      <div className="flex items-center justify-between">
+        <span className="font-semibold text-indigo-800">⌨️ Annotation mode — keyboard only</span>
+        <button onClick={onToggle} className="text-indigo-700 hover:underline">
+          {open ? "Hide keys" : "Show keys (?)"}
+        </button>
+      </div>
+      {open && (
+        <ul className="grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-0.5 mt-1">
+          {SHORTCUTS.map((s) => (
+            <li key={s.label} className="flex items-center space-x-2">
+              <span className="shrink-0 w-20 text-right">
+                {s.keys.map((k) => (
+                  <kbd key={k} className="ml-1 px-1 bg-white border border-indigo-200 rounded font-mono">
+                    {k}
+                  </kbd>
+                ))}
+              </span>
+              <span className="text-gray-700">{s.label}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// ⚖️ How the visible rows spread over speakers, genders, age bands and dialects
+function SpeakerBalance({ metas }) {
+  const groups = [
+    ["Speaker", (m) => m.speaker_id || "unknown"],
+    ["Gender", (m) => (m.gender ? labelOf(GENDERS, m.gender) : "unknown")],
+    ["Age band", (m) => (m.age_band ? labelOf(AGE_BANDS, m.age_band) : "unknown")],
+    ["Dialect", (m) => m.dialect || "unknown"],
+  ];
+  return (
+    <div className="w-full max-w-2xl bg-white rounded-lg shadow p-3 mb-3 text-left text-xs grid grid-cols-1 sm:grid-cols-2 gap-3">
+      {groups.map(([title, keyOf]) => {
+        const counts = new Map();
+        metas.forEach((m) => counts.set(keyOf(m), (counts.get(keyOf(m)) || 0) + 1));
+        const rows = [...counts].sort((a, b) => b[1] - a[1]);
+        const max = Math.max(1, ...counts.values());
+        return (
+          <div key={title}>
+            <h4 className="font-semibold text-gray-800 mb-1">{title}</h4>
+            <ul className="space-y-0.5 max-h-40 overflow-y-auto">
+              {rows.map(([label, n]) => (
+                <li key={label} className="flex items-center space-x-2">
+                  <span className="w-24 truncate" title={label}>{label}</span>
+                  <span className="flex-1 h-2 bg-gray-100 rounded overflow-hidden">
+                    <span className="block h-full bg-sky-500" style={{ width: `${(n / max) * 100}%` }} />
+                  </span>
+                  <span className="w-16 text-right text-gray-600">
+                    {n} · {((n / metas.length) * 100).toFixed(0)}%
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,406 @@
+// ===============================================
+// 🧪 EvaluationPage — how well does the served model do on our data?
+// ✅ Dataset samples → /transcribe (bounded concurrency)
+// ✅ Per-sample + corpus WER/CER after text normalization
+// ✅ Worst offenders with aligned word diffs
+// ✅ Saved runs (IndexedDB) compared across deploys
+// ✅ CSV / JSON export
+// ===============================================
+
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { listSamples, isAbortError } from "../utils/api";
+import { sampleText } from "../utils/datasetFilters";
+import { scoreTranscript } from "../utils/wer";
+import {
+  runEvaluation,
+  summarizeRun,
+  saveRun,
+  listRuns,
+  deleteRun,
+  compareRuns,
+  exportRunCSV,
+  exportRunJSON,
+  SELECTION_KEY,
+} from "../utils/evaluation";
+import { useAbortScope } from "../utils/useAbortScope";
+import { BackendNotice } from "../components/statusBadge";
+
+const WORST_LIMIT = 15;
+const pct = (v) => `${(v * 100).toFixed(1)}%`;
+
+export default function EvaluationPage() {
+  const [samples, setSamples] = useState([]);
+  const [handover, setHandover] = useState(() => {
+    try {
+      return JSON.parse(sessionStorage.getItem(SELECTION_KEY) || "[]");
+    } catch {
+      return [];
+    }
+  });
+  const [scope, setScope] = useState(handover.length ? "selected" : "random");
+  const [randomN, setRandomN] = useState(50);
+  const [concurrency, setConcurrency] = useState(2);
+  const [label, setLabel] = useState("");
+  const [rows, setRows] = useState([]);
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [runs, setRuns] = useState([]);
+  const [viewing, setViewing] = useState(null); // saved run shown instead of the live one
+  const [baselineId, setBaselineId] = useState(null);
+  const [error, setError] = useState("");
+  const { renew, abort } = useAbortScope();
+
+  const device = /Mobi|Android/i.test(navigator.userAgent) ? "mobile" : "desktop";
+
+  useEffect(() => {
+    listSamples({ signal: renew("list") })
+      .then((data) => setSamples(data?.samples || []))
+      .catch((err) => !isAbortError(err) && setError(`Failed to load dataset: ${err.message}`));
+    listRuns().then(setRuns);
+  }, []);
+
+  // 🎯 Which samples to evaluate (only ones with ground-truth text)
+  const withText = useMemo(() => samples.filter((s) => sampleText(s).trim()), [samples]);
+  const pool = useMemo(() => {
+    if (scope === "selected") {
+      const names = new Set(handover);
+      return withText.filter((s) => names.has(s.file_name));
+    }
+    if (scope === "all") return withText;
+    // 🎲 Fisher–Yates, re-drawn when the dataset or N changes
+    const shuffled = [...withText];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled.slice(0, randomN);
+  }, [scope, withText, handover, randomN]);
+
+  const start = async () => {
+    setError("");
+    setViewing(null);
+    setRows([]);
+    setProgress({ done: 0, total: pool.length });
+    const signal = renew("run");
+    const collected = [];
+    try {
+      await runEvaluation(pool, {
+        concurrency,
+        device,
+        signal,
+        onProgress: ({ done, total }) => setProgress({ done, total }),
+        onResult: (row) => {
+          collected.push(row);
+          setRows((prev) => [...prev, row]);
+        },
+      });
+    } catch (err) {
+      if (!isAbortError(err) && err.name !== "AbortError") setError(err.message);
+    } finally {
+      setProgress(null);
+    }
+    if (!collected.length) return;
+    // ⏹️ Stopped early: a partial run would skew comparisons unless it's marked (and wanted)
+    if (
+      collected.length < pool.length &&
+      !window.confirm(`⏹️ Only ${collected.length} of ${pool.length} samples were scored. Save this partial run?`)
+    )
+      return;
+    try {
+      const run = await saveRun({ label, rows: collected, planned: pool.length });
+      setRuns((prev) => [run, ...prev]);
+    } catch (err) {
+      setError(`Run not saved: ${err.message}`);
+    }
+  };
+
+  const shown = viewing ? viewing.rows : rows;
+  const summary = useMemo(() => summarizeRun(shown), [shown]);
+  const baseline = runs.find((r) => r.id === baselineId) || null;
+  const current = viewing || (rows.length ? { summary, rows, label } : null);
+  const delta = baseline && current && baseline !== viewing ? compareRuns(baseline, current) : null;
+
+  const worst = useMemo(
+    () =>
+      shown
+        .filter((r) => !r.error && r.wer > 0)
+        .sort((a, b) => b.wer - a.wer || b.cer - a.cer)
+        .slice(0, WORST_LIMIT)
+        .map((r) => (r.alignment ? r : { ...r, alignment: scoreTranscript(r.reference, r.hypothesis).alignment })),
+    [shown]
+  );
+  const failed = shown.filter((r) => r.error);
+
+  const removeRun = async (run) => {
+    if (!window.confirm(`🗑️ Delete the saved run from ${new Date(run.createdAt).toLocaleString()}?`)) return;
+    await deleteRun(run.id);
+    setRuns((prev) => prev.filter((r) => r.id !== run.id));
+    if (viewing?.id === run.id) setViewing(null);
+    if (baselineId === run.id) setBaselineId(null);
+  };
+
+  const field = "border border-gray-300 rounded px-2 py-1 text-sm bg-white";
+  const busy = Boolean(progress);
+
+  return (
+    <div className="flex flex-col items-center space-y-4 text-left">
+      <h2 className="text-2xl font-bold text-blue-700">🧪 Model Evaluation</h2>
+      <BackendNotice action="evaluations" />
+
+      {/* ⚙️ Setup */}
+      <div className="w-full bg-white rounded-lg shadow p-3 text-sm space-y-2">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          <label className="flex flex-col">
+            <span className="text-xs text-gray-600">Samples ({withText.length} with text)</span>
+            <select value={scope} onChange={(e) => setScope(e.target.value)} disabled={busy} className={field}>
+              <option value="selected" disabled={!handover.length}>
+                Selected in Dataset Manager ({handover.length})
+              </option>
+              <option value="random">Random sample</option>
+              <option value="all">All with text</option>
+            </select>
+          </label>
+          {scope === "random" ? (
+            <label className="flex flex-col">
+              <span className="text-xs text-gray-600">How many</span>
+              <input
+                type="number"
+                min={1}
+                value={randomN}
+                onChange={(e) => setRandomN(Math.max(1, Number(e.target.value) || 1))}
+                disabled={busy}
+                className={field}
+              />
+            </label>
+          ) : scope === "selected" ? (
+            <div className="flex items-end">
+              <button
+                onClick={() => {
+                  sessionStorage.removeItem(SELECTION_KEY);
+                  setHandover([]);
+                  setScope("random");
+                }}
+                disabled={busy}
+                className="text-xs text-indigo-700 hover:underline"
+              >
+                Forget selection
+              </button>
+            </div>
+          ) : (
+            <div />
+          )}
+          <label className="flex flex-col">
+            <span className="text-xs text-gray-600">Run label (e.g. deploy / model version)</span>
+            <input value={label} onChange={(e) => setLabel(e.target.value)} disabled={busy} className={field} />
+          </label>
+          <label className="flex flex-col">
+            <span className="text-xs text-gray-600">Parallel requests</span>
+            <select
+              value={concurrency}
+              onChange={(e) => setConcurrency(Number(e.target.value))}
+              disabled={busy}
+              className={field}
+            >
+              {[1, 2, 3, 4].map((n) => (
+                <option key={n} value={n}>{n}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          {busy && (
+            <button onClick={() => abort("run")} className="px-3 py-1 bg-gray-500 text-white rounded hover:bg-gray-600">
+              ⏹️ Stop
+            </button>
+          )}
+          <button
+            onClick={start}
+            disabled={busy || !pool.length}
+            className="px-3 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:bg-gray-400"
+          >
+            {busy ? "⏳ Evaluating..." : `▶️ Evaluate ${pool.length}`}
+          </button>
+        </div>
+        {error && <p className="text-red-600 text-xs">⚠️ {error}</p>}
+        {progress && (
+          <div>
+            <div className="h-1.5 bg-gray-200 rounded overflow-hidden">
+              <div
+                className="h-full bg-indigo-500 transition-all"
+                style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 100}%` }}
+              />
+            </div>
+            <p className="text-xs text-gray-600 mt-1">⏳ {progress.done} / {progress.total}</p>
+          </div>
+        )}
+      </div>
+
+      {/* 📊 Results */}
+      {shown.length > 0 && (
+        <div className="w-full bg-white rounded-lg shadow p-3 text-sm">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <h3 className="font-semibold text-indigo-700">
+              📊 {viewing ? `Saved run — ${viewing.label || new Date(viewing.createdAt).toLocaleString()}` : "Current run"}
+            </h3>
+            <div className="space-x-2">
+              <button
+                onClick={() => exportRunCSV(current)}
+                className="px-2 py-1 bg-purple-600 text-white rounded text-xs hover:bg-purple-700"
+              >
+                ⬇️ CSV
+              </button>
+              <button
+                onClick={() => exportRunJSON(current)}
+                className="px-2 py-1 bg-purple-600 text-white rounded text-xs hover:bg-purple-700"
+              >
+                ⬇️ JSON
+              </button>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap gap-4 mt-2">
+            <Metric label="WER" value={pct(summary.wer)} delta={delta?.werDelta} />
+            <Metric label="CER" value={pct(summary.cer)} delta={delta?.cerDelta} />
+            <Metric label="Samples" value={summary.samples} />
+            {summary.failed > 0 && <Metric label="Failed" value={summary.failed} />}
+          </div>
+          {delta && (
+            <p className="text-xs text-gray-600 mt-1">
+              vs baseline “{baseline.label || new Date(baseline.createdAt).toLocaleString()}”: {delta.improved} improved ·{" "}
+              {delta.regressed} regressed · {delta.shared} shared samples
+            </p>
+          )}
+
+          {worst.length > 0 && (
+            <>
+              <h4 className="font-semibold text-gray-700 mt-3 mb-1">🔻 Worst offenders</h4>
+              <ul className="divide-y divide-gray-100 border rounded max-h-[420px] overflow-y-auto">
+                {worst.map((r) => (
+                  <li key={r.file_name} className="p-2">
+                    <div className="flex justify-between text-[11px] text-gray-500">
+                      <a href={`#/dataset/${encodeURIComponent(r.file_name)}`} className="font-mono hover:underline">
+                        {r.file_name}
+                      </a>
+                      <span>WER {pct(r.wer)} · CER {pct(r.cer)}</span>
+                    </div>
+                    <AlignedDiff alignment={r.alignment} />
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          {failed.length > 0 && (
+            <details className="mt-2 text-xs text-red-700">
+              <summary>⚠️ {failed.length} sample(s) failed</summary>
+              <ul>
+                {failed.map((r) => (
+                  <li key={r.file_name}>
+                    <span className="font-mono">{r.file_name}</span>: {r.error}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+        </div>
+      )}
+
+      {/* 🗄️ Saved runs */}
+      <div className="w-full bg-white rounded-lg shadow p-3 text-sm">
+        <h3 className="font-semibold text-indigo-700 mb-1">🗄️ Saved runs</h3>
+        {runs.length === 0 ? (
+          <p className="text-gray-500 text-xs">No runs yet — each finished evaluation is saved here.</p>
+        ) : (
+          <table className="w-full text-xs">
+            <thead className="text-gray-500">
+              <tr>
+                <th className="text-left font-normal">When</th>
+                <th className="text-left font-normal">Label / model</th>
+                <th className="text-right font-normal">N</th>
+                <th className="text-right font-normal">WER</th>
+                <th className="text-right font-normal">CER</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map((run) => (
+                <tr key={run.id} className={viewing?.id === run.id ? "bg-indigo-50" : ""}>
+                  <td className="py-0.5">{new Date(run.createdAt).toLocaleString()}</td>
+                  <td className="py-0.5">
+                    {run.label || "—"}
+                    {run.model && <span className="text-gray-500"> · {run.model}</span>}
+                    {run.partial && (
+                      <span className="text-amber-700" title={`Stopped after ${run.rows.length} of ${run.planned}`}>
+                        {" "}· ⏹️ partial
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-0.5 text-right">{run.summary.samples}</td>
+                  <td className="py-0.5 text-right">{pct(run.summary.wer)}</td>
+                  <td className="py-0.5 text-right">{pct(run.summary.cer)}</td>
+                  <td className="py-0.5 text-right space-x-2 whitespace-nowrap">
+                    <button onClick={() => setViewing(run)} className="text-indigo-700 hover:underline">
+                      View
+                    </button>
+                    <button
+                      onClick={() => setBaselineId(baselineId === run.id ? null : run.id)}
+                      className={baselineId === run.id ? "font-semibold text-amber-700" : "text-amber-700 hover:underline"}
+                    >
+                      {baselineId === run.id ? "★ Baseline" : "Baseline"}
+                    </button>
+                    <button onClick={() => removeRun(run)} className="text-red-600 hover:underline">
+                      ✖
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function Metric({ label, value, delta }) {
+  return (
+    <div className="bg-gray-50 rounded px-3 py-1">
+      <div className="text-[11px] text-gray-500">{label}</div>
+      <div className="text-lg font-semibold text-gray-800">
+        {value}
+        {delta != null && delta !== 0 && (
+          <span className={`ml-1 text-xs ${delta < 0 ? "text-green-700" : "text-red-700"}`}>
+            {delta > 0 ? "+" : ""}
+            {(delta * 100).toFixed(1)}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// 🟥🟩 Word alignment: substitutions, deletions (missed), insertions (extra)
+function AlignedDiff({ alignment }) {
+  return (
+    <p className="mt-0.5 leading-relaxed break-words">
+      {alignment.map((o, i) =>
+        o.op === "eq" ? (
+          <span key={i}>{o.ref} </span>
+        ) : o.op === "sub" ? (
+          <span key={i}>
+            <del className="bg-red-100 text-red-700">{o.ref}</del>
+            <ins className="bg-green-100 text-green-800 no-underline">{o.hyp}</ins>{" "}
+          </span>
+        ) : o.op === "del" ? (
+          <span key={i}>
+            <del className="bg-red-100 text-red-700">{o.ref}</del>{" "}
+          </span>
+        ) : (
+          <span key={i}>
+            <ins className="bg-green-100 text-green-800 no-underline">{o.hyp}</ins>{" "}
+          </span>
+        )
+      )}
+    </p>
+  );
+}
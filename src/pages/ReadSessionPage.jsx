@@ -0,0 +1,355 @@
+// ===============================================
+// 🗣️ ReadSessionPage — prompt-driven read-speech collection
+// ✅ Load a prompt corpus (TXT / CSV / TSV / JSONL)
+// ✅ Teleprompter: one large prompt at a time
+// ✅ Record with Recorder → trim → save audio + prompt via /dataset/add
+// ✅ Skip, re-take and flag prompts
+// ✅ Coverage tracked locally + against the dataset; unrecorded first
+// ✅ Takes carry the active speaker profile + session metadata
+// ===============================================
+
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import Recorder from "../components/recorder";
+import TrimEditor from "../components/waveformTrimmer";
+import QualityBadge from "../components/qualityBadge";
+import { BackendNotice } from "../components/statusBadge";
+import SpeakerPicker, { useSpeakers } from "../components/speakerPicker";
+import { useTextPolicy } from "../components/textPolicy";
+import { listSamples, isAbortError } from "../utils/api";
+import { useAbortScope } from "../utils/useAbortScope";
+import { analyzeBlob } from "../utils/quality";
+import { saveTake } from "../utils/saveTake";
+import { sampleText } from "../utils/datasetFilters";
+import { isTypingTarget } from "../utils/annotationKeys";
+import {
+  parseCorpus,
+  importCorpus,
+  listPrompts,
+  listCorpora,
+  inCorpus,
+  recordTake,
+  skipPrompt,
+  flagPrompt,
+  unflagPrompt,
+  removeCorpus,
+  coverageStats,
+  buildSession,
+  isCovered,
+  coverageKey,
+  coveredInDataset,
+  DEFAULT_SESSION_SIZE,
+} from "../utils/prompts";
+
+export default function ReadSessionPage() {
+  const [prompts, setPrompts] = useState([]);
+  const [datasetTexts, setDatasetTexts] = useState(null); // transcripts already on the server
+  const [corpus, setCorpus] = useState("");
+  const [size, setSize] = useState(DEFAULT_SESSION_SIZE);
+  const [queue, setQueue] = useState(null); // prompt keys of the running session
+  const [pos, setPos] = useState(0);
+  const [take, setTake] = useState(null); // { blob, originalBlob }
+  const [trimRange, setTrimRange] = useState(null);
+  const [quality, setQuality] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [done, setDone] = useState({ saved: 0, skipped: 0, flagged: 0 });
+  const [notice, setNotice] = useState("");
+  const [showFlagged, setShowFlagged] = useState(false);
+  const { active: speaker } = useSpeakers();
+  const textPolicy = useTextPolicy();
+  const { renew } = useAbortScope();
+
+  const refresh = () => listPrompts().then(setPrompts);
+
+  useEffect(() => {
+    refresh();
+    window.addEventListener("prompts-updated", refresh);
+    listSamples({ signal: renew("list") })
+      .then((data) => setDatasetTexts((data?.samples || []).map(sampleText)))
+      .catch((err) => !isAbortError(err) && console.warn("⚠️ Dataset coverage unavailable:", err.message));
+    return () => window.removeEventListener("prompts-updated", refresh);
+  }, []);
+
+  // ✅ Prompt keys already in the dataset (null while the list is unavailable)
+  const savedKeys = useMemo(
+    () => datasetTexts && new Set(datasetTexts.map((t) => coverageKey(t, textPolicy))),
+    [datasetTexts, textPolicy]
+  );
+  const datasetKeys = useMemo(
+    () => savedKeys && coveredInDataset(prompts, savedKeys, textPolicy),
+    [prompts, savedKeys, textPolicy]
+  );
+  const byKey = useMemo(() => new Map(prompts.map((p) => [p.key, p])), [prompts]);
+  const corpora = useMemo(() => listCorpora(prompts), [prompts]);
+  const scoped = useMemo(() => prompts.filter((p) => inCorpus(p, corpus)), [prompts, corpus]);
+  const stats = coverageStats(scoped, datasetKeys);
+  const current = queue ? byKey.get(queue[pos]) : null;
+  const finished = queue && pos >= queue.length;
+
+  // 🩺 Quality of the part that will be saved
+  useEffect(() => {
+    if (!take) return setQuality(null);
+    let cancelled = false;
+    analyzeBlob(take.blob, { range: trimRange, levelFrom: take.originalBlob })
+      .then((m) => !cancelled && setQuality(m))
+      .catch(() => !cancelled && setQuality(null));
+    return () => {
+      cancelled = true;
+    };
+  }, [take, trimRange]);
+
+  // 📂 Load a corpus file
+  const loadCorpus = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const sentences = parseCorpus(await file.text(), file.name);
+      if (!sentences.length) return setNotice("⚠️ No sentences found in that file.");
+      const name = file.name.replace(/\.[^.]+$/, "");
+      const { added, shared, duplicates } = await importCorpus(sentences, name);
+      setCorpus(name);
+      setNotice(
+        `📚 ${added} prompt(s) added to "${name}"` +
+          (shared ? ` · ${shared} shared with other corpora` : "") +
+          (duplicates ? ` · ${duplicates} already in it` : "")
+      );
+    } catch (err) {
+      console.error("❌ Corpus load failed:", err);
+      setNotice(`⚠️ Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const deleteCorpus = async () => {
+    if (!corpus || !window.confirm(`🗑️ Remove corpus "${corpus}" and its coverage history?`)) return;
+    await removeCorpus(corpus);
+    setCorpus("");
+  };
+
+  const startSession = () => {
+    const keys = buildSession(prompts, datasetKeys, { corpus, size });
+    if (!keys.length) return setNotice("⚠️ No prompts to read — load a corpus first.");
+    setQueue(keys);
+    setPos(0);
+    setTake(null);
+    setDone({ saved: 0, skipped: 0, flagged: 0 });
+    setNotice("");
+  };
+
+  const next = () => {
+    setTake(null);
+    setTrimRange(null);
+    setPos((p) => p + 1);
+  };
+
+  const handleStop = ({ blob, originalBlob }) => {
+    if (!blob || !current) return;
+    setTrimRange(null);
+    setTake({ blob, originalBlob: originalBlob || null });
+  };
+
+  // 💾 Save take with the prompt as its transcript
+  const save = async () => {
+    if (!take || !current || saving) return;
+    setSaving(true);
+    try {
+      // 🩺 The quality check is awaited inside — Enter right after stopping can't skip it
+      const res = await saveTake({
+        blob: take.blob,
+        raw: take.originalBlob,
+        range: trimRange,
+        text: current.text,
+        speaker,
+        policy: textPolicy,
+        source: "read",
+        device: /Mobi|Android/i.test(navigator.userAgent) ? "mobile" : "desktop",
+        askText: false, // the prompt is the script — the reader can't fix it
+      });
+      if (res.status === "cancelled") return res.reason && setNotice(`⚠️ ${res.reason}`);
+      await recordTake(current.key, res.fileName);
+      setNotice(res.status === "queued" ? "📥 Saved offline — will upload when the server is reachable." : "");
+      setDone((d) => ({ ...d, saved: d.saved + 1 }));
+      next();
+    } catch (err) {
+      console.error("❌ /dataset/add failed:", err);
+      setNotice(`⚠️ Save failed: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const skip = async () => {
+    if (!current) return;
+    await skipPrompt(current.key);
+    setDone((d) => ({ ...d, skipped: d.skipped + 1 }));
+    next();
+  };
+
+  const flag = async () => {
+    if (!current) return;
+    const note = window.prompt("🚩 Why flag this prompt? (typo, unreadable, offensive…)", "");
+    if (note === null) return;
+    await flagPrompt(current.key, note.trim());
+    setDone((d) => ({ ...d, flagged: d.flagged + 1 }));
+    next();
+  };
+
+  // ⌨️ Enter saves, → skips (outside text fields)
+  const keyRef = useRef(null);
+  keyRef.current = (e) => {
+    if (!current || isTypingTarget(e.target) || e.repeat) return;
+    if (e.key === "Enter" && take) {
+      e.preventDefault();
+      save();
+    } else if (e.key === "ArrowRight") {
+      e.preventDefault();
+      skip();
+    }
+  };
+  useEffect(() => {
+    const onKey = (e) => keyRef.current(e);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  const flaggedPrompts = scoped.filter((p) => p.flagged);
+  const btn = "px-3 py-1.5 rounded-lg text-white text-sm active:scale-95 disabled:bg-gray-400";
+
+  return (
+    <div className="flex flex-col items-center space-y-4">
+      <h2 className="text-2xl font-bold text-blue-700">🗣️ Read Session</h2>
+      <BackendNotice action="uploads" />
+
+      {/* 📚 Corpus + coverage */}
+      <div className="w-full bg-white rounded-lg shadow p-3 text-left text-sm space-y-2">
+        <div className="flex flex-wrap items-center gap-2">
+          <label className="px-3 py-1 bg-teal-600 text-white rounded-lg hover:bg-teal-700 cursor-pointer">
+            📂 Load prompts
+            <input type="file" accept=".txt,.csv,.tsv,.jsonl,.json" onChange={loadCorpus} className="hidden" />
+          </label>
+          <select
+            value={corpus}
+            onChange={(e) => setCorpus(e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1 bg-white"
+          >
+            <option value="">All corpora</option>
+            {corpora.map((c) => (
+              <option key={c} value={c}>{c}</option>
+            ))}
+          </select>
+          {corpus && (
+            <button onClick={deleteCorpus} className="text-xs text-red-600 hover:underline">
+              Remove
+            </button>
+          )}
+        </div>
+
+        <div>
+          <div className="h-2 bg-gray-200 rounded overflow-hidden">
+            <div
+              className="h-full bg-green-500 transition-all"
+              style={{ width: `${stats.total ? (stats.covered / stats.total) * 100 : 0}%` }}
+            />
+          </div>
+          <p className="text-xs text-gray-600 mt-1">
+            ✅ {stats.covered} / {stats.total} prompts covered
+            {stats.flagged > 0 && (
+              <>
+                {" · "}
+                <button onClick={() => setShowFlagged((v) => !v)} className="text-amber-700 hover:underline">
+                  🚩 {stats.flagged} flagged
+                </button>
+              </>
+            )}
+            {!datasetKeys && " · (dataset coverage unavailable)"}
+          </p>
+        </div>
+
+        {showFlagged && flaggedPrompts.length > 0 && (
+          <ul className="max-h-40 overflow-y-auto divide-y divide-gray-100 text-xs border rounded">
+            {flaggedPrompts.map((p) => (
+              <li key={p.key} className="p-1 flex items-center justify-between">
+                <span className="min-w-0 truncate">
+                  {p.text}
+                  {p.flagged.note && <span className="text-gray-500"> — {p.flagged.note}</span>}
+                </span>
+                <button onClick={() => unflagPrompt(p.key)} className="ml-2 shrink-0 text-indigo-700 hover:underline">
+                  Unflag
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex items-center gap-2">
+          <label className="flex items-center space-x-1">
+            <span>Prompts per session</span>
+            <input
+              type="number"
+              min={1}
+              value={size}
+              onChange={(e) => setSize(Math.max(1, Number(e.target.value) || 1))}
+              className="w-16 border border-gray-300 rounded px-1"
+            />
+          </label>
+          <button onClick={startSession} disabled={!scoped.length} className={`${btn} bg-indigo-600 hover:bg-indigo-700`}>
+            {queue ? "🔄 New session" : "▶️ Start session"}
+          </button>
+        </div>
+        {notice && <p className="text-xs text-gray-700">{notice}</p>}
+      </div>
+
+      {/* 📜 Teleprompter */}
+      {current && (
+        <>
+          <div className="w-full bg-white rounded-xl shadow-lg p-6">
+            <p className="text-xs text-gray-500 mb-2">
+              Prompt {pos + 1} / {queue.length}
+              {isCovered(current, datasetKeys) && " · already recorded — another take adds variety"}
+            </p>
+            <p className="text-3xl sm:text-4xl leading-snug font-medium text-gray-900 break-words">{current.text}</p>
+          </div>
+
+          <SpeakerPicker />
+
+          <Recorder onStop={handleStop} />
+
+          {take && (
+            <div className="w-full bg-white/70 p-3 rounded-xl shadow">
+              <TrimEditor blob={take.blob} onChange={setTrimRange} />
+              <div className="mt-2">
+                <QualityBadge metrics={quality} pending={!quality} />
+              </div>
+            </div>
+          )}
+
+          <div className="flex flex-wrap justify-center gap-2">
+            <button onClick={save} disabled={!take || saving} className={`${btn} bg-green-600 hover:bg-green-700`}>
+              {saving ? "💾 Saving..." : "💾 Save & next (Enter)"}
+            </button>
+            <button onClick={() => setTake(null)} disabled={!take || saving} className={`${btn} bg-orange-500 hover:bg-orange-600`}>
+              🔁 Re-take
+            </button>
+            <button onClick={skip} disabled={saving} className={`${btn} bg-gray-500 hover:bg-gray-600`}>
+              ⏭️ Skip (→)
+            </button>
+            <button onClick={flag} disabled={saving} className={`${btn} bg-amber-600 hover:bg-amber-700`}>
+              🚩 Flag prompt
+            </button>
+          </div>
+        </>
+      )}
+
+      {finished && (
+        <div className="w-full bg-white rounded-xl shadow p-6">
+          <p className="text-lg font-semibold text-green-700">🎉 Session complete</p>
+          <p className="text-sm text-gray-700 mt-1">
+            💾 {done.saved} saved · ⏭️ {done.skipped} skipped · 🚩 {done.flagged} flagged
+          </p>
+          <button onClick={startSession} className={`${btn} bg-indigo-600 hover:bg-indigo-700 mt-3`}>
+            ▶️ Next session
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,340 @@
+// ===============================================
+// 📊 StatsPage — where does the dataset stand?
+// ✅ Total hours vs target, computed from /dataset/list + decoded durations
+// ✅ Duration + characters-per-second histograms
+// ✅ Samples per speaker / device / day
+// ✅ Top-N vocabulary, out-of-alphabet characters, empty rooms
+// ✅ Cached locally; JSON export for progress reports
+// ===============================================
+
+import React, { useEffect, useMemo, useState } from "react";
+import { listSamples, isAbortError } from "../utils/api";
+import { useAbortScope } from "../utils/useAbortScope";
+import { downloadJSON, stampForFile } from "../utils/download";
+import { loadSampleMeta, resolveSampleMeta } from "../utils/speakers";
+import { useSpeakers } from "../components/speakerPicker";
+import {
+  loadDurations,
+  scanDurations,
+  computeStats,
+  saveReport,
+  loadReport,
+  getTargetHours,
+  saveTargetHours,
+  DEFAULT_TOP_N,
+} from "../utils/datasetStats";
+import { BackendNotice } from "../components/statusBadge";
+
+const fmtHours = (h) => (h >= 10 ? h.toFixed(1) : h.toFixed(2));
+const fmtSeconds = (s) => (s == null ? "—" : `${s.toFixed(1)} s`);
+
+export default function StatsPage() {
+  const [samples, setSamples] = useState(null);
+  const [durations, setDurations] = useState(() => new Map());
+  const [metaCache, setMetaCache] = useState(() => new Map());
+  const [cached] = useState(loadReport); // 💾 shown until the live report is ready
+  const [target, setTarget] = useState(getTargetHours);
+  const [topN, setTopN] = useState(DEFAULT_TOP_N);
+  const [scan, setScan] = useState(null); // { done, total }
+  const [notice, setNotice] = useState("");
+  const { profiles } = useSpeakers();
+  const { renew, abort } = useAbortScope();
+
+  const load = async () => {
+    setNotice("");
+    loadDurations().then(setDurations);
+    loadSampleMeta().then(setMetaCache);
+    try {
+      const data = await listSamples({ signal: renew("list") });
+      setSamples(data?.samples || []);
+    } catch (err) {
+      if (!isAbortError(err)) setNotice(`⚠️ Failed to load dataset: ${err.message}`);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const report = useMemo(
+    () =>
+      samples &&
+      computeStats(samples, durations, {
+        metaOf: (s) => resolveSampleMeta(s, metaCache, profiles),
+        topN,
+      }),
+    [samples, durations, metaCache, profiles, topN]
+  );
+
+  useEffect(() => {
+    if (report && !scan) saveReport({ ...report, targetHours: target });
+  }, [report, scan]);
+
+  const missing = samples ? samples.filter((s) => !durations.has(s.file_name)).length : 0;
+
+  // 🎧 Decode durations not cached yet
+  const runScan = async () => {
+    if (!samples || scan) return;
+    setScan({ done: 0, total: missing });
+    const signal = renew("scan");
+    const found = new Map();
+    const flush = () => setDurations((prev) => new Map([...prev, ...found]));
+    const timer = setInterval(flush, 1000); // batch re-renders while scanning
+    try {
+      const { scanned, failed } = await scanDurations(samples, durations, {
+        signal,
+        onDuration: (file, d) => found.set(file, d),
+        onProgress: ({ done, total }) => setScan({ done, total }),
+      });
+      setNotice(`🎧 ${scanned} measured${failed ? ` · ⚠️ ${failed} unreadable` : ""}`);
+    } catch (err) {
+      if (!isAbortError(err)) setNotice(`⚠️ Scan failed: ${err.message}`);
+    } finally {
+      clearInterval(timer);
+      flush();
+      setScan(null);
+    }
+  };
+
+  const updateTarget = (value) => {
+    const hours = Math.max(1, Number(value) || 1);
+    setTarget(hours);
+    saveTargetHours(hours);
+  };
+
+  const shown = report || cached;
+  const exportReport = () =>
+    downloadJSON({ ...shown, targetHours: target }, `dataset_stats_${stampForFile()}.json`);
+
+  return (
+    <div className="flex flex-col items-center space-y-4">
+      <h2 className="text-2xl font-bold text-blue-700">📊 Dataset Statistics</h2>
+      <BackendNotice action="stats" />
+
+      <div className="w-full bg-white rounded-lg shadow p-3 text-left text-sm space-y-2">
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            onClick={load}
+            className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 active:scale-95"
+          >
+            🔄 Refresh
+          </button>
+          {scan ? (
+            <button onClick={() => abort("scan")} className="px-3 py-1 bg-red-600 text-white rounded-lg hover:bg-red-700">
+              ⏹️ Stop ({scan.done} / {scan.total})
+            </button>
+          ) : (
+            <button
+              onClick={runScan}
+              disabled={!missing}
+              className="px-3 py-1 bg-teal-600 text-white rounded-lg hover:bg-teal-700 active:scale-95 disabled:bg-gray-400"
+              title="Download audio and read its duration (cached on this device)"
+            >
+              🎧 Measure durations{missing ? ` (${missing} missing)` : ""}
+            </button>
+          )}
+          <button
+            onClick={exportReport}
+            disabled={!shown}
+            className="px-3 py-1 bg-purple-600 text-white rounded-lg hover:bg-purple-700 active:scale-95 disabled:bg-gray-400"
+          >
+            ⬇️ Export JSON
+          </button>
+          <label className="flex items-center space-x-1 ml-auto">
+            <span>🎯 Target</span>
+            <input
+              type="number"
+              min={1}
+              value={target}
+              onChange={(e) => updateTarget(e.target.value)}
+              className="w-20 border border-gray-300 rounded px-1"
+            />
+            <span>h</span>
+          </label>
+        </div>
+        {notice && <p className="text-xs text-gray-700">{notice}</p>}
+        {!report && cached && (
+          <p className="text-xs text-gray-500">💾 Cached report from {new Date(cached.generatedAt).toLocaleString()}</p>
+        )}
+      </div>
+
+      {!shown ? (
+        <p className="text-gray-600 animate-pulse">Loading...</p>
+      ) : (
+        <StatsReport report={shown} target={target} topN={topN} onTopN={setTopN} />
+      )}
+    </div>
+  );
+}
+
+// 📋 All sections of one report (live or cached)
+function StatsReport({ report, target, topN, onTopN }) {
+  const progress = Math.min(1, report.hours / target);
+  return (
+    <>
+      <div className="w-full bg-white rounded-lg shadow p-3 text-left">
+        <div className="flex justify-between text-sm mb-1">
+          <span className="font-semibold text-gray-800">
+            ⏱️ {fmtHours(report.hours)} h of {target} h
+          </span>
+          <span className="text-gray-600">{(progress * 100).toFixed(1)}%</span>
+        </div>
+        <div className="h-3 bg-gray-200 rounded overflow-hidden">
+          <div className="h-full bg-green-500 transition-all" style={{ width: `${progress * 100}%` }} />
+        </div>
+        {report.timed < report.samples && (
+          <p className="text-[11px] text-amber-700 mt-1">
+            ⚠️ Durations known for {report.timed} / {report.samples} samples — measure the rest for an exact total.
+          </p>
+        )}
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mt-3">
+          <Metric label="Samples" value={report.samples} />
+          <Metric label="Labelled hours" value={fmtHours(report.labelledHours)} />
+          <Metric label="Median length" value={fmtSeconds(report.medianDuration)} />
+          <Metric label="Empty rooms" value={`${report.empty} · ${(report.emptyShare * 100).toFixed(1)}%`} />
+          <Metric label="Median chars/s" value={report.medianCps == null ? "—" : report.medianCps.toFixed(1)} />
+          <Metric label="Vocabulary" value={report.vocabularySize} />
+          <Metric label="Tokens" value={report.tokens} />
+          <Metric label="Speakers" value={report.perSpeaker.filter((s) => s.key !== "unknown").length} />
+        </div>
+      </div>
+
+      <div className="w-full grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <Section title="⏱️ Duration">
+          <Bars rows={report.durationHistogram.map((b) => ({ label: b.label, value: b.count }))} />
+        </Section>
+        <Section title="🗣️ Characters per second">
+          <Bars rows={report.cpsHistogram.map((b) => ({ label: b.label, value: b.count }))} />
+          <p className="text-[11px] text-gray-500 mt-1">Very low or very high rates usually mean a wrong transcript.</p>
+        </Section>
+        <Section title="👥 Per speaker">
+          <Bars rows={groupRows(report.perSpeaker)} />
+        </Section>
+        <Section title="📱 Per device">
+          <Bars rows={groupRows(report.perDevice)} />
+        </Section>
+      </div>
+
+      <Section title="📅 Per day" className="w-full">
+        <DayColumns days={report.perDay} />
+      </Section>
+
+      <div className="w-full grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <Section
+          title="📚 Top words"
+          extra={
+            <select value={topN} onChange={(e) => onTopN(Number(e.target.value))} className="border border-gray-300 rounded text-xs">
+              {[20, 50, 100, 200].map((n) => (
+                <option key={n} value={n}>Top {n}</option>
+              ))}
+            </select>
+          }
+        >
+          <ol className="max-h-72 overflow-y-auto text-xs columns-2 gap-4">
+            {report.topWords.map((w, i) => (
+              <li key={w.word} className="flex justify-between">
+                <span className="truncate">
+                  <span className="text-gray-400 mr-1">{i + 1}.</span>
+                  {w.word}
+                </span>
+                <span className="text-gray-600 ml-1">{w.count}</span>
+              </li>
+            ))}
+          </ol>
+        </Section>
+        <Section title="🔤 Out-of-alphabet characters">
+          {report.outOfAlphabet.length === 0 ? (
+            <p className="text-xs text-green-700">✅ Only Mongolian Cyrillic letters found.</p>
+          ) : (
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-gray-500 text-left">
+                  <th>Char</th>
+                  <th>Code</th>
+                  <th className="text-right">Count</th>
+                  <th className="text-right">Samples</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.outOfAlphabet.slice(0, 40).map((c) => (
+                  <tr key={c.code} title={`e.g. ${c.example}`}>
+                    <td className="font-mono">{c.char.trim() ? c.char : "␣"}</td>
+                    <td className="font-mono text-gray-500">{c.code}</td>
+                    <td className="text-right">{c.count}</td>
+                    <td className="text-right">{c.samples}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </Section>
+      </div>
+    </>
+  );
+}
+
+const groupRows = (groups) =>
+  groups.slice(0, 15).map((g) => ({
+    label: g.key,
+    value: g.count,
+    note: g.seconds ? `${(g.seconds / 60).toFixed(1)} min` : "",
+  }));
+
+function Section({ title, extra, className = "", children }) {
+  return (
+    <div className={`bg-white rounded-lg shadow p-3 text-left ${className}`}>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold text-gray-800 text-sm">{title}</h3>
+        {extra}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+function Metric({ label, value }) {
+  return (
+    <div className="bg-gray-50 rounded px-3 py-1">
+      <div className="text-[11px] text-gray-500">{label}</div>
+      <div className="text-lg font-semibold text-gray-800">{value}</div>
+    </div>
+  );
+}
+
+// 📊 Horizontal bars: [{ label, value, note? }]
+function Bars({ rows }) {
+  const max = Math.max(1, ...rows.map((r) => r.value));
+  return (
+    <ul className="space-y-0.5 text-xs">
+      {rows.map((r) => (
+        <li key={r.label} className="flex items-center space-x-2">
+          <span className="w-20 truncate" title={r.label}>{r.label}</span>
+          <span className="flex-1 h-2.5 bg-gray-100 rounded overflow-hidden">
+            <span className="block h-full bg-indigo-500" style={{ width: `${(r.value / max) * 100}%` }} />
+          </span>
+          <span className="w-24 text-right text-gray-600">
+            {r.value}
+            {r.note && <span className="text-gray-400"> · {r.note}</span>}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// 📅 One column per recording day (scrolls sideways for long histories)
+function DayColumns({ days }) {
+  const max = Math.max(1, ...days.map((d) => d.count));
+  return (
+    <div className="flex items-end gap-0.5 h-28 overflow-x-auto">
+      {days.map((d) => (
+        <div
+          key={d.key}
+          className={`w-3 shrink-0 rounded-t ${d.key === "undated" ? "bg-gray-400" : "bg-sky-500"}`}
+          style={{ height: `${Math.max(4, (d.count / max) * 100)}%` }}
+          title={`${d.key}: ${d.count} samples${d.seconds ? ` · ${(d.seconds / 60).toFixed(1)} min` : ""}`}
+        />
+      ))}
+    </div>
+  );
+}
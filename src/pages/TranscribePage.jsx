@@ -1,7 +1,21 @@
-import React, { useState, useEffect } from "react";
-import axios from "axios";
+import React, { useState, useEffect, useRef } from "react";
 import Recorder from "../components/recorder";
-import { API_BASE } from "../utils/api";
+import BatchTranscriber from "../components/batchTranscriber";
+import HistoryPanel from "../components/historyPanel";
+import TrimEditor from "../components/waveformTrimmer";
+import QualityBadge, { QualitySettings } from "../components/qualityBadge";
+import { BackendNotice } from "../components/statusBadge";
+import { transcribeAudio, isAbortError } from "../utils/api";
+import { useAbortScope } from "../utils/useAbortScope";
+import { createLiveTranscriber } from "../utils/liveTranscriber";
+import { addHistoryEntry } from "../utils/history";
+import { isBackendOnline, waitForBackend } from "../utils/backendStatus";
+import { analyzeBlob } from "../utils/quality";
+import { checkTranscript } from "../utils/mnText";
+import { saveTake } from "../utils/saveTake";
+import { useTextPolicy } from "../components/textPolicy";
+import MnInput from "../components/mnInput";
+import SpeakerPicker, { useSpeakers } from "../components/speakerPicker";
 
 export default function TranscribePage() {
   const [audioBlob, setAudioBlob] = useState(null);
@@ -10,7 +24,19 @@ export default function TranscribePage() {
   const [loading, setLoading] = useState(false);
   const [saved, setSaved] = useState(false);
   const [saving, setSaving] = useState(false); // ⏳ prevents double click
+  const [queued, setQueued] = useState(false); // 📥 kept offline, uploads later
   const [device, setDevice] = useState("desktop");
+  const [liveMode, setLiveMode] = useState(false); // 📡 partial transcripts while recording
+  const [partial, setPartial] = useState("");
+  const [trimRange, setTrimRange] = useState(null); // ✂️ kept part of the take (seconds)
+  const [rawBlob, setRawBlob] = useState(null); // 🎤 pre-conversion take (honest levels)
+  const [quality, setQuality] = useState(null); // 🩺 metrics of the part that will be saved
+  const [analyzing, setAnalyzing] = useState(false);
+  const [showThresholds, setShowThresholds] = useState(false);
+  const textPolicy = useTextPolicy();
+  const { active: speaker } = useSpeakers();
+  const liveRef = useRef(null);
+  const { renew, abort } = useAbortScope(); // 🛑 cancels /transcribe on unmount
 
   // 🔍 Detect device
   useEffect(() => {
@@ -18,42 +44,79 @@ export default function TranscribePage() {
     setDevice(isMobile ? "mobile" : "desktop");
   }, []);
 
+  // 🧹 Stop live streaming when leaving the page
+  useEffect(() => () => liveRef.current?.stop(), []);
+
+  // 📡 Live mode: start a rolling transcriber with each recording
+  const handleStart = ({ mimeType, stream }) => {
+    abort("transcribe"); // 🛑 a new take supersedes the previous upload
+    liveRef.current?.stop();
+    liveRef.current = null;
+    setPartial("");
+    if (!liveMode) return;
+    setText("");
+    const live = createLiveTranscriber({ device, onPartial: setPartial });
+    live.start(stream, mimeType);
+    liveRef.current = live;
+  };
+
   // 🎙️ Handle recording stop
-  const handleStop = async ({ blob }) => {
+  const handleStop = async ({ blob, originalBlob, duration }) => {
+    liveRef.current?.stop();
+    liveRef.current = null;
     if (!blob) return;
     setAudioBlob(blob);
+    setRawBlob(originalBlob || null);
+    setTrimRange(null);
     setSaved(false); // re-enable Save after new recording
-    setTimeout(() => sendAudio(blob), 300);
+    setQueued(false);
+    setTimeout(() => sendAudio(blob, duration, originalBlob), 300);
   };
 
+  // 🩺 Re-check quality for the current take / trim
+  useEffect(() => {
+    if (!audioBlob) return setQuality(null);
+    let cancelled = false;
+    setAnalyzing(true);
+    analyzeBlob(audioBlob, { range: trimRange, levelFrom: rawBlob })
+      .then((m) => !cancelled && setQuality(m))
+      .catch((err) => {
+        console.warn("⚠️ Quality analysis failed:", err);
+        if (!cancelled) setQuality(null);
+      })
+      .finally(() => !cancelled && setAnalyzing(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [audioBlob, rawBlob, trimRange]);
+
   // 🧠 Send blob to backend (inference only)
-  const sendAudio = async (blob) => {
+  const sendAudio = async (blob, duration = null, raw = null) => {
     setLoading(true);
     setText("🎧 Uploading audio… please wait");
 
-    const ext =
-      blob?.type?.includes("mp4")
-        ? "mp4"
-        : blob?.type?.includes("webm")
-        ? "webm"
-        : "wav";
-
-    const fd = new FormData();
-    fd.append("file", blob, `recording.${ext}`);
-    fd.append("device", device);
-
+    const signal = renew("transcribe");
     try {
-      const res = await axios.post(`${API_BASE}/transcribe`, fd, {
-        headers: { "Content-Type": "multipart/form-data" },
-      });
-      const t = res.data?.user_text || "";
+      // 🛰️ Hold the upload while Render wakes instead of letting it hang
+      if (!isBackendOnline()) {
+        setText("⏳ Waiting for the server to wake up…");
+        if (!(await waitForBackend({ signal }))) {
+          if (!signal.aborted) setText("⚠️ Server unreachable — record again later (you can still save).");
+          return;
+        }
+        setText("🎧 Uploading audio… please wait");
+      }
+      const data = await transcribeAudio(blob, device, { signal });
+      const t = data?.user_text || "";
       setText(t.length > 0 ? t : "No text recognized.");
+      addHistoryEntry({ text: t, blob, raw, device, duration }); // 🕘 keep every result
     } catch (err) {
+      if (isAbortError(err)) return setText("");
       console.error("❌ /transcribe failed:", err);
-      const msg = err.response?.data?.detail || err.message || "Transcription failed.";
-      setText(`⚠️ ${msg}`);
+      setText(`⚠️ ${err.message || "Transcription failed."}`);
     } finally {
       setLoading(false);
+      setPartial(""); // ✅ final text replaces the live preview
     }
   };
 
@@ -64,29 +127,24 @@ export default function TranscribePage() {
     if (saving || saved) return; // 🔒 block multiple clicks
 
     setSaving(true);
-
-    const now = new Date();
-    const pad = (n) => n.toString().padStart(2, "0");
-    const fileName = `usr001_${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(
-      now.getDate()
-    )}_${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}.wav`;
-
-    const fd = new FormData();
-    fd.append("file", audioBlob, fileName);
-    fd.append("text", manualText.trim());
-
     try {
-      const res = await axios.post(`${API_BASE}/dataset/add`, fd, {
-        headers: { "Content-Type": "multipart/form-data" },
+      // 👥🩺✨✂️📥 consent, quality, text policy, trim, upload queue
+      const res = await saveTake({
+        blob: audioBlob,
+        raw: rawBlob,
+        range: trimRange,
+        text: manualText,
+        speaker,
+        policy: textPolicy,
+        device,
       });
-
-      if (res.data?.status === "ok") {
-        setSaved(true);
-        setManualText("");
-        window.dispatchEvent(new Event("dataset-updated"));
-      } else {
-        alert("⚠️ Save may not have succeeded.");
+      if (res.status === "cancelled") return res.reason && alert(res.reason);
+      if (res.status === "queued") {
+        console.warn("📥 /dataset/add queued for retry:", res.error?.message);
+        setQueued(true);
       }
+      setSaved(true);
+      setManualText("");
     } catch (e) {
       console.error("❌ /dataset/add failed:", e);
       alert("Failed to save to dataset.");
@@ -97,11 +155,29 @@ export default function TranscribePage() {
 
   return (
     <div className="flex flex-col items-center space-y-4">
-      <Recorder onStop={handleStop} />
+      <BackendNotice action="transcriptions" />
+
+      <SpeakerPicker />
+
+      <Recorder onStop={handleStop} onStart={handleStart} />
+
+      <label className="flex items-center space-x-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={liveMode}
+          onChange={(e) => setLiveMode(e.target.checked)}
+        />
+        <span>📡 Live transcript while recording</span>
+      </label>
 
       <div className="w-full max-w-md mt-4 text-center">
-        {loading ? (
-          <p className="text-blue-700 animate-pulse">⏳ Transcribing...</p>
+        {partial ? (
+          <p className="bg-white/70 p-3 rounded-xl shadow text-gray-500 italic whitespace-pre-wrap">
+            📝 {partial}
+            {loading && <span className="ml-1 animate-pulse">…</span>}
+          </p>
+        ) : loading ? (
+          <p className="text-blue-700 animate-pulse">⏳ {text || "Transcribing..."}</p>
         ) : (
           <p className="bg-white p-3 rounded-xl shadow text-gray-700 whitespace-pre-wrap">
             {text ? `📝 ${text}` : "🎙️ Record to start transcription"}
@@ -109,34 +185,86 @@ export default function TranscribePage() {
         )}
       </div>
 
+      {audioBlob && !saved && (
+        <div className="w-full max-w-md bg-white/70 p-3 rounded-xl shadow">
+          <TrimEditor blob={audioBlob} onChange={setTrimRange} />
+          <div className="flex items-start justify-between mt-2 space-x-2">
+            <QualityBadge metrics={quality} pending={analyzing && !quality} />
+            <button
+              onClick={() => setShowThresholds((v) => !v)}
+              className="text-xs text-gray-600 hover:text-gray-900 shrink-0"
+              title="Quality thresholds"
+            >
+              ⚙️
+            </button>
+          </div>
+          {showThresholds && (
+            <div className="mt-2">
+              <QualitySettings onClose={() => setShowThresholds(false)} />
+            </div>
+          )}
+        </div>
+      )}
+
       <div className="mt-4 w-full max-w-md">
-        <input
-          type="text"
-          placeholder="Enter corresponding text for this recording..."
-          value={manualText}
-          onChange={(e) => setManualText(e.target.value)}
-          className="w-full p-2 rounded-lg border border-blue-300 focus:ring focus:ring-blue-200"
-          disabled={saving || saved}
-        />
+        <div className="flex items-center space-x-2">
+          <MnInput
+            placeholder="Enter corresponding text for this recording..."
+            value={manualText}
+            onChange={setManualText}
+            className="flex-1 min-w-0 p-2 rounded-lg border border-blue-300 focus:ring focus:ring-blue-200"
+            disabled={saving || saved}
+          />
+        </div>
+        <TextHint text={manualText} policy={textPolicy} onFix={setManualText} />
 
         <button
           onClick={saveToCSV}
-          disabled={saving || saved} // 🔒 disable after one click
+          disabled={saving || saved || analyzing} // 🔒 disable after one click · 🩺 wait for the check
           className={`mt-2 px-4 py-2 rounded-lg text-white transition ${
-            saving || saved
+            saving || saved || analyzing
               ? "bg-gray-400 cursor-not-allowed"
               : "bg-green-600 hover:bg-green-700 active:scale-95"
           }`}
         >
-          {saving ? "💾 Saving..." : saved ? "✔ Saved!" : "💾 Save to CSV DB"}
+          {saving ? "💾 Saving..." : saved ? "✔ Saved!" : analyzing ? "🩺 Checking…" : "💾 Save to CSV DB"}
         </button>
 
-        {saved && <p className="text-green-700 mt-2">✅ Saved successfully!</p>}
+        {saved && !queued && <p className="text-green-700 mt-2">✅ Saved successfully!</p>}
+        {saved && queued && (
+          <p className="text-amber-700 mt-2">📥 Saved offline — will upload when the server is reachable.</p>
+        )}
       </div>
 
+      <HistoryPanel />
+
+      <BatchTranscriber device={device} />
+
       <p className="text-xs text-gray-400 mt-2">
         Device: <span className="font-mono">{device}</span>
       </p>
     </div>
   );
 }
+
+// ✨ Live policy check under the transcript input
+function TextHint({ text, policy, onFix }) {
+  if (!text.trim()) return null;
+  const { fixed, issues } = checkTranscript(text, policy);
+  if (!issues.length) return null;
+  const fixable = issues.some((i) => i.fixable);
+  return (
+    <div className="mt-1 text-xs text-left text-amber-800 bg-amber-50 border border-amber-200 rounded p-1">
+      <ul>
+        {issues.map((i) => (
+          <li key={i.type}>{i.fixable ? "✨" : "⚠️"} {i.message}</li>
+        ))}
+      </ul>
+      {fixable && (
+        <button onClick={() => onFix(fixed)} className="mt-0.5 text-indigo-700 hover:underline">
+          Fix now → <span className="font-medium">{fixed}</span>
+        </button>
+      )}
+    </div>
+  );
+}
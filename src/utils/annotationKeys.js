@@ -0,0 +1,50 @@
+// ==========================================
+// ⌨️ Annotation shortcuts — keyboard-only transcription in Dataset Manager
+// ✅ One key map shared by the handler and the on-screen cheat sheet
+// ==========================================
+
+// 📋 Cheat sheet rows (what the user sees)
+export const SHORTCUTS = [
+  { keys: ["J", "↓"], label: "Next row" },
+  { keys: ["K", "↑"], label: "Previous row" },
+  { keys: ["N"], label: "Next row with empty text" },
+  { keys: ["Space"], label: "Play / pause" },
+  { keys: ["R"], label: "Replay last 2 seconds" },
+  { keys: ["M"], label: "Start / stop re-record" },
+  { keys: ["E", "Enter"], label: "Edit text" },
+  { keys: ["Enter"], label: "While editing: save & go to next empty row" },
+  { keys: ["Esc"], label: "Cancel edit · leave annotation mode" },
+  { keys: ["Del"], label: "Delete row (asks first)" },
+  { keys: ["?"], label: "Show / hide this sheet" },
+];
+
+const KEYMAP = {
+  j: "next",
+  ArrowDown: "next",
+  k: "prev",
+  ArrowUp: "prev",
+  n: "nextEmpty",
+  " ": "play",
+  r: "replay",
+  m: "record",
+  e: "edit",
+  Enter: "edit",
+  Delete: "delete",
+  Backspace: "delete",
+  "?": "help",
+  Escape: "exit",
+};
+
+// 🎹 KeyboardEvent → command name (null when unbound or a modifier is held)
+export function commandForKey(e) {
+  if (e.ctrlKey || e.metaKey || e.altKey) return null;
+  const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+  return KEYMAP[key] || null;
+}
+
+// ✍️ Keys typed into a real text field belong to that field
+export function isTypingTarget(el) {
+  if (!el) return false;
+  if (el.isContentEditable || el.tagName === "TEXTAREA" || el.tagName === "SELECT") return true;
+  return el.tagName === "INPUT" && !el.readOnly && !["checkbox", "radio", "button", "range"].includes(el.type);
+}
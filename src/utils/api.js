@@ -1,11 +1,16 @@
 // ==========================================
-// 🌐 API Utility for Mongolian Whisper Frontend
-// Version: 2.0 — Unified Storage Edition
+// 🌐 API Client for Mongolian Whisper Frontend
+// Version: 3.0 — Unified Client Edition
 // ✅ Works with /record_archive/wavs/* (no /uploads)
 // ✅ Supports /transcribe and /dataset/* routes
+// ✅ Per-route timeouts + backoff retries for idempotent calls
+// ✅ AbortController cancellation (signal on every call)
+// ✅ Structured ApiError that surfaces FastAPI `detail`
 // ✅ Mobile-safe + timestamped filenames
 // ==========================================
 
+import axios from "axios";
+
 // 🧭 Dynamic backend endpoint (local or Render)
 export const API_BASE =
   import.meta.env.VITE_API_BASE ||
@@ -16,151 +21,286 @@ export const API_BASE =
 // 🪄 Startup log (for sanity check)
 console.log(`🛰️ API_BASE in use → ${API_BASE}`);
 
+const http = axios.create({ baseURL: API_BASE });
+
+// 🗺️ Route table — timeout (ms) and how many times an idempotent call is retried
+const ROUTES = {
+  health: { method: "get", path: "/", timeout: 10000, retries: 0 },
+  transcribe: { method: "post", path: "/transcribe", timeout: 120000, retries: 1 },
+  list: { method: "get", path: "/dataset/list", timeout: 20000, retries: 3 },
+  add: { method: "post", path: "/dataset/add", timeout: 60000, retries: 0 },
+  addEmpty: { method: "post", path: "/dataset/add_empty", timeout: 20000, retries: 0 },
+  update: { method: "post", path: "/dataset/update", timeout: 20000, retries: 2 },
+  updateAudio: { method: "post", path: "/dataset/update_audio", timeout: 60000, retries: 2 },
+  delete: { method: "post", path: "/dataset/delete", timeout: 20000, retries: 0 },
+  export: { method: "get", path: "/dataset/export", timeout: 180000, retries: 1 },
+  cleanup: { method: "post", path: "/dataset/cleanup", timeout: 60000, retries: 0 },
+  audio: { method: "get", path: "/record_archive/wavs", timeout: 30000, retries: 2 },
+};
+
+const BACKOFF_BASE_MS = 800;
+const BACKOFF_MAX_MS = 8000;
+
+// ❗ Structured error for every failed call
+export class ApiError extends Error {
+  constructor(message, { route, status = null, detail = null, kind = "http", cause } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.route = route;
+    this.status = status; // HTTP status (null for network/timeout/abort)
+    this.detail = detail; // FastAPI `detail` (string or validation list)
+    this.kind = kind; // "http" | "network" | "timeout" | "aborted"
+    this.cause = cause;
+  }
+
+  get isAborted() {
+    return this.kind === "aborted";
+  }
+
+  // 🔁 Worth retrying: connectivity, timeouts, 5xx, 429 (Render cold start)
+  get isTransient() {
+    return (
+      this.kind === "network" ||
+      this.kind === "timeout" ||
+      this.status === 429 ||
+      (this.status != null && this.status >= 500)
+    );
+  }
+}
+
+export const isAbortError = (err) => err?.isAborted || axios.isCancel?.(err);
+
+// 🧾 FastAPI detail → readable message
+function formatDetail(detail) {
+  if (!detail) return "";
+  if (typeof detail === "string") return detail;
+  if (Array.isArray(detail))
+    return detail.map((d) => (d.loc ? `${d.loc.join(".")}: ${d.msg}` : d.msg || JSON.stringify(d))).join("; ");
+  return JSON.stringify(detail);
+}
+
+async function toApiError(err, route) {
+  if (axios.isCancel(err) || err?.name === "CanceledError")
+    return new ApiError("Request cancelled", { route, kind: "aborted", cause: err });
+  if (err?.code === "ECONNABORTED" || err?.code === "ETIMEDOUT")
+    return new ApiError(`Request timed out (${route})`, { route, kind: "timeout", cause: err });
+  if (!err?.response)
+    return new ApiError(err?.message || "Network error", { route, kind: "network", cause: err });
+
+  const { status, statusText } = err.response;
+  let data = err.response.data;
+  if (data instanceof Blob) {
+    const text = await data.text().catch(() => "");
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = text;
+    }
+  }
+  const detail = data?.detail ?? (typeof data === "string" ? data : null);
+  const message = formatDetail(detail) || `${status} ${statusText || "error"}`;
+  return new ApiError(message, { route, status, detail, kind: "http", cause: err });
+}
+
+// ⏳ Backoff sleep that wakes early on abort
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new ApiError("Request cancelled", { kind: "aborted" }));
+    const t = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(t);
+        reject(new ApiError("Request cancelled", { kind: "aborted" }));
+      },
+      { once: true }
+    );
+  });
+
+const backoff = (attempt) =>
+  Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt) * (0.75 + Math.random() * 0.5);
+
+// 🔌 Interceptor hook — fn(config) may add headers (auth, tracing…). Returns an unsubscribe.
+export function addRequestInterceptor(fn) {
+  const id = http.interceptors.request.use(async (config) => (await fn(config)) || config);
+  return () => http.interceptors.request.eject(id);
+}
+
+// 🚀 Core request: timeout, retries (idempotent routes only), cancellation
+export async function request(
+  routeName,
+  { path, data, params, signal, onUploadProgress, responseType, headers, silent = false } = {}
+) {
+  const route = ROUTES[routeName];
+  if (!route) throw new Error(`Unknown API route: ${routeName}`);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const res = await http.request({
+        method: route.method,
+        url: path || route.path,
+        timeout: route.timeout,
+        data,
+        params,
+        signal,
+        onUploadProgress,
+        responseType,
+        headers,
+      });
+      return res;
+    } catch (raw) {
+      const err = await toApiError(raw, routeName);
+      if (err.isAborted || !err.isTransient || attempt >= route.retries) {
+        if (!err.isAborted && !silent) console.error(`🚨 ${routeName} failed:`, err.message);
+        throw err;
+      }
+      console.warn(`🔁 ${routeName} retry ${attempt + 1}/${route.retries}: ${err.message}`);
+      await sleep(backoff(attempt), signal);
+    }
+  }
+}
+
+// 🎧 File extension matching the blob's real container
+export function extForBlob(blob) {
+  const named = blob?.name?.match(/\.([a-z0-9]{2,4})$/i)?.[1]; // picked File
+  if (named) return named.toLowerCase();
+  return blob?.type?.includes("mp4")
+    ? "mp4"
+    : blob?.type?.includes("webm")
+    ? "webm"
+    : "wav";
+}
+
 // 🧩 Simple timestamp-based filename (usr_YYYYMMDD_HHMMSS.wav)
-export function generateFileName(prefix = "usr") {
+export function generateFileName(prefix = "usr", ext = "wav") {
   const now = new Date();
   const pad = (n) => n.toString().padStart(2, "0");
   return `${prefix}_${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(
     now.getDate()
-  )}_${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}.wav`;
-}
-
-// 🔹 Generic response handler
-async function handleResponse(res) {
-  if (!res.ok) {
-    const text = await res.text();
-    console.error(`❌ API Error [${res.status} ${res.statusText}] →`, text);
-    throw new Error(`${res.status} ${res.statusText}: ${text}`);
-  }
-  return res.json();
+  )}_${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}.${ext}`;
 }
 
 // 🎙️ Transcribe audio file (handles iOS/Android blobs too)
-export async function transcribeAudio(blob, device = "desktop") {
-  const ext =
-    blob?.type?.includes("mp4")
-      ? "mp4"
-      : blob?.type?.includes("webm")
-      ? "webm"
-      : "wav";
-
+export async function transcribeAudio(blob, device = "desktop", { signal, onUploadProgress } = {}) {
   const fd = new FormData();
-  fd.append("file", blob, `recording.${ext}`);
+  fd.append("file", blob, `recording.${extForBlob(blob)}`);
   fd.append("device", device);
-
-  try {
-    const res = await fetch(`${API_BASE}/transcribe`, {
-      method: "POST",
-      body: fd,
-    });
-    return await handleResponse(res);
-  } catch (err) {
-    console.error("🚨 transcribeAudio failed:", err.message);
-    throw err;
-  }
+  const res = await request("transcribe", { data: fd, signal, onUploadProgress });
+  return res.data;
 }
 
 // 🗂️ Fetch dataset list
-export async function listSamples() {
-  try {
-    const res = await fetch(`${API_BASE}/dataset/list`, {
-      headers: { "Cache-Control": "no-cache" },
-    });
-    return await handleResponse(res);
-  } catch (err) {
-    console.error("🚨 listSamples failed:", err.message);
-    throw err;
-  }
+export async function listSamples({ signal } = {}) {
+  const res = await request("list", {
+    params: { _: Date.now() },
+    headers: { "Cache-Control": "no-cache" },
+    signal,
+  });
+  return res.data;
 }
 
 // ➕ Add new dataset sample (auto filename if missing)
-export async function addSample(file, text, fileName = null) {
-  const ext =
-    file?.type?.includes("mp4")
-      ? "mp4"
-      : file?.type?.includes("webm")
-      ? "webm"
-      : "wav";
-
-  const name = fileName || generateFileName("usr");
+//    meta: speaker/session fields (see utils/speakers) — sent as speaker_id + JSON "metadata"
+export async function addSample(file, text, fileName = null, { signal, meta = null } = {}) {
+  const name = fileName || generateFileName("usr", extForBlob(file));
   const fd = new FormData();
   fd.append("file", file, name);
   fd.append("text", text);
-
-  try {
-    const res = await fetch(`${API_BASE}/dataset/add`, {
-      method: "POST",
-      body: fd,
-    });
-    return await handleResponse(res);
-  } catch (err) {
-    console.error("🚨 addSample failed:", err.message);
-    throw err;
+  if (meta) {
+    fd.append("speaker_id", meta.speaker_id || "");
+    fd.append("metadata", JSON.stringify(meta));
   }
+  const res = await request("add", { data: fd, signal });
+  return res.data;
+}
+
+// 🏠 Add an empty "voice room" to fill in later
+export async function addEmptySample({ signal } = {}) {
+  const res = await request("addEmpty", { signal });
+  return res.data;
 }
 
 // ✏️ Update existing dataset entry
-export async function updateSample(fileName, newText) {
+export async function updateSample(fileName, newText, { signal } = {}) {
   const fd = new FormData();
   fd.append("file_name", fileName);
   fd.append("new_text", newText);
+  const res = await request("update", { data: fd, signal });
+  return res.data;
+}
 
-  try {
-    const res = await fetch(`${API_BASE}/dataset/update`, {
-      method: "POST",
-      body: fd,
-    });
-    return await handleResponse(res);
-  } catch (err) {
-    console.error("🚨 updateSample failed:", err.message);
-    throw err;
-  }
+// 🎤 Replace audio of an existing dataset entry (re-record)
+export async function updateSampleAudio(fileName, blob, { signal } = {}) {
+  const fd = new FormData();
+  fd.append("file", blob, `re_record.${extForBlob(blob)}`);
+  fd.append("file_name", fileName);
+  const res = await request("updateAudio", { data: fd, signal });
+  return res.data;
 }
 
 // 🗑️ Delete dataset entry
-export async function deleteSample(fileName) {
+export async function deleteSample(fileName, { signal } = {}) {
   const fd = new FormData();
   fd.append("file_name", fileName);
+  const res = await request("delete", { data: fd, signal });
+  return res.data;
+}
 
-  try {
-    const res = await fetch(`${API_BASE}/dataset/delete`, {
-      method: "POST",
-      body: fd,
-    });
-    return await handleResponse(res);
-  } catch (err) {
-    console.error("🚨 deleteSample failed:", err.message);
-    throw err;
+// ⬇️ Server-built dataset ZIP → { blob, filename }
+export async function exportDataset({ signal } = {}) {
+  const res = await request("export", {
+    params: { _: Date.now() },
+    headers: { "Cache-Control": "no-cache" },
+    responseType: "blob",
+    signal,
+  });
+
+  const ct = (res.headers["content-type"] || "").toLowerCase();
+  if (!ct.includes("application/zip")) {
+    const text = await new Response(res.data).text().catch(() => "");
+    throw new ApiError(text || "Download error.", { route: "export", status: res.status });
   }
+
+  const cd = res.headers["content-disposition"] || "";
+  const match = cd.match(/filename="?([^"]+)"?/i);
+  const filename =
+    match?.[1] ||
+    `MongolianWhisper_FullDataset_${new Date().toISOString().replace(/[:.]/g, "_")}.zip`;
+  return { blob: new Blob([res.data], { type: "application/zip" }), filename };
+}
+
+// 🎧 Download a sample's audio as a Blob (backups, analysis, export)
+export async function fetchSampleAudio(fileName, { signal } = {}) {
+  const res = await request("audio", {
+    path: getAudioUrl(fileName).slice(API_BASE.length),
+    params: { _: Date.now() },
+    responseType: "blob",
+    signal,
+  });
+  return res.data;
 }
 
 // 🔊 Build playback URL for any file (desktop + mobile)
 export function getAudioUrl(fileName) {
   if (fileName.startsWith("/record_archive"))
     return `${API_BASE}${fileName}`;
-  if (fileName.startsWith("wavs/"))
-    return `${API_BASE}/record_archive/${fileName}`;
-  return `${API_BASE}/record_archive/wavs/${fileName}`;
+  const clean = fileName.replace(/^wavs\//, "");
+  return `${API_BASE}/record_archive/wavs/${encodeURIComponent(clean)}`;
 }
 
 // 🧹 Cleanup orphan files (usr_*, wv_*, temp_*)
-export async function cleanupOrphans() {
-  try {
-    const res = await fetch(`${API_BASE}/dataset/cleanup`, { method: "POST" });
-    return await handleResponse(res);
-  } catch (err) {
-    console.error("🚨 cleanupOrphans failed:", err.message);
-    throw err;
-  }
+export async function cleanupOrphans({ signal } = {}) {
+  const res = await request("cleanup", { signal });
+  return res.data;
 }
 
-// 🧠 Optional — backend health check
-export async function checkHealth() {
+// 🧠 Optional — backend health check (null when unreachable)
+export async function checkHealth({ signal } = {}) {
   try {
-    const res = await fetch(`${API_BASE}/`);
-    return await handleResponse(res);
+    const res = await request("health", { signal });
+    return res.data;
   } catch (err) {
-    console.error("🚨 Backend unreachable:", err.message);
+    if (!isAbortError(err)) console.error("🚨 Backend unreachable:", err.message);
     return null;
   }
 }
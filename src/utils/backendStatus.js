@@ -0,0 +1,133 @@
+// ==========================================
+// 🛰️ Backend Status — Render cold-start aware health monitor
+// ✅ One shared polling loop, however many components listen
+// ✅ "waking" while a ping hangs or 5xx/network errors persist
+// ✅ Latency once the backend answers
+// ==========================================
+
+import { useEffect, useState } from "react";
+import { request } from "./api";
+
+const SLOW_PING_MS = 2500; // a ping slower than this looks like a cold start
+const WAKE_GIVE_UP_MS = 120000; // Render free tier usually wakes within ~60s
+const POLL_MS = { online: 30000, waking: 3000, offline: 10000, checking: 3000 };
+
+// status: "checking" | "waking" | "online" | "offline"
+let state = { status: "checking", latency: null, wakingSince: null, error: null };
+const listeners = new Set();
+
+const set = (patch) => {
+  state = { ...state, ...patch };
+  listeners.forEach((fn) => fn(state));
+};
+
+export const getBackendStatus = () => state;
+export const isBackendOnline = () => state.status === "online";
+
+export function subscribeBackendStatus(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+let timer = null;
+let inFlight = null;
+let monitors = 0;
+
+const schedule = () => {
+  clearTimeout(timer);
+  if (monitors > 0) timer = setTimeout(ping, POLL_MS[state.status] || POLL_MS.checking);
+};
+
+const startWaking = (since) =>
+  set({ status: "waking", wakingSince: state.wakingSince ?? since, latency: null });
+
+// 🏓 One health probe (shared if already running)
+export function ping() {
+  if (inFlight) return inFlight;
+  if (!navigator.onLine) {
+    set({ status: "offline", error: "No network connection", wakingSince: null, latency: null });
+    schedule();
+    return Promise.resolve(state);
+  }
+
+  const t0 = performance.now();
+  const startedAt = Date.now();
+  const slow = setTimeout(() => startWaking(startedAt), SLOW_PING_MS);
+
+  inFlight = request("health", { silent: true })
+    .then(() => {
+      set({ status: "online", latency: Math.round(performance.now() - t0), wakingSince: null, error: null });
+    })
+    .catch((err) => {
+      // 4xx still means the server answered
+      if (!err.isTransient) {
+        set({ status: "online", latency: Math.round(performance.now() - t0), wakingSince: null, error: null });
+        return;
+      }
+      const since = state.wakingSince ?? startedAt;
+      if (state.status === "offline" || Date.now() - since > WAKE_GIVE_UP_MS)
+        set({ status: "offline", error: err.message, wakingSince: null, latency: null });
+      else {
+        startWaking(startedAt);
+        set({ error: err.message });
+      }
+    })
+    .finally(() => {
+      clearTimeout(slow);
+      inFlight = null;
+      schedule();
+    })
+    .then(() => state);
+  return inFlight;
+}
+
+// ▶️ Start polling (ref-counted); returns a stop function
+export function startBackendMonitor() {
+  monitors++;
+  if (monitors === 1) {
+    window.addEventListener("online", ping);
+    window.addEventListener("offline", ping);
+    ping();
+  }
+  return () => {
+    monitors--;
+    if (monitors === 0) {
+      clearTimeout(timer);
+      window.removeEventListener("online", ping);
+      window.removeEventListener("offline", ping);
+    }
+  };
+}
+
+// ⏳ Resolve true once the backend is online (false on timeout/abort)
+export function waitForBackend({ signal, timeoutMs = WAKE_GIVE_UP_MS } = {}) {
+  if (state.status === "online") return Promise.resolve(true);
+  return new Promise((resolve) => {
+    const done = (ok) => {
+      unsubscribe();
+      clearTimeout(t);
+      signal?.removeEventListener("abort", onAbort);
+      resolve(ok);
+    };
+    const onAbort = () => done(false);
+    const unsubscribe = subscribeBackendStatus((s) => s.status === "online" && done(true));
+    const t = setTimeout(() => done(false), timeoutMs);
+    signal?.addEventListener("abort", onAbort, { once: true });
+    ping();
+  });
+}
+
+// 🪝 React hook — current status, keeps the monitor running while mounted
+export function useBackendStatus() {
+  const [s, setS] = useState(state);
+  useEffect(() => {
+    const stop = startBackendMonitor();
+    const unsubscribe = subscribeBackendStatus(setS);
+    setS(state);
+    return () => {
+      unsubscribe();
+      stop();
+    };
+  }, []);
+  return s;
+}
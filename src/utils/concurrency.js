@@ -0,0 +1,28 @@
+// ==========================================
+// 🚦 Concurrency helpers — bounded parallel work
+// ==========================================
+
+// 🏊 Run `worker(item, i)` over items, at most `limit` at a time.
+//    Never throws for a single item: results are { ok, value } | { ok: false, error }.
+export async function runPool(items, limit, worker, { onProgress, signal } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  let done = 0;
+
+  const lane = async () => {
+    while (next < items.length) {
+      if (signal?.aborted) return;
+      const i = next++;
+      try {
+        results[i] = { ok: true, value: await worker(items[i], i) };
+      } catch (error) {
+        results[i] = { ok: false, error };
+      }
+      done++;
+      onProgress?.({ done, total: items.length, index: i, result: results[i] });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+  return results;
+}
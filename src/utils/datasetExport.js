@@ -0,0 +1,226 @@
+// ==========================================
+// 📦 Dataset Export — training-ready archives built in the browser
+// ✅ LJSpeech metadata.csv, HF audiofolder metadata.jsonl, NeMo manifests
+// ✅ Deterministic train / validation / test split (seeded)
+// ✅ Optional speaker-disjoint splits
+// ✅ Optionally only reviewer-approved samples
+// ✅ Audio pulled through fetchSampleAudio, zipped client-side
+// ==========================================
+
+import { fetchSampleAudio } from "./api";
+import { runPool } from "./concurrency";
+import { sampleText } from "./datasetFilters";
+import { statusOf } from "./review";
+import { getDuration } from "./wav";
+import { createZip } from "./zip";
+
+const PARALLEL_FETCHES = 4;
+export const SPLITS = ["train", "validation", "test"];
+
+export const DEFAULT_EXPORT = {
+  format: "ljspeech", // ljspeech | audiofolder | nemo
+  train: 80,
+  validation: 10,
+  test: 10,
+  seed: "mongolian-whisper",
+  bySpeaker: false,
+  approvedOnly: false,
+};
+
+// 🏷️ "wavs/usr001_2025….wav" → "usr001_2025….wav"
+const baseName = (file_name) => file_name.replace(/^.*\//, "");
+const stem = (name) => name.replace(/\.[^.]+$/, "");
+const oneLine = (text) => text.replace(/\s+/g, " ").trim();
+
+// 🗣️ Speaker key: explicit metadata, else the numbered file prefix ("usr001_…")
+export function speakerOf(sample) {
+  const explicit = sample.speaker || sample.speaker_id;
+  if (explicit) return String(explicit);
+  return baseName(sample.file_name).match(/^([a-z]+\d+)_/i)?.[1] || "unknown";
+}
+
+// 🔢 FNV-1a → stable pseudo-random order for a given seed
+function hash32(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// ✂️ file_name → split. Groups (samples or speakers) are shuffled by seed,
+//    then cut by cumulative sample count so ratios hold for small datasets too.
+export function assignSplits(samples, { train, validation, test, seed, bySpeaker }) {
+  const total = train + validation + test || 1;
+  const cutTrain = train / total;
+  const cutVal = (train + validation) / total;
+
+  const groups = new Map();
+  for (const s of samples) {
+    const key = bySpeaker ? speakerOf(s) : s.file_name;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(s.file_name);
+  }
+
+  const ordered = [...groups.entries()].sort(
+    ([a], [b]) => hash32(`${seed}:${a}`) - hash32(`${seed}:${b}`) || a.localeCompare(b)
+  );
+
+  const out = new Map();
+  let seen = 0;
+  for (const [, names] of ordered) {
+    const mid = (seen + names.length / 2) / samples.length;
+    const split = mid < cutTrain ? "train" : mid < cutVal ? "validation" : "test";
+    names.forEach((n) => out.set(n, split));
+    seen += names.length;
+  }
+  return out;
+}
+
+// 🧾 Per-format layout: where audio goes + which manifest files to write
+const FORMATS = {
+  ljspeech: {
+    label: "LJSpeech — wavs/ + metadata.csv",
+    audioPath: (item) => `wavs/${item.name}`,
+    manifests(items) {
+      const line = (i) => `${stem(i.name)}|${i.text.replace(/\|/g, " ")}|${i.text.replace(/\|/g, " ")}`;
+      const files = { "metadata.csv": items.map(line).join("\n") + "\n" };
+      for (const split of SPLITS) {
+        const rows = items.filter((i) => i.split === split);
+        if (rows.length) files[`metadata_${split}.csv`] = rows.map(line).join("\n") + "\n";
+      }
+      return files;
+    },
+  },
+  audiofolder: {
+    label: "Hugging Face audiofolder — data/<split>/metadata.jsonl",
+    audioPath: (item) => `data/${item.split}/${item.name}`,
+    manifests(items) {
+      const files = {};
+      for (const split of SPLITS) {
+        const rows = items.filter((i) => i.split === split);
+        if (!rows.length) continue;
+        files[`data/${split}/metadata.jsonl`] =
+          rows
+            .map((i) => JSON.stringify({ file_name: i.name, transcription: i.text, speaker_id: i.speaker }))
+            .join("\n") + "\n";
+      }
+      return files;
+    },
+  },
+  nemo: {
+    label: "NeMo — <split>_manifest.json with durations",
+    needsDuration: true,
+    audioPath: (item) => `wavs/${item.name}`,
+    manifests(items) {
+      const files = {};
+      for (const split of SPLITS) {
+        const rows = items.filter((i) => i.split === split);
+        if (!rows.length) continue;
+        files[`${split}_manifest.json`] =
+          rows
+            .map((i) =>
+              JSON.stringify({
+                audio_filepath: `wavs/${i.name}`,
+                duration: Math.round(i.duration * 1000) / 1000,
+                text: i.text,
+              })
+            )
+            .join("\n") + "\n";
+      }
+      return files;
+    },
+  },
+};
+
+export const EXPORT_FORMATS = Object.fromEntries(
+  Object.entries(FORMATS).map(([key, f]) => [key, f.label])
+);
+
+// ✅ Drop samples that are not approved (reviews: Map file_name → review, see utils/review)
+const approvedScope = (samples, options, reviews) =>
+  options.approvedOnly ? samples.filter((s) => statusOf(reviews, s.file_name) === "approved") : samples;
+
+// 📊 Split sizes before any download happens (for the dialog preview)
+export function previewSplits(samples, options, { reviews } = {}) {
+  const approved = approvedScope(samples, options, reviews);
+  const usable = approved.filter((s) => oneLine(sampleText(s)));
+  const splits = assignSplits(usable, options);
+  const counts = { train: 0, validation: 0, test: 0 };
+  splits.forEach((split) => counts[split]++);
+  return {
+    counts,
+    usable: usable.length,
+    skippedEmpty: approved.length - usable.length,
+    notApproved: samples.length - approved.length,
+  };
+}
+
+// 🏗️ Fetch audio, write manifests, zip it all → { blob, counts, skipped }
+export async function buildDatasetExport(samples, options, { onProgress, signal, reviews } = {}) {
+  const format = FORMATS[options.format];
+  if (!format) throw new Error(`Unknown export format "${options.format}"`);
+
+  const skipped = [];
+  const approved = approvedScope(samples, options, reviews);
+  const usable = approved.filter((s) => {
+    if (oneLine(sampleText(s))) return true;
+    skipped.push({ file_name: s.file_name, reason: "empty transcript" });
+    return false;
+  });
+  const splits = assignSplits(usable, options);
+
+  const results = await runPool(
+    usable,
+    PARALLEL_FETCHES,
+    async (s) => {
+      const blob = await fetchSampleAudio(s.file_name, { signal });
+      const duration = format.needsDuration ? await getDuration(blob) : null;
+      return {
+        name: baseName(s.file_name),
+        text: oneLine(sampleText(s)),
+        speaker: speakerOf(s),
+        split: splits.get(s.file_name),
+        blob,
+        duration,
+      };
+    },
+    { onProgress, signal }
+  );
+  if (signal?.aborted) throw new DOMException("Export cancelled", "AbortError");
+
+  const items = [];
+  results.forEach((r, i) => {
+    if (r?.ok) items.push(r.value);
+    else skipped.push({ file_name: usable[i].file_name, reason: r?.error?.message || "audio unavailable" });
+  });
+  if (!items.length) throw new Error("Nothing to export — no sample had both audio and text.");
+
+  const zip = createZip();
+  items.forEach((item) => zip.add(format.audioPath(item), item.blob));
+  Object.entries(format.manifests(items)).forEach(([path, text]) => zip.add(path, text));
+
+  const counts = { train: 0, validation: 0, test: 0 };
+  items.forEach((i) => counts[i.split]++);
+  zip.add(
+    "export_info.json",
+    JSON.stringify(
+      {
+        format: options.format,
+        created: new Date().toISOString(),
+        split: { train: options.train, validation: options.validation, test: options.test },
+        seed: options.seed,
+        speaker_disjoint: options.bySpeaker,
+        approved_only: Boolean(options.approvedOnly),
+        not_approved: samples.length - approved.length,
+        counts,
+        skipped,
+      },
+      null,
+      2
+    )
+  );
+
+  return { blob: await zip.build(), counts, skipped };
+}
@@ -0,0 +1,139 @@
+// ==========================================
+// 🔎 Dataset Filters — search, filter, sort for /dataset/list rows
+// ✅ Text search across transcripts + file names
+// ✅ Empty-text, needs-fixing, file-prefix and date-range filters
+// ✅ Speaker / gender / age band / dialect filters (resolved sample metadata)
+// ✅ Review status filter (approved / needs fix / …)
+// ✅ Round-trips through the URL query (#/dataset?q=…)
+// ==========================================
+
+import { normalizeForSearch } from "./text";
+import { statusOf } from "./review";
+
+// 📝 The backend CSV sometimes yields a " text" column
+export const sampleText = (s) => s?.text || s?.[" text"] || "";
+
+// 🕒 usr_20250131_142501.wav → Date (null when the name has no stamp)
+export function parseFileTimestamp(name) {
+  const m = (name || "").match(/(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})/);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s] = m.map(Number);
+  return new Date(y, mo - 1, d, h, mi, s);
+}
+
+// 🏷️ "wavs/usr001_2025…wav" → "usr", "wv_…" → "wv", "spk003_f25_2025…" (speaker profile) → "spk"
+export function filePrefix(name) {
+  const base = (name || "").replace(/^.*\//, "");
+  if (/^[a-z]+\d+_[fmxu]\d{2}_\d{8}_/i.test(base)) return "spk";
+  const m = base.match(/^([a-z]+)\d*_/i);
+  return m ? m[1].toLowerCase() : "other";
+}
+
+export const DEFAULT_FILTERS = {
+  q: "",
+  empty: false,
+  invalid: false, // ✨ breaks the text policy
+  prefix: "", // usr | wv | spk | read | other
+  from: "", // YYYY-MM-DD
+  to: "",
+  speaker: "",
+  gender: "",
+  age: "",
+  dialect: "",
+  review: "", // unreviewed | approved | needs_fix | rejected
+  sort: "order", // order | name | date | length | speaker
+  dir: "asc",
+};
+
+// 🔁 URL query ⇄ filters
+export function filtersFromQuery(query = {}) {
+  return {
+    ...DEFAULT_FILTERS,
+    ...Object.fromEntries(Object.entries(query).filter(([k]) => k in DEFAULT_FILTERS)),
+    empty: query.empty === "1",
+    invalid: query.invalid === "1",
+  };
+}
+
+export function filtersToQuery(f) {
+  return {
+    q: f.q,
+    empty: f.empty ? "1" : "",
+    invalid: f.invalid ? "1" : "",
+    prefix: f.prefix,
+    from: f.from,
+    to: f.to,
+    speaker: f.speaker,
+    gender: f.gender,
+    age: f.age,
+    dialect: f.dialect,
+    review: f.review,
+    sort: f.sort === DEFAULT_FILTERS.sort ? "" : f.sort,
+    dir: f.dir === DEFAULT_FILTERS.dir ? "" : f.dir,
+  };
+}
+
+export const hasActiveFilters = (f) =>
+  Boolean(
+    f.q || f.empty || f.invalid || f.prefix || f.from || f.to || f.speaker || f.gender || f.age || f.dialect || f.review
+  );
+
+// 📅 Local calendar day "YYYY-MM-DD"
+export const toDay = (d) =>
+  d ? `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}` : null;
+
+// 🗂️ Precompute search keys once per list (keeps 20k rows snappy)
+//    metaOf: sample → { speaker_id, gender, age_band, dialect, … } (see utils/speakers)
+export function indexSamples(samples, { metaOf } = {}) {
+  return samples.map((s, order) => {
+    const text = sampleText(s);
+    const ts = parseFileTimestamp(s.file_name);
+    return {
+      sample: s,
+      order,
+      text,
+      key: normalizeForSearch(`${s.file_name} ${text}`),
+      ts,
+      day: toDay(ts),
+      prefix: filePrefix(s.file_name),
+      meta: metaOf ? metaOf(s) : {},
+    };
+  });
+}
+
+// 🔍 Filter + sort an index → visible samples
+//    flagged: Map/Set of file_names that break the text policy (for f.invalid)
+//    reviews: Map file_name → review (for f.review, see utils/review)
+export function applyFilters(index, f, { flagged, reviews } = {}) {
+  const words = normalizeForSearch(f.q).split(" ").filter(Boolean);
+  let rows = index.filter((r) => {
+    if (f.empty && r.text.trim()) return false;
+    if (f.invalid && !flagged?.has(r.sample.file_name)) return false;
+    if (f.prefix === "read") {
+      if (r.prefix !== "rd" && r.meta.source !== "read") return false; // rd_* from before speaker names
+    } else if (f.prefix && r.prefix !== f.prefix) return false;
+    if (f.speaker && r.meta.speaker_id !== f.speaker) return false;
+    if (f.gender && r.meta.gender !== f.gender) return false;
+    if (f.age && r.meta.age_band !== f.age) return false;
+    if (f.dialect && r.meta.dialect !== f.dialect) return false;
+    if (f.review && statusOf(reviews, r.sample.file_name) !== f.review) return false;
+    if (f.from || f.to) {
+      if (!r.day) return false;
+      if (f.from && r.day < f.from) return false;
+      if (f.to && r.day > f.to) return false;
+    }
+    return words.every((w) => r.key.includes(w));
+  });
+
+  const cmp = {
+    order: (a, b) => a.order - b.order,
+    name: (a, b) => a.sample.file_name.localeCompare(b.sample.file_name),
+    date: (a, b) => (a.ts?.getTime() ?? 0) - (b.ts?.getTime() ?? 0) || a.order - b.order,
+    length: (a, b) => a.text.length - b.text.length || a.order - b.order,
+    speaker: (a, b) => (a.meta.speaker_id || "~").localeCompare(b.meta.speaker_id || "~") || a.order - b.order,
+  }[f.sort] || ((a, b) => a.order - b.order);
+
+  rows = [...rows].sort(cmp);
+  if (f.dir === "desc") rows.reverse();
+  return rows.map((r) => r.sample);
+}
@@ -0,0 +1,244 @@
+// ==========================================
+// 📥 Dataset Import — merge corpora recorded outside the app
+// ✅ ZIP archives or picked folders (audio + metadata.csv / JSONL)
+// ✅ CSV/TSV/pipe (LJSpeech) and JSON-lines (HF, NeMo) manifests
+// ✅ Column mapping with per-row validation
+// ✅ Transcripts normalized per the text policy, leftover issues reported per row
+// ✅ Speaker per row (manifest column or file name; else the active consenting profile), sent as metadata
+// ✅ Resumable: rows already in the dataset are skipped
+// ==========================================
+
+import { addSample } from "./api";
+import { runPool } from "./concurrency";
+import { toWhisperWavSafe } from "./wav";
+import { readZip } from "./zip";
+import { prepareForSave, getTextPolicy } from "./mnText";
+import { speakerProblem, metaFromName, buildUploadMeta, rememberSampleMeta } from "./speakers";
+
+const PARALLEL_UPLOADS = 2;
+const AUDIO_EXT = /\.(wav|mp3|flac|ogg|opus|m4a|mp4|webm|aac)$/i;
+const MANIFEST_EXT = /\.(csv|tsv|txt|jsonl|json)$/i;
+
+const baseName = (path) => path.replace(/^.*\//, "");
+const dirName = (path) => (path.includes("/") ? path.replace(/\/[^/]*$/, "") : "");
+const stem = (name) => name.replace(/\.[^.]+$/, "");
+
+// 📂 ZIP files and/or folder picks → [{ path, size, blob() }]
+export async function collectImportFiles(fileList) {
+  const out = [];
+  for (const f of fileList) {
+    if (/\.zip$/i.test(f.name)) {
+      const entries = await readZip(f);
+      out.push(...entries.filter((e) => !/(^|\/)(__MACOSX|\.)/.test(e.path)));
+    } else {
+      const path = f.webkitRelativePath || f.name;
+      out.push({ path, size: f.size, blob: async () => f });
+    }
+  }
+  return out;
+}
+
+// 🧾 Candidate manifests (metadata.* first)
+export function findManifests(files) {
+  return files
+    .filter((f) => MANIFEST_EXT.test(f.path) && !AUDIO_EXT.test(f.path))
+    .sort(
+      (a, b) =>
+        Number(!/metadata/i.test(baseName(a.path))) - Number(!/metadata/i.test(baseName(b.path))) ||
+        a.path.split("/").length - b.path.split("/").length ||
+        a.path.localeCompare(b.path)
+    );
+}
+
+// ✂️ Delimited text → rows of cells (RFC 4180 quotes)
+export function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') (cell += '"'), i++;
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"' && cell === "") quoted = true;
+    else if (c === delimiter) row.push(cell), (cell = "");
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += c;
+  }
+  if (cell || row.length) row.push(cell), rows.push(row);
+  return rows.filter((r) => r.some((v) => v.trim()));
+}
+
+const HEADER_HINT = /^(id|file|file_?name|path|audio|audio_?filepath|wav|text|transcription|transcript|sentence|normalized_text|speaker|speaker_id)$/i;
+
+// 📋 Manifest text → { columns, rows: [{ column: value }], hasHeader }
+export function parseManifest(text, path, { header } = {}) {
+  const clean = text.replace(/^\uFEFF/, "");
+
+  if (/\.jsonl?$/i.test(path)) {
+    const trimmed = clean.trim();
+    const objects = trimmed.startsWith("[")
+      ? JSON.parse(trimmed)
+      : trimmed.split(/\r?\n/).filter(Boolean).map((line, i) => {
+          try {
+            return JSON.parse(line);
+          } catch {
+            throw new Error(`Line ${i + 1} of ${baseName(path)} is not valid JSON`);
+          }
+        });
+    const columns = [...new Set(objects.flatMap((o) => Object.keys(o)))];
+    const rows = objects.map((o) => Object.fromEntries(columns.map((c) => [c, o[c] == null ? "" : String(o[c])])));
+    return { columns, rows, hasHeader: true, json: true };
+  }
+
+  const firstLine = clean.slice(0, clean.indexOf("\n") + 1 || undefined);
+  const delimiter = firstLine.includes("|") ? "|" : firstLine.includes("\t") ? "\t" : ",";
+  const table = parseDelimited(clean, delimiter);
+  const hasHeader = header ?? (table[0] || []).some((c) => HEADER_HINT.test(c.trim()));
+  const width = Math.max(0, ...table.map((r) => r.length));
+  const columns = hasHeader
+    ? table[0].map((c, i) => c.trim() || `column ${i + 1}`)
+    : Array.from({ length: width }, (_, i) => `column ${i + 1}`);
+  const rows = (hasHeader ? table.slice(1) : table).map((r) =>
+    Object.fromEntries(columns.map((c, i) => [c, r[i] ?? ""]))
+  );
+  return { columns, rows, hasHeader, json: false };
+}
+
+// 🧭 Best-guess column mapping
+export function guessMapping(columns) {
+  const find = (re) => columns.find((c) => re.test(c));
+  return {
+    audio: find(/^(audio_?filepath|file_?name|file|path|audio|wav)$/i) || find(/^id$/i) || columns[0] || "",
+    text:
+      find(/^(text|transcription|transcript|sentence)$/i) ||
+      find(/^normalized_text$/i) ||
+      columns[1] ||
+      "",
+    speaker: find(/^(speaker_?id|speaker|client_id)$/i) || "", // "" → from the file name
+  };
+}
+
+// 🔗 Resolve a manifest value to an audio file (relative path, base name, or LJSpeech id)
+function makeResolver(files, manifestPath) {
+  const byPath = new Map();
+  const byBase = new Map();
+  for (const f of files) {
+    if (!AUDIO_EXT.test(f.path)) continue;
+    byPath.set(f.path, f);
+    const base = baseName(f.path).toLowerCase();
+    if (!byBase.has(base)) byBase.set(base, f);
+    if (!byBase.has(stem(base))) byBase.set(stem(base), f);
+  }
+  const root = dirName(manifestPath);
+  return (value) => {
+    const v = value.trim().replace(/\\/g, "/").replace(/^\.\//, "");
+    if (!v) return null;
+    return (
+      byPath.get(root ? `${root}/${v}` : v) ||
+      byPath.get(v) ||
+      byPath.get(root ? `${root}/wavs/${v}` : `wavs/${v}`) ||
+      byBase.get(baseName(v).toLowerCase()) ||
+      null
+    );
+  };
+}
+
+// ✅ Rows → [{ line, audioPath, text, issues, speaker_id, file, name, error }]
+//    existing: Set of base names already in the dataset (→ status "exists")
+//    text: normalized per the policy (what gets uploaded) · issues: what it couldn't fix
+export function validateImport(manifest, files, manifestPath, mapping, existing = new Set(), policy = getTextPolicy()) {
+  const resolve = makeResolver(files, manifestPath);
+  const seen = new Set();
+  const offset = manifest.hasHeader && !manifest.json ? 2 : 1;
+
+  return manifest.rows.map((r, i) => {
+    const audioPath = (r[mapping.audio] || "").trim();
+    const { text, remaining } = prepareForSave((r[mapping.text] || "").replace(/\s+/g, " "), policy);
+    const file = resolve(audioPath);
+    const name = file ? baseName(file.path) : "";
+    let error = "";
+    if (!audioPath) error = "No audio file given";
+    else if (!file) error = `Audio not found: ${audioPath}`;
+    else if (!text) error = "Empty text";
+    else if (seen.has(name)) error = "Duplicate audio in manifest";
+    if (!error) seen.add(name);
+
+    const exists = !error && (existing.has(name) || existing.has(`${stem(name)}.wav`));
+    const issues = text ? remaining.map((x) => x.message) : [];
+    // 👥 "" → uploaded as the active profile
+    const speaker_id = ((mapping.speaker && r[mapping.speaker]) || metaFromName(name).speaker_id || "").trim().toLowerCase();
+    return { line: i + offset, audioPath, text, issues, speaker_id, file, name, error, status: exists ? "exists" : "" };
+  });
+}
+
+// 📎 Metadata for one imported row: its own speaker (consent confirmed for the corpus) or the active profile
+function importMeta(row, speaker, mimeType) {
+  if (!row.speaker_id) return buildUploadMeta(speaker, { mimeType, source: "import" });
+  const fromName = metaFromName(row.name);
+  return {
+    ...(fromName.speaker_id === row.speaker_id && fromName),
+    speaker_id: row.speaker_id,
+    consent: true,
+    mime_type: mimeType,
+    source: "import",
+  };
+}
+
+// 🚦 Why the pending rows can't be imported yet, or null
+//    speaker: active profile (rows without a speaker) · consent: confirmed for the corpus' own speakers
+export function importProblem(rows, { speaker, consent }) {
+  const todo = rows.filter((r) => !r.error && r.status !== "exists" && r.status !== "done");
+  if (todo.some((r) => !r.speaker_id)) {
+    const problem = speakerProblem(speaker);
+    if (problem) return `Rows without a speaker are saved as the active profile — ${problem}`;
+  }
+  if (!consent && todo.some((r) => r.speaker_id)) return "Confirm that the corpus speakers consented to recording.";
+  return null;
+}
+
+// ⬆️ Upload valid rows through addSample. Rows are updated in place via onRow.
+//    Returns { uploaded, failed, skipped }.
+export async function runImport(rows, { convert = true, speaker = null, consent = false, onRow, onProgress, signal } = {}) {
+  const problem = importProblem(rows, { speaker, consent });
+  if (problem) throw new Error(problem);
+  const todo = rows.filter((r) => !r.error && r.status !== "exists" && r.status !== "done");
+
+  const results = await runPool(
+    todo,
+    PARALLEL_UPLOADS,
+    async (row) => {
+      onRow?.(row, { status: "uploading", message: "" });
+      const raw = await row.file.blob();
+      const source = new File([raw], row.name, { type: raw.type });
+      const blob = convert ? await toWhisperWavSafe(source) : source;
+      const name = blob === source ? row.name : `${stem(row.name)}.wav`;
+      const meta = importMeta(row, speaker, raw.type);
+      const data = await addSample(blob, row.text, name, { signal, meta });
+      if (data?.status && data.status !== "ok") throw new Error(data.detail || "Upload failed");
+      await rememberSampleMeta(name, meta); // 👥 shown in DatasetManager even if the server drops it
+      onRow?.(row, { status: "done", message: "" });
+    },
+    {
+      signal,
+      onProgress: ({ done, total, result, index }) => {
+        if (!result.ok) onRow?.(todo[index], { status: "failed", message: result.error.message });
+        onProgress?.({ done, total });
+      },
+    }
+  );
+
+  const uploaded = results.filter((r) => r?.ok).length;
+  return {
+    uploaded,
+    failed: results.filter((r) => r && !r.ok).length,
+    skipped: rows.length - todo.length,
+  };
+}
@@ -0,0 +1,180 @@
+// ==========================================
+// 📊 Dataset Statistics — progress toward the hours target
+// ✅ Durations decoded in the browser, cached per file in IndexedDB
+// ✅ Duration + characters-per-second histograms
+// ✅ Samples per speaker / device / day (file-name timestamps)
+// ✅ Top-N vocabulary, out-of-alphabet characters, empty-room share
+// ✅ Last report cached in localStorage and exportable as JSON
+// ==========================================
+
+import { fetchSampleAudio, isAbortError } from "./api";
+import { runPool } from "./concurrency";
+import { getDuration } from "./wav";
+import { idbPut, idbGetAll, idbDelete } from "./idb";
+import { normalizeForSearch } from "./text";
+import { sampleText, parseFileTimestamp, toDay } from "./datasetFilters";
+
+const STORE = "durations";
+const REPORT_KEY = "mw_dataset_stats";
+const TARGET_KEY = "mw_hours_target";
+const PARALLEL_FETCHES = 4;
+export const DEFAULT_TARGET_HOURS = 100;
+export const DEFAULT_TOP_N = 50;
+
+const DURATION_BINS = [0, 1, 2, 3, 5, 10, 15, 20, 30]; // seconds; last bin is open-ended
+const CPS_BINS = [0, 5, 8, 10, 12, 15, 18, 22, 30]; // characters per second
+// 🔤 Mongolian Cyrillic letters; spaces/digits/basic punctuation are not "out of alphabet"
+const ALPHABET = new Set([..."абвгдеёжзийклмноөпрстуүфхцчшщъыьэюя"]);
+const NEUTRAL = /[\s\d.,?!\-'"]/;
+
+// ⏱️ Cached durations: file_name → seconds
+export async function loadDurations() {
+  try {
+    return new Map((await idbGetAll(STORE)).map((d) => [d.file_name, d.duration]));
+  } catch {
+    return new Map();
+  }
+}
+
+// 🔁 Audio replaced (re-record) → decode again next scan
+export const forgetDuration = (file_name) => idbDelete(STORE, file_name).catch(() => {});
+
+// 🎧 Decode missing durations → { scanned, failed }
+export async function scanDurations(samples, known, { onProgress, onDuration, signal } = {}) {
+  const todo = samples.filter((s) => !known.has(s.file_name));
+  const results = await runPool(
+    todo,
+    PARALLEL_FETCHES,
+    async (s) => {
+      const duration = await getDuration(await fetchSampleAudio(s.file_name, { signal }));
+      if (!Number.isFinite(duration)) throw new Error("Unreadable audio");
+      await idbPut(STORE, { file_name: s.file_name, duration, checkedAt: Date.now() });
+      onDuration?.(s.file_name, duration);
+    },
+    { onProgress, signal }
+  );
+  return {
+    scanned: results.filter((r) => r?.ok).length,
+    failed: results.filter((r) => r && !r.ok && !isAbortError(r.error)).length,
+  };
+}
+
+// 📦 Values → [{ label, from, to, count }] for fixed bin edges
+function histogram(values, edges, unit) {
+  const bins = edges.map((from, i) => ({
+    from,
+    to: edges[i + 1] ?? null,
+    label: edges[i + 1] != null ? `${from}–${edges[i + 1]}${unit}` : `${from}${unit}+`,
+    count: 0,
+  }));
+  for (const v of values) {
+    let i = edges.length - 1;
+    while (i > 0 && v < edges[i]) i--;
+    bins[i].count++;
+  }
+  return bins;
+}
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const codePoint = (c) => `U+${c.codePointAt(0).toString(16).toUpperCase().padStart(4, "0")}`;
+
+const countBy = (items, keyOf, weightOf = () => 0) => {
+  const out = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    const cur = out.get(key) || { key, count: 0, seconds: 0 };
+    cur.count++;
+    cur.seconds += weightOf(item) || 0;
+    out.set(key, cur);
+  }
+  return [...out.values()];
+};
+
+// 🧮 Full report from /dataset/list rows + known durations
+//    metaOf: sample → { speaker_id, device, … } (see utils/speakers)
+export function computeStats(samples, durations, { metaOf = () => ({}), topN = DEFAULT_TOP_N } = {}) {
+  const rows = samples.map((s) => {
+    const text = sampleText(s).trim();
+    const meta = metaOf(s) || {};
+    return {
+      file_name: s.file_name,
+      text,
+      chars: text.replace(/\s+/g, "").length,
+      duration: durations.get(s.file_name) ?? null,
+      speaker: meta.speaker_id || "unknown",
+      device: meta.device || "unknown",
+      day: toDay(parseFileTimestamp(s.file_name)) || "undated",
+    };
+  });
+
+  const timed = rows.filter((r) => r.duration != null);
+  const totalSeconds = timed.reduce((sum, r) => sum + r.duration, 0);
+  const labelled = rows.filter((r) => r.text);
+  const cps = labelled.filter((r) => r.duration > 0).map((r) => r.chars / r.duration);
+
+  // 📚 Vocabulary + characters outside the Mongolian alphabet
+  const words = new Map();
+  const foreign = new Map();
+  for (const r of labelled) {
+    for (const w of normalizeForSearch(r.text).split(" ")) if (w) words.set(w, (words.get(w) || 0) + 1);
+    const seen = new Set(); // samples count each transcript once
+    for (const c of r.text.toLocaleLowerCase("mn")) {
+      if (ALPHABET.has(c) || NEUTRAL.test(c)) continue;
+      if (!foreign.has(c)) foreign.set(c, { char: c, code: codePoint(c), count: 0, samples: 0, example: r.file_name });
+      const f = foreign.get(c);
+      f.count++;
+      if (!seen.has(c)) f.samples++;
+      seen.add(c);
+    }
+  }
+
+  const bySeconds = (a, b) => b.seconds - a.seconds || b.count - a.count;
+  return {
+    generatedAt: new Date().toISOString(),
+    samples: rows.length,
+    empty: rows.length - labelled.length,
+    emptyShare: rows.length ? (rows.length - labelled.length) / rows.length : 0,
+    timed: timed.length,
+    totalSeconds,
+    hours: totalSeconds / 3600,
+    labelledHours: labelled.reduce((sum, r) => sum + (r.duration || 0), 0) / 3600,
+    meanDuration: timed.length ? totalSeconds / timed.length : null,
+    medianDuration: median(timed.map((r) => r.duration)),
+    durationHistogram: histogram(timed.map((r) => r.duration), DURATION_BINS, " s"),
+    medianCps: median(cps),
+    cpsHistogram: histogram(cps, CPS_BINS, ""),
+    perSpeaker: countBy(rows, (r) => r.speaker, (r) => r.duration).sort(bySeconds),
+    perDevice: countBy(rows, (r) => r.device, (r) => r.duration).sort(bySeconds),
+    perDay: countBy(rows, (r) => r.day, (r) => r.duration).sort((a, b) => a.key.localeCompare(b.key)),
+    vocabularySize: words.size,
+    tokens: [...words.values()].reduce((a, b) => a + b, 0),
+    topWords: [...words].sort((a, b) => b[1] - a[1]).slice(0, topN).map(([word, count]) => ({ word, count })),
+    outOfAlphabet: [...foreign.values()].sort((a, b) => b.count - a.count),
+  };
+}
+
+// 💾 Last report survives reloads
+export function saveReport(report) {
+  try {
+    localStorage.setItem(REPORT_KEY, JSON.stringify(report));
+  } catch (err) {
+    console.warn("⚠️ Stats report not cached:", err.message);
+  }
+}
+
+export function loadReport() {
+  try {
+    return JSON.parse(localStorage.getItem(REPORT_KEY) || "null");
+  } catch {
+    return null;
+  }
+}
+
+export const getTargetHours = () => Number(localStorage.getItem(TARGET_KEY)) || DEFAULT_TARGET_HOURS;
+export const saveTargetHours = (hours) => localStorage.setItem(TARGET_KEY, String(hours));
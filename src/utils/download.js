@@ -0,0 +1,43 @@
+// ==========================================
+// ⬇️ Download helpers — CSV/TXT/JSON in the browser
+// ==========================================
+
+// 💾 Save any blob through a temporary <a download>
+export function downloadBlob(blob, filename) {
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => window.URL.revokeObjectURL(url), 1000);
+}
+
+export function downloadText(text, filename, type = "text/plain") {
+  downloadBlob(new Blob([text], { type: `${type};charset=utf-8` }), filename);
+}
+
+export function downloadJSON(data, filename) {
+  downloadText(JSON.stringify(data, null, 2), filename, "application/json");
+}
+
+// 🧾 RFC 4180 CSV (quotes only where needed)
+const csvCell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function toCSV(rows, columns) {
+  const header = columns.map(csvCell).join(",");
+  const lines = rows.map((r) => columns.map((c) => csvCell(r[c])).join(","));
+  return [header, ...lines].join("\n");
+}
+
+// 📄 CSV with a UTF-8 BOM so Excel shows Cyrillic correctly
+export function downloadCSV(rows, columns, filename) {
+  downloadText("\uFEFF" + toCSV(rows, columns), filename, "text/csv");
+}
+
+// 🕒 Filesystem-safe timestamp for export names
+export const stampForFile = () => new Date().toISOString().replace(/[:.]/g, "_");
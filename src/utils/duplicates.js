@@ -0,0 +1,299 @@
+// ==========================================
+// 👯 Duplicate finder — transcripts + audio
+// ✅ Identical / near-identical transcripts (normalized edit distance)
+// ✅ Acoustic fingerprint (band-energy bits) computed in the browser, at several frame phases
+// ✅ Fingerprints cached in IndexedDB; re-records invalidate them
+// ✅ Pairs merged into groups (union-find) for side-by-side review
+// ==========================================
+
+import { fetchSampleAudio, isAbortError } from "./api";
+import { runPool } from "./concurrency";
+import { loadSamples } from "./trim";
+import { idbPut, idbGetAll, idbDelete } from "./idb";
+import { normalizeForEval } from "./text";
+import { sampleText, parseFileTimestamp } from "./datasetFilters";
+
+const STORE = "fingerprints";
+const PARALLEL_FETCHES = 3;
+const FP_RATE = 8000; // speech detail above 4 kHz is not needed to spot copies
+const FFT_SIZE = 512;
+const HOP = 256; // 32 ms frames
+const PHASES = 8; // frame grids offset by HOP / PHASES samples — re-trims rarely land on the same grid
+const FP_VERSION = 2; // bump when the fingerprint layout changes (older cache entries are recomputed)
+const BANDS = 17; // → 16 bits per frame
+const MAX_SHIFT_FRAMES = 32; // ≈ 1 s of trim difference
+const MIN_OVERLAP = 0.7; // of the shorter clip
+const BLOCK_WINDOW = 400; // in big buckets, each text is compared with its nearest neighbours only
+const COMPARE_CHUNK = 50; // audio pairs compared between yields to the UI
+
+export const DEFAULT_DUPLICATE_OPTIONS = {
+  text: true,
+  textThreshold: 0.1, // edit distance / length
+  audio: false,
+  audioThreshold: 0.25, // bit error rate (unrelated audio ≈ 0.5)
+};
+
+// ✏️ Levenshtein with early exit once `max` is exceeded (→ Infinity)
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (cur[j] < best) best = cur[j];
+    }
+    if (best > max) return Infinity;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// 📝 Transcript pairs → { pairs: [{ a, b, kind: "text", score }], crowded }
+//    score = normalized distance · crowded: transcripts in buckets too big to compare exhaustively
+export function findTextPairs(samples, threshold = DEFAULT_DUPLICATE_OPTIONS.textThreshold) {
+  const rows = samples
+    .map((s) => ({ file_name: s.file_name, key: normalizeForEval(sampleText(s)) }))
+    .filter((r) => r.key);
+  const pairs = [];
+
+  // 🎯 Exact matches first (hash map, no limits) — one representative goes on to blocking
+  const byKey = new Map();
+  for (const r of rows) (byKey.get(r.key) || byKey.set(r.key, []).get(r.key)).push(r);
+  for (const same of byKey.values()) {
+    same.slice(1).forEach((r) => pairs.push({ a: same[0].file_name, b: r.file_name, kind: "text", score: 0 }));
+  }
+  const unique = [...byKey.values()].map((same) => same[0]);
+
+  // 🧱 Blocking: near-duplicates share their start or their end
+  const buckets = new Map();
+  const put = (k, r) => (buckets.get(k) || buckets.set(k, []).get(k)).push(r);
+  for (const r of unique) {
+    put(`^${r.key.slice(0, 12)}`, r);
+    put(`$${r.key.slice(-12)}`, r);
+  }
+
+  const seen = new Set();
+  const crowded = new Set();
+  const reversed = (k) => [...k].reverse().join("");
+  for (const [name, bucket] of buckets) {
+    // 📚 Big buckets: sort so similar texts sit together, then compare within a sliding window
+    if (bucket.length > BLOCK_WINDOW) {
+      const sortKey = name.startsWith("^") ? (r) => r.key : (r) => reversed(r.key);
+      bucket.sort((a, b) => (sortKey(a) < sortKey(b) ? -1 : 1));
+      bucket.forEach((r) => crowded.add(r.file_name));
+    }
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < Math.min(bucket.length, i + 1 + BLOCK_WINDOW); j++) {
+        const a = bucket[i];
+        const b = bucket[j];
+        const id = a.file_name < b.file_name ? `${a.file_name}\n${b.file_name}` : `${b.file_name}\n${a.file_name}`;
+        if (seen.has(id)) continue;
+        seen.add(id);
+        const len = Math.max(a.key.length, b.key.length);
+        const d = editDistance(a.key, b.key, Math.floor(len * threshold));
+        if (d !== Infinity) pairs.push({ a: a.file_name, b: b.file_name, kind: "text", score: d / len });
+      }
+    }
+  }
+  return { pairs, crowded: crowded.size };
+}
+
+// 🌀 In-place radix-2 FFT
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = (-2 * Math.PI) / len;
+    for (let i = 0; i < n; i += len) {
+      for (let k = 0; k < len / 2; k++) {
+        const wr = Math.cos(ang * k);
+        const wi = Math.sin(ang * k);
+        const xr = re[i + k + len / 2] * wr - im[i + k + len / 2] * wi;
+        const xi = re[i + k + len / 2] * wi + im[i + k + len / 2] * wr;
+        re[i + k + len / 2] = re[i + k] - xr;
+        im[i + k + len / 2] = im[i + k] - xi;
+        re[i + k] += xr;
+        im[i + k] += xi;
+      }
+    }
+  }
+}
+
+// 🎼 Log-spaced band edges (FFT bins) between 300 Hz and 3.8 kHz
+const BAND_EDGES = Array.from({ length: BANDS + 1 }, (_, i) =>
+  Math.round((300 * Math.pow(3800 / 300, i / BANDS) * FFT_SIZE) / FP_RATE)
+);
+const WINDOW = Float32Array.from({ length: FFT_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / FFT_SIZE));
+
+// 🔑 Samples (FP_RATE) → Uint16Array, one 16-bit word per frame (frame grid starts at `offset`)
+//    bit m: energy slope between bands m and m+1 rose compared with the previous frame
+export function fingerprintSamples(samples, offset = 0) {
+  const frames = Math.max(0, Math.floor((samples.length - offset - FFT_SIZE) / HOP) + 1);
+  const out = new Uint16Array(Math.max(0, frames - 1));
+  let prev = null;
+  const re = new Float32Array(FFT_SIZE);
+  const im = new Float32Array(FFT_SIZE);
+  for (let f = 0; f < frames; f++) {
+    for (let i = 0; i < FFT_SIZE; i++) {
+      re[i] = samples[offset + f * HOP + i] * WINDOW[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    const energy = new Float32Array(BANDS);
+    for (let b = 0; b < BANDS; b++) {
+      for (let k = BAND_EDGES[b]; k < Math.max(BAND_EDGES[b + 1], BAND_EDGES[b] + 1); k++) {
+        energy[b] += re[k] * re[k] + im[k] * im[k];
+      }
+    }
+    if (prev) {
+      let word = 0;
+      for (let b = 0; b < BANDS - 1; b++) {
+        if (energy[b] - energy[b + 1] - (prev[b] - prev[b + 1]) > 0) word |= 1 << b;
+      }
+      out[f - 1] = word;
+    }
+    prev = energy;
+  }
+  return out;
+}
+
+const popcount16 = (x) => {
+  x -= (x >> 1) & 0x5555;
+  x = (x & 0x3333) + ((x >> 2) & 0x3333);
+  x = (x + (x >> 4)) & 0x0f0f;
+  return (x + (x >> 8)) & 0x1f;
+};
+
+// 📏 Best bit error rate over small shifts (trimmed copies line up again)
+export function compareFingerprints(a, b) {
+  const shorter = Math.min(a.length, b.length);
+  if (!shorter) return 1;
+  let best = 1;
+  for (let shift = -MAX_SHIFT_FRAMES; shift <= MAX_SHIFT_FRAMES; shift++) {
+    const start = Math.max(0, -shift);
+    const end = Math.min(a.length, b.length - shift);
+    const overlap = end - start;
+    if (overlap < shorter * MIN_OVERLAP) continue;
+    let bits = 0;
+    for (let i = start; i < end; i++) bits += popcount16(a[i] ^ b[i + shift]);
+    best = Math.min(best, bits / (overlap * (BANDS - 1)));
+  }
+  return best;
+}
+
+// 🎚️ One fingerprint per frame phase → { duration, phases: [Uint16Array × PHASES] }
+export function fingerprintPhases(samples) {
+  return {
+    duration: samples.length / FP_RATE,
+    phases: Array.from({ length: PHASES }, (_, p) => fingerprintSamples(samples, (p * HOP) / PHASES)),
+  };
+}
+
+// 📏 Two clips: phase 0 of one against every phase of the other
+//    (whole-frame shifts + phase offsets cover any trim to within HOP / PHASES samples)
+export function compareClips(a, b) {
+  let best = 1;
+  for (const phase of b.phases) best = Math.min(best, compareFingerprints(a.phases[0], phase));
+  return best;
+}
+
+// 🗄️ Cached fingerprints: file_name → { duration, phases }
+export async function loadFingerprints() {
+  try {
+    const all = await idbGetAll(STORE);
+    return new Map(all.filter((f) => f.version === FP_VERSION).map((f) => [f.file_name, f]));
+  } catch {
+    return new Map();
+  }
+}
+
+export const forgetFingerprint = (file_name) => idbDelete(STORE, file_name).catch(() => {});
+
+// 🎧 Fingerprint the samples that have none yet → updated Map
+export async function fingerprintAll(samples, known, { onProgress, signal } = {}) {
+  const out = new Map(known);
+  const todo = samples.filter((s) => !known.has(s.file_name));
+  const results = await runPool(
+    todo,
+    PARALLEL_FETCHES,
+    async (s) => {
+      const pcm = await loadSamples(await fetchSampleAudio(s.file_name, { signal }), FP_RATE);
+      const entry = { file_name: s.file_name, version: FP_VERSION, ...fingerprintPhases(pcm) };
+      await idbPut(STORE, entry);
+      out.set(s.file_name, entry);
+    },
+    { onProgress, signal }
+  );
+  const failed = results.filter((r) => r && !r.ok && !isAbortError(r.error)).length;
+  return { fingerprints: out, failed };
+}
+
+// 🔊 Audio pairs among fingerprinted samples (only similar durations are compared)
+//    Yields to the UI every COMPARE_CHUNK comparisons; onProgress({ done, total }) counts clips
+export async function findAudioPairs(
+  samples,
+  fingerprints,
+  threshold = DEFAULT_DUPLICATE_OPTIONS.audioThreshold,
+  { onProgress, signal } = {}
+) {
+  const rows = samples
+    .map((s) => fingerprints.get(s.file_name))
+    .filter((f) => f?.phases?.[0]?.length)
+    .sort((a, b) => a.duration - b.duration);
+  const pairs = [];
+  let compared = 0;
+  for (let i = 0; i < rows.length; i++) {
+    for (let j = i + 1; j < rows.length; j++) {
+      const slack = Math.max(1, rows[i].duration * 0.15);
+      if (rows[j].duration - rows[i].duration > slack) break;
+      const score = compareClips(rows[i], rows[j]);
+      if (score <= threshold) pairs.push({ a: rows[i].file_name, b: rows[j].file_name, kind: "audio", score });
+      if (++compared % COMPARE_CHUNK === 0) {
+        await new Promise((r) => setTimeout(r));
+        if (signal?.aborted) return pairs; // caller checks the signal
+      }
+    }
+    onProgress?.({ done: i + 1, total: rows.length });
+  }
+  return pairs;
+}
+
+// 🧩 Pairs → groups [{ files: [...], pairs: [...], keep }] (keep = oldest by timestamp)
+export function groupPairs(pairs, samples) {
+  const parent = new Map();
+  const find = (x) => {
+    while (parent.has(x) && parent.get(x) !== x) x = parent.get(x);
+    return x;
+  };
+  for (const { a, b } of pairs) {
+    if (!parent.has(a)) parent.set(a, a);
+    if (!parent.has(b)) parent.set(b, b);
+    parent.set(find(a), find(b));
+  }
+
+  const order = new Map(samples.map((s, i) => [s.file_name, i]));
+  const age = (f) => parseFileTimestamp(f)?.getTime() ?? Infinity;
+  const groups = new Map();
+  for (const f of parent.keys()) {
+    const root = find(f);
+    (groups.get(root) || groups.set(root, { files: [], pairs: [] }).get(root)).files.push(f);
+  }
+  for (const p of pairs) groups.get(find(p.a)).pairs.push(p);
+
+  return [...groups.values()]
+    .map((g) => {
+      g.files.sort((x, y) => age(x) - age(y) || order.get(x) - order.get(y));
+      return { ...g, keep: g.files[0] };
+    })
+    .sort((x, y) => y.files.length - x.files.length || order.get(x.keep) - order.get(y.keep));
+}
@@ -0,0 +1,117 @@
+// ==========================================
+// 🧪 Model Evaluation — dataset audio → /transcribe → WER/CER
+// ✅ Bounded concurrency, cancellable
+// ✅ Runs saved in IndexedDB to compare model deploys
+// ✅ CSV / JSON report export
+// ==========================================
+
+import { fetchSampleAudio, transcribeAudio, checkHealth, API_BASE } from "./api";
+import { runPool } from "./concurrency";
+import { sampleText } from "./datasetFilters";
+import { scoreTranscript, aggregateScores } from "./wer";
+import { idbPut, idbGetAll, idbDelete } from "./idb";
+import { downloadCSV, downloadJSON, stampForFile } from "./download";
+
+const STORE = "evalRuns";
+export const SELECTION_KEY = "mw_eval_selection"; // handed over from Dataset Manager
+
+// 🏃 Transcribe + score every sample. onResult(row) fires as each one finishes.
+export async function runEvaluation(samples, { concurrency = 2, device = "desktop", signal, onProgress, onResult } = {}) {
+  const results = await runPool(
+    samples,
+    concurrency,
+    async (s) => {
+      const reference = sampleText(s);
+      const started = Date.now();
+      try {
+        const audio = await fetchSampleAudio(s.file_name, { signal });
+        const data = await transcribeAudio(audio, device, { signal });
+        const hypothesis = data?.user_text || "";
+        const { alignment, ...score } = scoreTranscript(reference, hypothesis);
+        const row = { file_name: s.file_name, reference, hypothesis, ...score, alignment, ms: Date.now() - started };
+        onResult?.(row);
+        return row;
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        const row = { file_name: s.file_name, reference, hypothesis: "", error: err.message };
+        onResult?.(row);
+        return row;
+      }
+    },
+    { signal, onProgress }
+  );
+  return results.filter((r) => r?.ok).map((r) => r.value);
+}
+
+export function summarizeRun(rows) {
+  return { ...aggregateScores(rows.filter((r) => !r.error)), failed: rows.filter((r) => r.error).length };
+}
+
+// 🗄️ Saved runs — planned: samples the run set out to score (more than rows.length when stopped early)
+export async function saveRun({ label, rows, planned = rows.length }) {
+  const health = await checkHealth();
+  const run = {
+    createdAt: Date.now(),
+    label: label || "",
+    planned,
+    partial: rows.length < planned,
+    backend: API_BASE,
+    model: health?.model || health?.model_name || null,
+    summary: summarizeRun(rows),
+    rows: rows.map(({ alignment, ...r }) => r), // alignments are recomputed on display
+  };
+  const id = await idbPut(STORE, run);
+  return { ...run, id };
+}
+
+export async function listRuns() {
+  try {
+    return (await idbGetAll(STORE)).sort((a, b) => b.createdAt - a.createdAt);
+  } catch {
+    return [];
+  }
+}
+
+export const deleteRun = (id) => idbDelete(STORE, id);
+
+// ⚖️ Per-sample movement between two runs (same file in both)
+export function compareRuns(base, next) {
+  const before = new Map(base.rows.filter((r) => !r.error).map((r) => [r.file_name, r]));
+  let improved = 0;
+  let regressed = 0;
+  let shared = 0;
+  for (const r of next.rows) {
+    const b = before.get(r.file_name);
+    if (!b || r.error) continue;
+    shared++;
+    if (r.wer < b.wer) improved++;
+    else if (r.wer > b.wer) regressed++;
+  }
+  return {
+    shared,
+    improved,
+    regressed,
+    werDelta: next.summary.wer - base.summary.wer,
+    cerDelta: next.summary.cer - base.summary.cer,
+  };
+}
+
+// ⬇️ Reports
+const reportName = (run, ext) => `evaluation_${run.label ? `${run.label.replace(/[^\w.-]+/g, "_")}_` : ""}${stampForFile()}.${ext}`;
+
+export function exportRunCSV(run) {
+  downloadCSV(
+    run.rows.map((r) => ({
+      ...r,
+      wer: r.error ? "" : r.wer.toFixed(4),
+      cer: r.error ? "" : r.cer.toFixed(4),
+    })),
+    ["file_name", "reference", "hypothesis", "wer", "cer", "wordErrors", "refWords", "charErrors", "refChars", "error"],
+    reportName(run, "csv")
+  );
+}
+
+export function exportRunJSON(run) {
+  const { rows, ...meta } = run;
+  downloadJSON({ ...meta, rows: rows.map(({ alignment, ...r }) => r) }, reportName(run, "json"));
+}
@@ -0,0 +1,44 @@
+// ==========================================
+// 🔁 Find & Replace — plain text or regex, with diff segments
+// ✅ Supports $&, $1…$99, $<name>, $$ in replacements
+// ==========================================
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// 🧩 { find, regex, caseSensitive } → global RegExp (throws on bad pattern)
+export function buildMatcher({ find, regex = false, caseSensitive = false }) {
+  if (!find) return null;
+  const flags = `g${caseSensitive ? "" : "i"}u`;
+  return new RegExp(regex ? find : escapeRegExp(find), flags);
+}
+
+// 🪄 Expand a replacement template for one match
+function expand(template, match) {
+  return template.replace(/\$(\$|&|<([^>]+)>|(\d{1,2}))/g, (tok, what, name, num) => {
+    if (what === "$") return "$";
+    if (what === "&") return match[0];
+    if (name !== undefined) return match.groups?.[name] ?? "";
+    const n = Number(num);
+    return n < match.length ? match[n] ?? "" : tok;
+  });
+}
+
+// 👀 Preview one text → { changed, result, segments: [{ type: same|del|ins, text }] }
+export function previewReplace(text, re, replacement) {
+  const segments = [];
+  let result = "";
+  let last = 0;
+  re.lastIndex = 0;
+  for (const m of text.matchAll(re)) {
+    const rep = expand(replacement, m);
+    if (m.index > last) segments.push({ type: "same", text: text.slice(last, m.index) });
+    if (m[0]) segments.push({ type: "del", text: m[0] }); // zero-width (e.g. ^) only inserts
+    if (rep) segments.push({ type: "ins", text: rep });
+    result += text.slice(last, m.index) + rep;
+    last = m.index + m[0].length;
+  }
+  if (!segments.length) return { changed: false, result: text, segments: [] };
+  if (last < text.length) segments.push({ type: "same", text: text.slice(last) });
+  result += text.slice(last);
+  return { changed: result !== text, result, segments };
+}
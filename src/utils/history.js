@@ -0,0 +1,57 @@
+// ==========================================
+// 🕘 Transcription History — local, IndexedDB-backed
+// ✅ Keeps every transcription with its audio
+// ✅ Cyrillic-aware full-text search
+// ✅ Emits "history-updated" on every change
+// ==========================================
+
+import { idbPut, idbGetAll, idbDelete } from "./idb";
+import { normalizeForSearch } from "./text";
+
+const STORE = "history";
+
+const notify = () => window.dispatchEvent(new Event("history-updated"));
+
+// ➕ Save one transcription: { text, blob, raw, device, duration }
+//    raw: the pre-conversion take, kept for honest quality checks when promoted
+export async function addHistoryEntry({ text, blob, raw = null, device, duration }) {
+  try {
+    await idbPut(STORE, {
+      text: text || "",
+      blob,
+      raw: raw && raw !== blob ? raw : null,
+      mimeType: blob?.type || "",
+      device: device || "unknown",
+      duration: Number.isFinite(duration) ? duration : null,
+      createdAt: Date.now(),
+    });
+    notify();
+  } catch (err) {
+    console.warn("⚠️ History not saved:", err.message);
+  }
+}
+
+// 📋 Newest first
+export async function listHistory() {
+  try {
+    const all = await idbGetAll(STORE);
+    return all.sort((a, b) => b.createdAt - a.createdAt);
+  } catch {
+    return [];
+  }
+}
+
+// 🔍 Every query word must appear in the entry text
+export function searchHistory(entries, query) {
+  const words = normalizeForSearch(query).split(" ").filter(Boolean);
+  if (!words.length) return entries;
+  return entries.filter((e) => {
+    const hay = normalizeForSearch(e.text);
+    return words.every((w) => hay.includes(w));
+  });
+}
+
+export async function deleteHistoryEntry(id) {
+  await idbDelete(STORE, id);
+  notify();
+}
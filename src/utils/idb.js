@@ -0,0 +1,90 @@
+// ==========================================
+// 🗄️ IndexedDB helper — tiny promise wrapper
+// ✅ One database for all local storage (queue, history, …)
+// ✅ Blobs are stored as-is (audio survives reloads)
+// ✅ Upgrades never hang: other tabs close their connection, blocked opens fail loudly
+// ==========================================
+
+const DB_NAME = "mongolian-whisper";
+const DB_VERSION = 10;
+
+// 📦 Object stores (bump DB_VERSION when adding one)
+const STORES = {
+  uploads: { keyPath: "id", autoIncrement: true },
+  history: { keyPath: "id", autoIncrement: true },
+  trash: { keyPath: "file_name" },
+  quality: { keyPath: "file_name" },
+  evalRuns: { keyPath: "id", autoIncrement: true },
+  prompts: { keyPath: "key" },
+  sampleMeta: { keyPath: "file_name" },
+  durations: { keyPath: "file_name" },
+  fingerprints: { keyPath: "file_name" },
+  reviews: { keyPath: "file_name" },
+};
+
+let dbPromise = null;
+
+// 📣 Shown by App — local storage is unusable until the other tab closes / this one reloads
+const notifyBlocked = (message) => window.dispatchEvent(new CustomEvent("storage-blocked", { detail: message }));
+
+export function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) return reject(new Error("IndexedDB not supported"));
+    const req = window.indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      Object.entries(STORES).forEach(([name, opts]) => {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, opts);
+      });
+    };
+    // 🚧 Another tab still holds the previous version open
+    let blocked = false;
+    req.onblocked = () => {
+      blocked = true;
+      const message = "Close other tabs of this app — local storage is waiting to upgrade.";
+      notifyBlocked(message);
+      reject(new Error(message));
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // 🔁 A newer version opened elsewhere: let it upgrade, reopen (or fail) on next use
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+        notifyBlocked("This app was updated in another tab — reload this page.");
+      };
+      if (blocked) notifyBlocked(""); // the other tab let go — clear the notice
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => (dbPromise = null));
+  return dbPromise;
+}
+
+// 🔁 Run one request inside a transaction and resolve with its result
+async function withStore(store, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = fn(tx.objectStore(store));
+    let result;
+    if (req) req.onsuccess = () => (result = req.result);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export const idbPut = (store, value) => withStore(store, "readwrite", (s) => s.put(value));
+export const idbGet = (store, key) => withStore(store, "readonly", (s) => s.get(key));
+export const idbGetAll = (store) => withStore(store, "readonly", (s) => s.getAll());
+export const idbDelete = (store, key) => withStore(store, "readwrite", (s) => s.delete(key));
+export const idbClear = (store) => withStore(store, "readwrite", (s) => s.clear());
+
+// 📦 Many writes in one transaction (all or nothing)
+export const idbPutMany = (store, values) =>
+  withStore(store, "readwrite", (s) => void values.forEach((v) => s.put(v)));
+export const idbDeleteMany = (store, keys) =>
+  withStore(store, "readwrite", (s) => void keys.forEach((k) => s.delete(k)));
@@ -0,0 +1,101 @@
+// ==========================================
+// 📡 Live Transcriber — rolling partial transcripts
+// ✅ Re-posts the growing recording window to /transcribe
+// ✅ One request in flight at a time (slow backends never pile up)
+// ✅ Long takes roll over into a fresh window; earlier text is kept
+// ✅ Each window is its own MediaRecorder run → a complete, decodable file
+// ==========================================
+
+import { transcribeAudio, isAbortError } from "./api";
+
+const TIMESLICE_MS = 250;
+
+const joinText = (a, b) => [a, b].filter((t) => t && t.trim()).join(" ").trim();
+
+// 🎛️ Factory: hand it the live mic stream, get partial text out
+export function createLiveTranscriber({
+  device = "desktop",
+  intervalMs = 2500, // how often a window is re-sent
+  windowMs = 12000, // window length before text is committed
+  onPartial,
+  transcribe = transcribeAudio,
+} = {}) {
+  let stream = null;
+  let mimeType = "";
+  let win = null; // { recorder, chunks, startedAt, stopped: Promise }
+  let committed = "";
+  let busy = false;
+  let stopped = false;
+  let timer = null;
+  const controller = new AbortController(); // 🛑 stop() cancels the in-flight window
+
+  // 🎙️ A fresh recorder per window, so every upload starts with its own header
+  const openWindow = () => {
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const next = { recorder, chunks: [], startedAt: Date.now() };
+    recorder.ondataavailable = (e) => {
+      if (e.data?.size) next.chunks.push(e.data);
+    };
+    next.stopped = new Promise((resolve) => (recorder.onstop = resolve));
+    recorder.start(TIMESLICE_MS);
+    win = next;
+  };
+
+  const closeWindow = (w) => {
+    if (w.recorder.state !== "inactive") w.recorder.stop();
+    return w.stopped;
+  };
+
+  const send = async (chunks) => {
+    const res = await transcribe(new Blob(chunks, { type: mimeType || chunks[0].type }), device, {
+      signal: controller.signal,
+    });
+    return (res?.user_text || "").trim();
+  };
+
+  const tick = async () => {
+    if (busy || stopped || !win?.chunks.length) return;
+    busy = true;
+    try {
+      if (Date.now() - win.startedAt >= windowMs) {
+        // 🔁 Freeze this window's text and start a new one
+        const closing = win;
+        openWindow();
+        await closeWindow(closing);
+        if (stopped) return;
+        committed = joinText(committed, await send(closing.chunks));
+        if (!stopped) onPartial?.(committed);
+      } else {
+        const current = await send([...win.chunks]);
+        if (!stopped) onPartial?.(joinText(committed, current));
+      }
+    } catch (err) {
+      if (!isAbortError(err)) console.warn("⚠️ Partial transcription failed:", err.message);
+    } finally {
+      busy = false;
+    }
+  };
+
+  return {
+    start(liveStream, type = "") {
+      if (timer || stopped || !liveStream) return;
+      stream = liveStream;
+      mimeType = type;
+      try {
+        openWindow();
+      } catch (err) {
+        console.warn("⚠️ Live transcription unavailable:", err.message);
+        return;
+      }
+      timer = setInterval(tick, intervalMs);
+    },
+    stop() {
+      stopped = true;
+      controller.abort();
+      clearInterval(timer);
+      timer = null;
+      if (win) closeWindow(win);
+      win = null;
+    },
+  };
+}
@@ -0,0 +1,192 @@
+// ==========================================
+// 🇲🇳 Mongolian Cyrillic normalization + label validation
+// ✅ Latin look-alikes inside Cyrillic words → Cyrillic (o/о, e/е, y/у…)
+// ✅ Letter variants unified (ѳ/ӫ/ö → ө, ӱ/ü → ү)
+// ✅ Digits → Mongolian number words (optional)
+// ✅ Punctuation policy + whitespace cleanup
+// ✅ Policy persisted in localStorage ("text-policy-changed")
+// ==========================================
+
+const POLICY_KEY = "mw_text_policy";
+
+export const DEFAULT_TEXT_POLICY = {
+  autoFix: true, // apply fixable changes on save
+  numbers: "flag", // keep | flag | words
+  punctuation: "basic", // keep | basic (. , ? ! only) | strip
+  latinWords: "flag", // keep | flag — whole words in Latin script
+};
+
+export function getTextPolicy() {
+  try {
+    return { ...DEFAULT_TEXT_POLICY, ...JSON.parse(localStorage.getItem(POLICY_KEY) || "{}") };
+  } catch {
+    return { ...DEFAULT_TEXT_POLICY };
+  }
+}
+
+export function saveTextPolicy(policy) {
+  localStorage.setItem(POLICY_KEY, JSON.stringify(policy));
+  window.dispatchEvent(new Event("text-policy-changed"));
+}
+
+// 🔤 Latin → Cyrillic look-alikes (only replaced inside Cyrillic words)
+const HOMOGLYPHS = {
+  a: "а", c: "с", e: "е", o: "о", p: "р", x: "х", y: "у", k: "к",
+  A: "А", B: "В", C: "С", E: "Е", H: "Н", K: "К", M: "М", O: "О", P: "Р", T: "Т", X: "Х", Y: "Ү",
+};
+// 🔁 Non-Mongolian variants of ө / ү
+const VARIANTS = {
+  "ѳ": "ө", "Ѳ": "Ө", "ӫ": "ө", "Ӫ": "Ө", "ö": "ө", "Ö": "Ө",
+  "ӱ": "ү", "Ӱ": "Ү", "ü": "ү", "Ü": "Ү", "ұ": "ү", "Ұ": "Ү",
+};
+
+const CYR = /\p{Script=Cyrillic}/u;
+const LATIN = /\p{Script=Latin}/u;
+
+// 🧩 Fix letters only: variants everywhere, homoglyphs in mixed-script words
+export function unifyLetters(text) {
+  return (text || "")
+    .normalize("NFC")
+    .replace(/[ѳѲӫӪöÖӱӰüÜұҰ]/g, (c) => VARIANTS[c])
+    .replace(/[\p{L}\p{M}]+/gu, (word) =>
+      CYR.test(word) && LATIN.test(word) ? word.replace(/[A-Za-z]/g, (c) => HOMOGLYPHS[c] || c) : word
+    );
+}
+
+// 🔢 Number words — base form ends a phrase, attributive form precedes another word
+const UNITS = ["", "нэг", "хоёр", "гурав", "дөрөв", "тав", "зургаа", "долоо", "найм", "ес"];
+const UNITS_ATTR = ["", "нэг", "хоёр", "гурван", "дөрвөн", "таван", "зургаан", "долоон", "найман", "есөн"];
+const TENS = ["", "арав", "хорь", "гуч", "дөч", "тавь", "жар", "дал", "ная", "ер"];
+const TENS_ATTR = ["", "арван", "хорин", "гучин", "дөчин", "тавин", "жаран", "далан", "наян", "ерэн"];
+const SCALES = [
+  [1e9, "тэрбум", "тэрбум"],
+  [1e6, "сая", "сая"],
+  [1e3, "мянга", "мянган"],
+];
+const MAX_WORDS = 1e12 - 1;
+
+// [base, attributive] pairs, in order
+function numberParts(n) {
+  const parts = [];
+  for (const [value, base, attr] of SCALES) {
+    const count = Math.floor(n / value);
+    if (count) {
+      if (count > 1 || value > 1e3) parts.push(...numberParts(count).map(([, a]) => [a, a]));
+      parts.push([base, attr]);
+      n %= value;
+    }
+  }
+  const h = Math.floor(n / 100);
+  const t = Math.floor((n % 100) / 10);
+  const u = n % 10;
+  if (h) {
+    if (h > 1) parts.push([UNITS_ATTR[h], UNITS_ATTR[h]]);
+    parts.push(["зуу", "зуун"]);
+  }
+  if (t) parts.push([TENS[t], TENS_ATTR[t]]);
+  if (u) parts.push([UNITS[u], UNITS_ATTR[u]]);
+  return parts;
+}
+
+// 🗣️ 2024 → "хоёр мянга хорин дөрөв"; attributive: 5 → "таван" (as in "таван ном")
+export function numberToWords(n, { attributive = false } = {}) {
+  if (!Number.isInteger(n) || n < 0 || n > MAX_WORDS) return null;
+  if (n === 0) return "тэг";
+  const parts = numberParts(n);
+  return parts
+    .map(([base, attr], i) => {
+      const last = i === parts.length - 1;
+      // scale words stay in base form mid-number ("мянга хорин"), others combine ("зуун хорин")
+      if (!last) return SCALES.some(([, b]) => b === base) ? base : attr;
+      return attributive ? attr : base;
+    })
+    .join(" ");
+}
+
+// ✂️ Punctuation policy
+const BASIC_PUNCT = /[.,?!]/;
+function applyPunctuation(text, policy) {
+  let t = text
+    .replace(/[“”«»„"]/g, '"')
+    .replace(/[‘’`´]/g, "'")
+    .replace(/[–—]/g, "-")
+    .replace(/…/g, "...");
+  if (policy === "strip") t = t.replace(/[^\p{L}\p{M}\p{N}\s-]/gu, " ").replace(/(^|\s)-+|-+(?=\s|$)/g, " ");
+  else if (policy === "basic")
+    t = t.replace(/[^\p{L}\p{M}\p{N}\s.,?!-]/gu, " ").replace(/(^|\s)-+|-+(?=\s|$)/g, " ");
+  return t
+    .replace(/\s+([.,?!])/g, "$1") // no space before . , ? !
+    .replace(/([.,?!])(?=\p{L})/gu, "$1 ") // one space after…
+    .replace(/(\D[.,?!])(?=\d)/g, "$1 ") // …but keep 3.5 / 1,000 intact
+    .replace(/([,?!])\1+/g, "$1");
+}
+
+const collapse = (t) => t.replace(/\s+/g, " ").trim();
+
+// ✅ Validate + normalize one transcript → { fixed, issues: [{ type, message, fixable }] }
+export function checkTranscript(text, policy = getTextPolicy()) {
+  const raw = text || "";
+  const issues = [];
+  if (!raw.trim()) return { fixed: "", issues: [{ type: "empty", message: "Empty text", fixable: false }] };
+
+  const letters = unifyLetters(raw);
+  if (letters !== raw.normalize("NFC")) {
+    const mixed = (raw.match(/[\p{L}\p{M}]+/gu) || []).filter((w) => CYR.test(w) && LATIN.test(w));
+    if (mixed.length) issues.push({ type: "homoglyph", message: `Latin look-alikes in: ${mixed.slice(0, 3).join(", ")}`, fixable: true });
+    if (/[ѳѲӫӪöÖӱӰüÜұҰ]/.test(raw)) issues.push({ type: "variant", message: "Non-Mongolian ө/ү variants", fixable: true });
+  }
+
+  let fixed = letters;
+
+  // 🔢 Digits
+  if (/\d/.test(fixed) && policy.numbers !== "keep") {
+    if (policy.numbers === "words") {
+      let unexpanded = false;
+      fixed = fixed.replace(/\d+(?:[.,]\d+)?(?:-\p{L}+)?/gu, (m, offset, all) => {
+        if (!/^\d+$/.test(m)) return (unexpanded = true), m; // decimals, "5-р" …
+        const rest = all.slice(offset + m.length);
+        const words = numberToWords(Number(m), { attributive: /^\s+\p{L}/u.test(rest) });
+        if (!words) return (unexpanded = true), m;
+        return words;
+      });
+      issues.push({
+        type: "digits",
+        message: unexpanded ? "Digits (some can't be spelled out automatically)" : "Digits → number words",
+        fixable: !unexpanded,
+      });
+    } else issues.push({ type: "digits", message: "Contains digits — spell numbers out", fixable: false });
+  }
+
+  // ✂️ Punctuation + spacing
+  const punct = collapse(applyPunctuation(fixed, policy.punctuation));
+  if (punct !== collapse(fixed)) {
+    issues.push({ type: "punctuation", message: "Punctuation outside the policy / spacing", fixable: true });
+  }
+  if (collapse(fixed) !== fixed && !issues.some((i) => i.type === "punctuation")) {
+    issues.push({ type: "spacing", message: "Extra spaces", fixable: true });
+  }
+  fixed = punct;
+
+  // 🔤 What we can't fix automatically
+  const words = fixed.match(/[\p{L}\p{M}]+/gu) || [];
+  const latin = words.filter((w) => LATIN.test(w) && !CYR.test(w));
+  if (latin.length && policy.latinWords === "flag") {
+    issues.push({ type: "latin", message: `Latin words: ${latin.slice(0, 3).join(", ")}`, fixable: false });
+  }
+  const foreign = words.filter((w) => !LATIN.test(w) && !CYR.test(w));
+  if (foreign.length) issues.push({ type: "script", message: `Unexpected script: ${foreign.slice(0, 3).join(", ")}`, fixable: false });
+  if (!fixed) issues.push({ type: "empty", message: "Nothing left after normalization", fixable: false });
+
+  return { fixed, issues };
+}
+
+// 💾 Text to store on save: auto-fixed when the policy says so
+export function prepareForSave(text, policy = getTextPolicy()) {
+  const { fixed, issues } = checkTranscript(text, policy);
+  const useFixed = policy.autoFix && fixed && issues.some((i) => i.fixable);
+  return {
+    text: useFixed ? fixed : (text || "").trim(),
+    changed: Boolean(useFixed && fixed !== (text || "").trim()),
+    remaining: useFixed ? issues.filter((i) => !i.fixable) : issues,
+  };
+}
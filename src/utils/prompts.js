@@ -0,0 +1,137 @@
+// ==========================================
+// 🗣️ Prompt corpus for read-speech sessions
+// ✅ TXT (one sentence per line) or CSV/TSV/JSONL with a text column
+// ✅ Stored in IndexedDB, de-duplicated by normalized text (one prompt can belong to several corpora)
+// ✅ Coverage: local takes + transcripts already in the dataset
+// ✅ Next session serves unrecorded sentences first
+// ==========================================
+
+import { idbPut, idbGet, idbGetAll, idbPutMany, idbDeleteMany } from "./idb";
+import { normalizeForSearch, normalizeForEval } from "./text";
+import { prepareForSave } from "./mnText";
+import { parseManifest, guessMapping } from "./datasetImport";
+
+const STORE = "prompts";
+export const DEFAULT_SESSION_SIZE = 50;
+
+const notify = () => window.dispatchEvent(new Event("prompts-updated"));
+
+// 📄 Corpus file text → unique sentences (in file order)
+export function parseCorpus(text, fileName = "corpus.txt") {
+  let lines;
+  if (/\.(csv|tsv|jsonl?)$/i.test(fileName)) {
+    const { columns, rows } = parseManifest(text, fileName);
+    const col = columns.length === 1 ? columns[0] : guessMapping(columns).text;
+    lines = rows.map((r) => r[col] || "");
+  } else {
+    lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  }
+
+  const seen = new Set();
+  const out = [];
+  for (const line of lines) {
+    const clean = line.replace(/^\s*\d+[.)]\s+/, "").replace(/\s+/g, " ").trim(); // "12. Сайн…" numbering
+    const key = normalizeForSearch(clean);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    out.push({ key, text: clean });
+  }
+  return out;
+}
+
+// 📚 Corpora a prompt belongs to (older records only have `corpus`)
+export const corporaOf = (p) => p.corpora || [p.corpus];
+export const inCorpus = (p, corpus) => !corpus || corporaOf(p).includes(corpus);
+const withCorpora = ({ corpus, ...p }, corpora) => ({ ...p, corpora }); // drops the legacy field
+
+// ➕ Add sentences to a named corpus → { added, shared, duplicates }
+//    shared: already known from another corpus (takes carry over) · duplicates: already in this one
+export async function importCorpus(sentences, corpus) {
+  const all = await idbGetAll(STORE);
+  const existing = new Map(all.map((p) => [p.key, p]));
+  let order = all.reduce((max, p) => Math.max(max, p.order + 1), 0); // after removed corpora too
+  const writes = [];
+  let shared = 0;
+  for (const s of sentences) {
+    const known = existing.get(s.key);
+    if (!known) writes.push({ ...s, corpora: [corpus], order: order++, takes: [], skips: 0, flagged: null });
+    else if (!inCorpus(known, corpus)) {
+      writes.push(withCorpora(known, [...corporaOf(known), corpus]));
+      shared++;
+    }
+  }
+  if (writes.length) await idbPutMany(STORE, writes);
+  notify();
+  return { added: writes.length, shared, duplicates: sentences.length - writes.length };
+}
+
+export async function listPrompts() {
+  try {
+    return (await idbGetAll(STORE)).sort((a, b) => a.order - b.order);
+  } catch {
+    return [];
+  }
+}
+
+export const listCorpora = (prompts) => [...new Set(prompts.flatMap(corporaOf))];
+
+async function updatePrompt(key, fn) {
+  const p = await idbGet(STORE, key);
+  if (!p) return null;
+  const next = fn(p);
+  await idbPut(STORE, next);
+  notify();
+  return next;
+}
+
+// 🎙️ A take was saved for this prompt
+export const recordTake = (key, file_name) =>
+  updatePrompt(key, (p) => ({ ...p, takes: [...p.takes, { file_name, at: Date.now() }] }));
+
+export const skipPrompt = (key) => updatePrompt(key, (p) => ({ ...p, skips: p.skips + 1 }));
+
+// 🚩 Typos, unreadable or offensive sentences are kept out of sessions
+export const flagPrompt = (key, note = "") =>
+  updatePrompt(key, (p) => ({ ...p, flagged: { note, at: Date.now() } }));
+
+export const unflagPrompt = (key) => updatePrompt(key, (p) => ({ ...p, flagged: null }));
+
+// 🗑️ Prompts only in this corpus go; shared ones just leave it
+export async function removeCorpus(corpus) {
+  const members = (await idbGetAll(STORE)).filter((p) => corporaOf(p).includes(corpus));
+  const left = (p) => corporaOf(p).filter((c) => c !== corpus);
+  await idbDeleteMany(STORE, members.filter((p) => !left(p).length).map((p) => p.key));
+  await idbPutMany(STORE, members.filter((p) => left(p).length).map((p) => withCorpora(p, left(p))));
+  notify();
+}
+
+// 🔑 Prompts and saved transcripts compared after the same save-time normalization (digits → words, …)
+export const coverageKey = (text, policy) => normalizeForEval(prepareForSave(text, policy).text);
+
+// 🗂️ Prompt keys whose sentence already exists in the dataset (savedKeys: coverageKey of each transcript)
+export const coveredInDataset = (prompts, savedKeys, policy) =>
+  new Set(prompts.filter((p) => savedKeys.has(coverageKey(p.text, policy))).map((p) => p.key));
+
+// ✅ Covered = recorded here, or the sentence already exists in the dataset
+export const isCovered = (p, datasetKeys) => p.takes.length > 0 || Boolean(datasetKeys?.has(p.key));
+
+export function coverageStats(prompts, datasetKeys) {
+  const active = prompts.filter((p) => !p.flagged);
+  const covered = active.filter((p) => isCovered(p, datasetKeys)).length;
+  return { total: active.length, covered, flagged: prompts.length - active.length };
+}
+
+// 📋 Session order: uncovered first (least skipped, then corpus order), then fewest takes
+export function buildSession(prompts, datasetKeys, { corpus = "", size = DEFAULT_SESSION_SIZE } = {}) {
+  const pool = prompts.filter((p) => !p.flagged && inCorpus(p, corpus));
+  const rank = (p) => (isCovered(p, datasetKeys) ? 1 : 0);
+  return [...pool]
+    .sort(
+      (a, b) =>
+        rank(a) - rank(b) ||
+        (rank(a) ? a.takes.length - b.takes.length : a.skips - b.skips) ||
+        a.order - b.order
+    )
+    .slice(0, size)
+    .map((p) => p.key);
+}
@@ -0,0 +1,196 @@
+// ==========================================
+// 🩺 Recording Quality — catch bad takes before they reach training
+// ✅ Clipping ratio, RMS level, estimated SNR, duration, dropouts
+// ✅ Configurable rules: each check can block, warn or be off
+// ✅ Reports cached per dataset file in IndexedDB (raw-take levels stored at save time)
+// ==========================================
+
+import { loadSamples } from "./trim";
+import { TARGET_SAMPLE_RATE } from "./wav";
+import { idbPut, idbGetAll, idbDelete } from "./idb";
+
+const STORE = "quality";
+const RULES_KEY = "mw_quality_rules";
+const FRAME_MS = 20;
+const CLIP_LEVEL = 0.99; // samples this close to full scale…
+const CLIP_RUN = 3; // …for this many samples in a row form a clipped plateau
+const DROPOUT_MS = 20; // digital silence this long inside speech = dropout
+
+// ⚙️ Thresholds + what each check does when it fails
+export const DEFAULT_RULES = {
+  minDuration: 1, // seconds
+  maxDuration: 30,
+  maxClipRatio: 0.5, // % of samples
+  minRmsDb: -45, // dBFS of the raw take
+  minSnrDb: 15,
+  maxDropouts: 0,
+  severity: { duration: "block", clipping: "warn", level: "warn", snr: "warn", dropouts: "warn" },
+};
+
+export const CHECKS = ["duration", "clipping", "level", "snr", "dropouts"];
+
+export function getQualityRules() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(RULES_KEY) || "{}");
+    return { ...DEFAULT_RULES, ...saved, severity: { ...DEFAULT_RULES.severity, ...saved.severity } };
+  } catch {
+    return { ...DEFAULT_RULES };
+  }
+}
+
+export function saveQualityRules(rules) {
+  localStorage.setItem(RULES_KEY, JSON.stringify(rules));
+  window.dispatchEvent(new Event("quality-rules-changed"));
+}
+
+const toDb = (v) => 20 * Math.log10(v + 1e-9);
+
+// 📊 Metrics for mono samples
+export function analyzeSamples(samples, sampleRate = TARGET_SAMPLE_RATE) {
+  const n = samples.length;
+  let peak = 0;
+  let sumSq = 0;
+  for (let i = 0; i < n; i++) {
+    const a = Math.abs(samples[i]);
+    if (a > peak) peak = a;
+    sumSq += samples[i] * samples[i];
+  }
+
+  // ✂️ Plateaus at full scale — only meaningful on the raw take (normalized audio peaks below it)
+  let clipped = 0;
+  let run = 0;
+  for (let i = 0; i <= n; i++) {
+    const hot = i < n && Math.abs(samples[i]) >= CLIP_LEVEL && (run === 0 || samples[i] * samples[i - 1] > 0);
+    if (hot) run++;
+    else {
+      if (run >= CLIP_RUN) clipped += run;
+      run = i < n && Math.abs(samples[i]) >= CLIP_LEVEL ? 1 : 0;
+    }
+  }
+
+  // 📶 SNR ≈ loud frames (90th pct) over quiet frames (10th pct)
+  const frameLen = Math.round((sampleRate * FRAME_MS) / 1000);
+  const levels = [];
+  for (let f = 0; f + frameLen <= n; f += frameLen) {
+    let s = 0;
+    for (let i = f; i < f + frameLen; i++) s += samples[i] * samples[i];
+    levels.push(10 * Math.log10(s / frameLen + 1e-12));
+  }
+  const sorted = [...levels].sort((a, b) => a - b);
+  const pct = (p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] ?? -120;
+  const snrDb = sorted.length ? pct(0.9) - pct(0.1) : 0;
+
+  // 🕳️ Runs of exact digital silence between the first and last loud frame
+  const loud = pct(0.9) - 10;
+  const firstLoud = levels.findIndex((l) => l >= loud);
+  const lastLoud = levels.length - 1 - [...levels].reverse().findIndex((l) => l >= loud);
+  const minRun = Math.round((sampleRate * DROPOUT_MS) / 1000);
+  let dropouts = 0;
+  if (firstLoud !== -1) {
+    let run = 0;
+    for (let i = firstLoud * frameLen; i < (lastLoud + 1) * frameLen && i < n; i++) {
+      run = Math.abs(samples[i]) < 1e-5 ? run + 1 : 0;
+      if (run === minRun) dropouts++;
+    }
+  }
+
+  return {
+    duration: n / sampleRate,
+    peakDb: toDb(peak),
+    rmsDb: toDb(Math.sqrt(sumSq / Math.max(1, n))),
+    clipRatio: (clipped / Math.max(1, n)) * 100,
+    snrDb,
+    dropouts,
+  };
+}
+
+// 🎚️ Stored dataset WAVs are peak-normalized (wav.js) — level and clipping can't be judged from them
+export const levelBlind = (m) => ({ ...m, rmsDb: null, peakDb: null, clipRatio: null });
+
+// 🧠 Decoded samples per blob (trim edits re-analyze without re-decoding)
+const decoded = new WeakMap();
+const samplesFor = (blob) => {
+  if (!decoded.has(blob)) decoded.set(blob, loadSamples(blob));
+  return decoded.get(blob);
+};
+
+// 🎧 Analyze a blob, optionally just a trim range.
+//    levelFrom: the raw (pre-normalization) take, for honest level/clipping numbers
+export async function analyzeBlob(blob, { range, levelFrom } = {}) {
+  const samples = await samplesFor(blob);
+  const sr = TARGET_SAMPLE_RATE;
+  const part = range
+    ? samples.subarray(Math.floor(range.start * sr), Math.ceil(range.end * sr))
+    : samples;
+  const metrics = analyzeSamples(part, sr);
+
+  if (levelFrom && levelFrom !== blob) {
+    try {
+      const raw = analyzeSamples(await samplesFor(levelFrom), sr);
+      Object.assign(metrics, { rmsDb: raw.rmsDb, peakDb: raw.peakDb, clipRatio: raw.clipRatio });
+    } catch {
+      // raw container not decodable — keep the WAV's numbers
+    }
+  }
+  return metrics;
+}
+
+// ⚖️ Metrics + rules → { level: "ok" | "warn" | "block", issues: [{ check, level, message }] }
+export function assessQuality(m, rules = getQualityRules()) {
+  const failed = {
+    duration:
+      m.duration < rules.minDuration
+        ? `Too short (${m.duration.toFixed(1)} s < ${rules.minDuration} s)`
+        : m.duration > rules.maxDuration
+        ? `Too long (${m.duration.toFixed(1)} s > ${rules.maxDuration} s)`
+        : null,
+    clipping:
+      m.clipRatio != null && m.clipRatio > rules.maxClipRatio
+        ? `Clipping on ${m.clipRatio.toFixed(2)}% of samples`
+        : null,
+    level: m.rmsDb != null && m.rmsDb < rules.minRmsDb ? `Very quiet (${m.rmsDb.toFixed(0)} dBFS)` : null,
+    snr: m.snrDb < rules.minSnrDb ? `Noisy (SNR ≈ ${m.snrDb.toFixed(0)} dB)` : null,
+    dropouts: m.dropouts > rules.maxDropouts ? `${m.dropouts} audio dropout(s)` : null,
+  };
+
+  const issues = CHECKS.filter((c) => failed[c] && rules.severity[c] !== "off").map((c) => ({
+    check: c,
+    level: rules.severity[c],
+    message: failed[c],
+  }));
+  const level = issues.some((i) => i.level === "block") ? "block" : issues.length ? "warn" : "ok";
+  return { level, issues };
+}
+
+// 🚦 Ask before saving: false when blocked or the user backs out
+export function confirmQuality(report) {
+  if (!report || report.level === "ok") return true;
+  const lines = report.issues.map((i) => `• ${i.message}`).join("\n");
+  if (report.level === "block") {
+    window.alert(`⛔ This recording can't be saved:\n${lines}`);
+    return false;
+  }
+  return window.confirm(`⚠️ Quality warnings:\n${lines}\n\nSave anyway?`);
+}
+
+// 🗄️ Per-file cache for the dataset list
+//    source: "take" (analyzed with the raw recording) or "dataset" (the stored WAV — levels dropped)
+export async function saveQualityReport(file_name, metrics, source = "dataset") {
+  await idbPut(STORE, {
+    file_name,
+    metrics: source === "take" ? metrics : levelBlind(metrics),
+    source,
+    analyzedAt: Date.now(),
+  });
+}
+
+export async function loadQualityReports() {
+  try {
+    const all = await idbGetAll(STORE);
+    return Object.fromEntries(all.map((r) => [r.file_name, r.source === "take" ? r.metrics : levelBlind(r.metrics)]));
+  } catch {
+    return {};
+  }
+}
+
+export const forgetQualityReport = (file_name) => idbDelete(STORE, file_name).catch(() => {});
@@ -0,0 +1,111 @@
+// ==========================================
+// ✅ Sample Review — approve / flag / reject dataset rows
+// ✅ Status, reviewer, timestamp and notes per sample (with a short history)
+// ✅ Local stand-in store (IndexedDB) until the backend has review endpoints
+// ✅ Queue helper: next row with a given status, in list order
+// ✅ Editing a reviewed sample's text or audio sends it back to the queue
+// ==========================================
+
+import { idbPut, idbGet, idbGetAll } from "./idb";
+
+const STORE = "reviews";
+const REVIEWER_KEY = "mw_reviewer";
+const HISTORY_LIMIT = 10; // earlier verdicts kept per sample
+
+// 🏷️ code → label / badge
+export const REVIEW_STATUSES = [
+  ["unreviewed", "Unreviewed", "⬜"],
+  ["approved", "Approved", "✅"],
+  ["needs_fix", "Needs fix", "🛠️"],
+  ["rejected", "Rejected", "⛔"],
+];
+export const reviewLabel = (status) => REVIEW_STATUSES.find(([s]) => s === status)?.[1] || status;
+export const reviewIcon = (status) => REVIEW_STATUSES.find(([s]) => s === status)?.[2] || "⬜";
+
+const notify = () => window.dispatchEvent(new Event("reviews-changed"));
+
+// 🗄️ Where reviews live — swap for /dataset/review calls once the backend grows them
+const localStore = {
+  list: () => idbGetAll(STORE),
+  get: (file_name) => idbGet(STORE, file_name),
+  put: (entry) => idbPut(STORE, entry),
+};
+
+// 👤 Reviewer name (remembered per browser)
+export const getReviewerName = () => localStorage.getItem(REVIEWER_KEY) || "";
+export const saveReviewerName = (name) => localStorage.setItem(REVIEWER_KEY, name.trim());
+
+// 📋 file_name → { status, reviewer, note, reviewedAt, history }
+export async function loadReviews() {
+  try {
+    return new Map((await localStore.list()).map((r) => [r.file_name, r]));
+  } catch {
+    return new Map();
+  }
+}
+
+export const statusOf = (reviews, file_name) => reviews?.get(file_name)?.status || "unreviewed";
+
+const historyOf = (previous) =>
+  previous
+    ? [
+        { status: previous.status, reviewer: previous.reviewer, note: previous.note, reviewedAt: previous.reviewedAt },
+        ...(previous.history || []),
+      ].slice(0, HISTORY_LIMIT)
+    : [];
+
+// 📝 Record a verdict; the previous one moves into the history
+export async function saveReview(file_name, { status, note = "" }, previous = null) {
+  if (!REVIEW_STATUSES.some(([s]) => s === status)) throw new Error(`Unknown review status "${status}"`);
+  const reviewer = getReviewerName();
+  if (!reviewer) throw new Error("Enter your reviewer name first");
+  const entry = { file_name, status, reviewer, note: note.trim(), reviewedAt: Date.now(), history: historyOf(previous) };
+  await localStore.put(entry);
+  notify();
+  return entry;
+}
+
+// ↩️ Text or audio changed → back to "unreviewed"; the old verdict stays in the history
+//    reason: shown as the note ("Text edited", "Audio re-recorded")
+export async function reopenReview(file_name, reason) {
+  try {
+    const previous = await localStore.get(file_name);
+    if (!previous || previous.status === "unreviewed") return;
+    await localStore.put({
+      file_name,
+      status: "unreviewed",
+      reviewer: "",
+      note: reason,
+      reviewedAt: Date.now(),
+      history: historyOf(previous),
+    });
+    notify();
+  } catch (err) {
+    console.warn("⚠️ Could not reset review:", err.message);
+  }
+}
+
+// ⏭️ Next row after `from` (exclusive) whose status is in `statuses`, skipping `skipped`
+export function nextInQueue(rows, reviews, { statuses = ["unreviewed"], from = null, skipped = new Set() } = {}) {
+  const start = from ? rows.findIndex((s) => s.file_name === from) + 1 : 0;
+  for (let k = 0; k < rows.length; k++) {
+    const s = rows[(start + k) % rows.length];
+    if (!skipped.has(s.file_name) && statuses.includes(statusOf(reviews, s.file_name))) return s;
+  }
+  return null;
+}
+
+// 📊 Counts per status for a list of rows
+export function reviewCounts(rows, reviews) {
+  const counts = Object.fromEntries(REVIEW_STATUSES.map(([s]) => [s, 0]));
+  rows.forEach((s) => counts[statusOf(reviews, s.file_name)]++);
+  return counts;
+}
+
+// 🕒 "Approved by Saraa · 2026-10-19 14:02 — note"
+export function describeReview(review) {
+  if (!review) return "Not reviewed yet";
+  const when = new Date(review.reviewedAt).toLocaleString();
+  const by = review.reviewer ? ` by ${review.reviewer}` : "";
+  return `${reviewLabel(review.status)}${by} · ${when}${review.note ? `\n📝 ${review.note}` : ""}`;
+}
@@ -0,0 +1,70 @@
+// ==========================================
+// 🧭 Hash Router — shareable deep links
+// ✅ #/transcribe · #/read · #/dataset · #/dataset/<file_name> · #/stats · #/evaluate
+// ✅ Query string for filters: #/dataset?q=сайн&empty=1
+// ✅ Back/forward via the browser's own history
+// ==========================================
+
+import { useEffect, useState } from "react";
+
+export const PAGES = ["transcribe", "read", "dataset", "stats", "evaluate"];
+const DEFAULT_PAGE = "transcribe";
+
+// 🔍 "#/dataset/usr_1.wav?q=x" → { page, param, query }
+export function parseHash(hash = window.location.hash) {
+  const raw = hash.replace(/^#\/?/, "");
+  const [path, qs = ""] = raw.split("?");
+  const [first, ...rest] = path.split("/");
+  const page = PAGES.includes(first) ? first : DEFAULT_PAGE;
+  const param = rest.length ? decodeURIComponent(rest.join("/")) : null;
+  const query = Object.fromEntries(new URLSearchParams(qs));
+  return { page, param, query };
+}
+
+// 🔗 Inverse of parseHash (empty query values are dropped)
+export function buildHash({ page = DEFAULT_PAGE, param = null, query = {} } = {}) {
+  const qs = new URLSearchParams(
+    Object.entries(query).filter(([, v]) => v !== "" && v != null && v !== false)
+  ).toString();
+  return `#/${page}${param ? `/${encodeURIComponent(param)}` : ""}${qs ? `?${qs}` : ""}`;
+}
+
+// 🚀 Navigate; `replace` keeps the history stack clean (e.g. typing in search)
+export function navigate(route, { replace = false } = {}) {
+  const next = typeof route === "string" ? route : buildHash(route);
+  if (next === window.location.hash) return;
+  if (replace) {
+    window.history.replaceState(window.history.state, "", next);
+    window.dispatchEvent(new Event("route-changed")); // replaceState fires no hashchange
+  } else {
+    window.location.hash = next;
+  }
+}
+
+// 🧩 Merge into the current route (query keys set to "" are removed)
+export function updateRoute(patch, options) {
+  const cur = parseHash();
+  navigate(
+    {
+      page: patch.page ?? cur.page,
+      param: patch.param !== undefined ? patch.param : cur.param,
+      query: patch.query ? { ...cur.query, ...patch.query } : cur.query,
+    },
+    options
+  );
+}
+
+// 🪝 Current route, re-rendered on hash changes
+export function useHashRoute() {
+  const [route, setRoute] = useState(() => parseHash());
+  useEffect(() => {
+    const sync = () => setRoute(parseHash());
+    window.addEventListener("hashchange", sync);
+    window.addEventListener("route-changed", sync);
+    return () => {
+      window.removeEventListener("hashchange", sync);
+      window.removeEventListener("route-changed", sync);
+    };
+  }, []);
+  return route;
+}
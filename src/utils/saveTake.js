@@ -0,0 +1,76 @@
+// ==========================================
+// 💾 Save Take — the one way a recording enters the dataset
+// ✅ Consenting speaker → quality gate → text policy → trim → upload queue
+// ✅ Shared by Transcribe, Read Session, history promote and batch files, so every save follows the same rules
+// ✅ Names stay unique even when several takes are saved within one second
+// ==========================================
+
+import { extForBlob } from "./api";
+import { submitUpload } from "./uploadQueue";
+import { loadSamples, detectSpeech, trimBlob } from "./trim";
+import { analyzeBlob, assessQuality, confirmQuality, saveQualityReport } from "./quality";
+import { prepareForSave } from "./mnText";
+import { speakerProblem, speakerFileName, buildUploadMeta } from "./speakers";
+
+const usedNames = new Set(); // names handed out in this tab
+
+// 🏷️ spk003_f25_20250131_142501.wav, then …_2.wav, …_3.wav within the same second
+function uniqueFileName(speaker, ext) {
+  const base = speakerFileName(speaker, ext);
+  let name = base;
+  for (let n = 2; usedNames.has(name); n++) name = base.replace(/(\.\w+)$/, `_${n}$1`);
+  usedNames.add(name);
+  return name;
+}
+
+// ✂️ "auto" → detected speech (what the trim editor starts with)
+const resolveRange = async (blob, range) =>
+  range === "auto" ? loadSamples(blob).then((s) => detectSpeech(s)).catch(() => null) : range;
+
+// 🎙️ Take → /dataset/add through the upload queue
+//    blob: 16 kHz WAV take · raw: pre-conversion take (honest levels) · range: kept part in seconds, or "auto"
+//    askText: false → unfixable text issues don't prompt (the caller reports `remaining`)
+//    → { status: "uploaded" | "queued" | "cancelled", fileName, text, remaining, reason }
+//      cancelled: the speaker/text check failed (reason) or the user backed out
+export async function saveTake({
+  blob,
+  raw = null,
+  range = null,
+  text,
+  speaker,
+  policy,
+  source = "transcribe",
+  device = "",
+  askText = true,
+}) {
+  const problem = speakerProblem(speaker); // 👥 every dataset take needs a consenting speaker
+  if (problem) return { status: "cancelled", reason: problem };
+
+  // ✨ Normalized per the text policy; unfixable issues need a confirmation
+  const { text: cleanText, remaining } = prepareForSave(text, policy);
+  if (!cleanText) return { status: "cancelled", reason: "Enter the corresponding text!" };
+
+  // 🩺 Analyzed here, so a take is never saved while its check is still pending
+  const kept = await resolveRange(blob, range);
+  const metrics = await analyzeBlob(blob, { range: kept, levelFrom: raw }).catch(() => null);
+  if (metrics && !confirmQuality(assessQuality(metrics))) return { status: "cancelled" };
+
+  const issues = remaining.map((i) => `⚠️ ${i.message}`).join("\n");
+  if (askText && remaining.length && !window.confirm(`${issues}\n\nSave anyway?`)) return { status: "cancelled" };
+
+  // ✂️ Only the kept part goes to the dataset
+  const trimmed = await trimBlob(blob, kept).catch(() => blob);
+  // 🏷️ Speaker in the name; extension follows the real container (WAV unless conversion fell back)
+  const fileName = uniqueFileName(speaker, extForBlob(trimmed));
+  // 📥 Persisted to IndexedDB first — a failed upload never loses the take
+  const res = await submitUpload({
+    kind: "add",
+    blob: trimmed,
+    fileName,
+    text: cleanText,
+    meta: buildUploadMeta(speaker, { mimeType: (raw || blob).type, source, device }),
+  });
+  // 🩺 Raw-take numbers for the dataset badge (the stored WAV is normalized)
+  if (metrics) saveQualityReport(fileName, metrics, "take").catch(() => {});
+  return { ...res, fileName, text: cleanText, remaining };
+}
@@ -0,0 +1,221 @@
+// ==========================================
+// 👥 Speaker profiles + recording-session metadata
+// ✅ Profiles (ID, gender, age band, dialect/region, native language, consent)
+// ✅ Session context (mic, environment, browser, device) chosen before recording
+// ✅ Speaker encoded in file names: spk003_f25_20250131_142501.wav
+// ✅ Per-sample metadata cached locally (IndexedDB) for servers that drop it
+// ==========================================
+
+import { generateFileName } from "./api";
+import { idbPut, idbGet, idbGetAll } from "./idb";
+
+const PROFILES_KEY = "mw_speakers";
+const ACTIVE_KEY = "mw_active_speaker";
+const SESSION_KEY = "mw_recording_session";
+const META_STORE = "sampleMeta";
+
+export const GENDERS = [
+  ["f", "Female"],
+  ["m", "Male"],
+  ["x", "Other"],
+  ["u", "Prefer not to say"],
+];
+// code → label; the code is what goes into file names
+export const AGE_BANDS = [
+  ["17", "Under 18"],
+  ["18", "18–24"],
+  ["25", "25–34"],
+  ["35", "35–44"],
+  ["45", "45–54"],
+  ["55", "55–64"],
+  ["65", "65+"],
+  ["00", "Unknown"],
+];
+export const DIALECTS = ["Khalkha", "Oirat", "Buryat", "Dariganga", "Khamnigan", "Inner Mongolian", "Other"];
+export const ENVIRONMENTS = ["Quiet room", "Office", "Home (some noise)", "Outdoors", "Car", "Public space"];
+
+export const labelOf = (list, code) => list.find(([c]) => c === code)?.[1] || code || "—";
+
+const SPEAKER_ID = /^[a-z]+\d+$/; // matches speakerOf() in datasetExport
+
+const notify = () => window.dispatchEvent(new Event("speakers-changed"));
+
+const readJSON = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+export const listProfiles = () => readJSON(PROFILES_KEY, []);
+
+export function getActiveProfile() {
+  const id = localStorage.getItem(ACTIVE_KEY);
+  return listProfiles().find((p) => p.id === id) || null;
+}
+
+export function setActiveProfile(id) {
+  if (id) localStorage.setItem(ACTIVE_KEY, id);
+  else localStorage.removeItem(ACTIVE_KEY);
+  notify();
+}
+
+// 🆔 spk001, spk002, …
+export function nextSpeakerId(profiles = listProfiles()) {
+  const nums = profiles.map((p) => Number(p.id.match(/^spk(\d+)$/)?.[1] || 0));
+  return `spk${String(Math.max(0, ...nums) + 1).padStart(3, "0")}`;
+}
+
+export const newProfile = () => ({
+  id: nextSpeakerId(),
+  gender: "u",
+  ageBand: "00",
+  dialect: "Khalkha",
+  region: "",
+  nativeLanguage: "Mongolian",
+  consent: false,
+  consentAt: null,
+});
+
+// 💾 Insert (previousId null) or update the profile stored as `previousId`; new ones become active
+export function saveProfile(profile, previousId = null) {
+  const id = (profile.id || "").trim().toLowerCase();
+  if (!SPEAKER_ID.test(id)) throw new Error("Speaker ID must be letters followed by digits, e.g. spk007");
+  const profiles = listProfiles();
+  if (id !== previousId && profiles.some((p) => p.id === id)) throw new Error(`Speaker ${id} already exists`);
+  const saved = {
+    ...profile,
+    id,
+    consentAt: profile.consent ? profile.consentAt || Date.now() : null,
+  };
+  const next = previousId ? profiles.map((p) => (p.id === previousId ? saved : p)) : [...profiles, saved];
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(next));
+  if (!previousId || localStorage.getItem(ACTIVE_KEY) === previousId) localStorage.setItem(ACTIVE_KEY, id);
+  notify();
+  return saved;
+}
+
+export function deleteProfile(id) {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(listProfiles().filter((p) => p.id !== id)));
+  if (localStorage.getItem(ACTIVE_KEY) === id) localStorage.removeItem(ACTIVE_KEY);
+  notify();
+}
+
+// 🎛️ Session context (per device)
+export const getSessionInfo = () => ({ mic: "", environment: ENVIRONMENTS[0], ...readJSON(SESSION_KEY, {}) });
+
+export function saveSessionInfo(info) {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(info));
+  notify();
+}
+
+// 🌐 "Chrome 129 · Android" from the user agent (first match wins)
+const BROWSERS = [
+  ["Edge", /Edg\/(\d+)/],
+  ["Opera", /OPR\/(\d+)/],
+  ["Samsung Internet", /SamsungBrowser\/(\d+)/],
+  ["Firefox", /Firefox\/(\d+)/],
+  ["Chrome", /(?:Chrome|CriOS)\/(\d+)/],
+  ["Safari", /Version\/(\d+).*Safari/],
+];
+const SYSTEMS = [
+  ["Android", /Android/],
+  ["iOS", /iPhone|iPad/],
+  ["macOS", /Mac OS/],
+  ["Windows", /Windows/],
+  ["Linux", /Linux/],
+];
+
+export function browserLabel(ua = navigator.userAgent) {
+  const browser = BROWSERS.map(([name, re]) => [name, ua.match(re)]).find(([, m]) => m);
+  const os = SYSTEMS.find(([, re]) => re.test(ua))?.[0];
+  return [browser ? `${browser[0]} ${browser[1][1]}` : "Unknown browser", os].filter(Boolean).join(" · ");
+}
+
+// ✅ Saving to the dataset needs a speaker who has consented
+export function speakerProblem(profile) {
+  if (!profile) return "Choose a speaker profile before saving.";
+  if (!profile.consent) return `Speaker ${profile.id} has not given recording consent.`;
+  return null;
+}
+
+// 🏷️ spk003 + f + 25 → "spk003_f25_20250131_142501.wav"
+export const speakerTag = (p) => `${p.gender || "u"}${p.ageBand || "00"}`;
+
+export const speakerFileName = (profile, ext = "wav") =>
+  generateFileName(`${profile.id}_${speakerTag(profile)}`, ext);
+
+const LEGACY_PREFIX = /^(usr|wv)\d*$/i; // usr001_… / wv_… are app prefixes, not speakers
+
+// 🔍 What the file name alone tells us
+export function metaFromName(file_name) {
+  const m = (file_name || "").replace(/^.*\//, "").match(/^([a-z]+\d+)_(?:([fmxu])(\d{2})_)?/i);
+  if (!m || LEGACY_PREFIX.test(m[1])) return {};
+  return { speaker_id: m[1].toLowerCase(), ...(m[2] && { gender: m[2].toLowerCase(), age_band: m[3] }) };
+}
+
+// 📎 Flat metadata sent with /dataset/add
+export function buildUploadMeta(profile, { mimeType = "", source = "transcribe", device = "" } = {}) {
+  const session = getSessionInfo();
+  return {
+    speaker_id: profile.id,
+    gender: profile.gender,
+    age_band: profile.ageBand,
+    dialect: profile.dialect,
+    region: profile.region,
+    native_language: profile.nativeLanguage,
+    consent: Boolean(profile.consent),
+    mic: session.mic,
+    environment: session.environment,
+    browser: browserLabel(),
+    device,
+    mime_type: mimeType,
+    source,
+    recorded_at: new Date().toISOString(),
+  };
+}
+
+// 🗄️ Local copy of what was uploaded (keyed by bare file name)
+const bare = (file_name) => (file_name || "").replace(/^.*\//, "");
+
+export async function rememberSampleMeta(file_name, meta) {
+  try {
+    await idbPut(META_STORE, { file_name: bare(file_name), ...meta });
+  } catch (err) {
+    console.warn("⚠️ Sample metadata not cached:", err.message);
+  }
+}
+
+// 🔎 One sample's cached metadata (without the key), or null
+export async function getSampleMeta(file_name) {
+  try {
+    const { file_name: _, ...meta } = (await idbGet(META_STORE, bare(file_name))) || {};
+    return Object.keys(meta).length ? meta : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function loadSampleMeta() {
+  try {
+    return new Map((await idbGetAll(META_STORE)).map((m) => [m.file_name, m]));
+  } catch {
+    return new Map();
+  }
+}
+
+// 🧩 Best available metadata for a /dataset/list row:
+//    server fields → local cache → file name (+ the matching local profile)
+export function resolveSampleMeta(sample, cache, profiles = []) {
+  const server = { ...(sample.metadata || {}), ...(sample.speaker_id && { speaker_id: sample.speaker_id }) };
+  const fromName = metaFromName(sample.file_name);
+  const merged = { ...fromName, ...cache?.get(bare(sample.file_name)), ...server };
+  const profile = merged.speaker_id && profiles.find((p) => p.id === merged.speaker_id);
+  if (profile) {
+    merged.gender ??= profile.gender;
+    merged.age_band ??= profile.ageBand;
+    merged.dialect ??= profile.dialect;
+  }
+  return merged;
+}
@@ -0,0 +1,21 @@
+// ==========================================
+// 🔤 Text helpers shared across pages
+// ==========================================
+
+import { unifyLetters } from "./mnText";
+
+// 🔍 Case/diacritic-stable form for matching (Mongolian Cyrillic safe)
+export function normalizeForSearch(text) {
+  return (text || "")
+    .normalize("NFC")
+    .toLocaleLowerCase("mn")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// 🧪 Comparable form for WER/CER: search normalization + Mongolian letter variants
+//    (Old/Latin look-alikes that keyboards and models mix up — see mnText)
+export function normalizeForEval(text) {
+  return normalizeForSearch(unifyLetters(text)).replace(/ё/g, "е");
+}
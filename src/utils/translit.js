@@ -0,0 +1,106 @@
+// ==========================================
+// 🔡 Latin → Mongolian Cyrillic phonetic transliteration
+// ✅ Live, keystroke by keystroke: "s" → "с", then "h" → "ш"
+// ✅ ө / ү via ö ü, o' u' or the chat-style q / w
+// ✅ Mapping is customizable (overrides saved in localStorage)
+// ✅ Whole-string transliteration for pastes
+// ==========================================
+
+const SETTINGS_KEY = "mw_translit";
+
+// 🗺️ Latin sequence → Cyrillic (lowercase; capitals are derived)
+export const DEFAULT_MAP = {
+  a: "а", b: "б", v: "в", g: "г", d: "д", e: "э", j: "ж", z: "з", i: "и", y: "й",
+  k: "к", l: "л", m: "м", n: "н", o: "о", p: "п", r: "р", s: "с", t: "т", u: "у",
+  f: "ф", h: "х", c: "ц", x: "х", q: "ө", w: "ү", "ö": "ө", "ü": "ү",
+  "o'": "ө", "u'": "ү", kh: "х", ts: "ц", ch: "ч", sh: "ш", shch: "щ",
+  ya: "я", yo: "ё", yu: "ю", ye: "е", ii: "ий", yy: "ы", "'": "ь", "''": "ъ",
+  ai: "ай", oi: "ой", ei: "эй", ui: "уй", qi: "өй", wi: "үй",
+};
+
+export function getTranslitSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}");
+    return { enabled: false, custom: {}, ...saved };
+  } catch {
+    return { enabled: false, custom: {} };
+  }
+}
+
+export function saveTranslitSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  window.dispatchEvent(new Event("translit-changed"));
+}
+
+// 🧩 Defaults + user overrides (an empty value removes a default)
+export function buildMap(custom = {}) {
+  const map = { ...DEFAULT_MAP };
+  for (const [k, v] of Object.entries(custom)) {
+    const key = k.toLowerCase();
+    if (!key) continue;
+    if (v) map[key] = v;
+    else delete map[key];
+  }
+  return map;
+}
+
+// 📝 "sh=ш" lines ⇄ overrides
+export const formatMapping = (custom) =>
+  Object.entries(custom)
+    .map(([k, v]) => `${k}=${v}`)
+    .join("\n");
+
+export function parseMapping(text) {
+  const out = {};
+  for (const line of (text || "").split(/\r?\n/)) {
+    const m = line.match(/^\s*([^=\s]+)\s*=\s*(\S*)\s*$/);
+    if (m) out[m[1].toLowerCase()] = m[2];
+  }
+  return out;
+}
+
+const capitalize = (s) => s.charAt(0).toLocaleUpperCase("mn") + s.slice(1);
+const isUpper = (c) => c !== c.toLowerCase() && c === c.toUpperCase();
+
+// 🔁 Greedy, longest-match transliteration of a whole string
+export function transliterate(text, map = buildMap()) {
+  const keys = Object.keys(map).sort((a, b) => b.length - a.length);
+  let out = "";
+  for (let i = 0; i < text.length; ) {
+    const rest = text.slice(i).toLowerCase();
+    const key = keys.find((k) => rest.startsWith(k));
+    if (!key) {
+      out += text[i++];
+      continue;
+    }
+    out += isUpper(text[i]) ? capitalize(map[key]) : map[key];
+    i += key.length;
+  }
+  return out;
+}
+
+// ⌨️ Keystroke rules: (already-typed Cyrillic tail + next Latin char) → replacement
+//    e.g. "sh" becomes { tail: "с", char: "h", out: "ш" }
+export function compileRules(map = buildMap()) {
+  const rules = [];
+  for (const [key, out] of Object.entries(map)) {
+    if (key.length < 2) continue;
+    rules.push({ tail: transliterate(key.slice(0, -1), map), char: key.slice(-1), out });
+  }
+  // longest tail first so "shch" beats "ch"
+  return { map, rules: rules.sort((a, b) => b.tail.length - a.tail.length) };
+}
+
+// ✍️ Apply one typed character → { before, inserted } where `before` may have lost its tail
+export function applyKeystroke(before, char, { map, rules }) {
+  const lower = char.toLowerCase();
+  const tailLower = before.toLocaleLowerCase("mn");
+  for (const r of rules) {
+    if (r.char !== lower || !r.tail || !tailLower.endsWith(r.tail)) continue;
+    const start = before.length - r.tail.length;
+    const upper = isUpper(before[start] || "") || (isUpper(char) && !r.tail);
+    return { before: before.slice(0, start), inserted: upper ? capitalize(r.out) : r.out };
+  }
+  if (map[lower] == null) return { before, inserted: char };
+  return { before, inserted: isUpper(char) ? capitalize(map[lower]) : map[lower] };
+}
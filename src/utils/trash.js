@@ -0,0 +1,87 @@
+// ==========================================
+// 🗑️ Trash — recoverable deletes for dataset samples
+// ✅ Audio + text backed up to IndexedDB *before* /dataset/delete
+// ✅ Restore re-uploads through /dataset/add under the same name, with the sample's cached metadata
+// ✅ Entries expire after RETENTION_DAYS (purged at startup, or by hand)
+// ✅ Works with any backend that serves /dataset/* (real or mock)
+// ==========================================
+
+import { deleteSample, addSample, fetchSampleAudio } from "./api";
+import { idbPut, idbGet, idbGetAll, idbDelete, idbClear } from "./idb";
+import { getSampleMeta, metaFromName } from "./speakers";
+
+const STORE = "trash";
+export const RETENTION_DAYS = 14;
+const RETENTION_MS = RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+const notify = () => window.dispatchEvent(new Event("trash-updated"));
+
+// 🗑️ Back up, then delete on the server. Throws (and drops the backup) if delete fails.
+//    Returns { backedUp } — false when the audio could not be fetched (deleted for good, no Trash entry).
+export async function trashSample(file_name, text, { signal, requireAudio = true } = {}) {
+  let blob = null;
+  try {
+    blob = await fetchSampleAudio(file_name, { signal });
+  } catch (err) {
+    err.backupFailed = true; // caller may retry with requireAudio: false
+    if (requireAudio) throw err;
+  }
+
+  if (blob) await idbPut(STORE, { file_name, text: text || "", blob, deletedAt: Date.now() });
+  try {
+    const data = await deleteSample(file_name, { signal });
+    if (data?.status !== "ok") throw new Error(data?.detail || "Delete failed");
+  } catch (err) {
+    if (blob) await idbDelete(STORE, file_name);
+    throw err;
+  }
+  if (blob) notify();
+  return { backedUp: Boolean(blob) };
+}
+
+// ♻️ Put a trashed sample back into the dataset
+export async function restoreFromTrash(file_name) {
+  const entry = await idbGet(STORE, file_name);
+  if (!entry) throw new Error(`"${file_name}" is not in the trash`);
+  if (!entry.blob) throw new Error("No audio backup — cannot restore");
+
+  const name = file_name.replace(/^.*\//, "");
+  // 👥 Speaker metadata recorded at save time (or what the name encodes) goes back with the audio
+  const cached = (await getSampleMeta(name)) || metaFromName(name);
+  const meta = cached.speaker_id ? cached : null;
+  const data = await addSample(entry.blob, entry.text, name, { meta });
+  if (data?.status && data.status !== "ok") throw new Error(data.detail || "Restore failed");
+
+  await idbDelete(STORE, file_name);
+  notify();
+  window.dispatchEvent(new Event("dataset-updated"));
+  return entry;
+}
+
+// ⏳ Drop expired backups (and legacy entries without audio) → entries still kept
+export async function purgeExpiredTrash() {
+  try {
+    const all = await idbGetAll(STORE);
+    const cutoff = Date.now() - RETENTION_MS;
+    const keep = (e) => e.blob && e.deletedAt >= cutoff;
+    await Promise.all(all.filter((e) => !keep(e)).map((e) => idbDelete(STORE, e.file_name)));
+    return all.filter(keep);
+  } catch {
+    return [];
+  }
+}
+
+// 📋 Newest first; expired entries are purged on the way
+export async function listTrash() {
+  return (await purgeExpiredTrash()).sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+export async function purgeFromTrash(file_name) {
+  await idbDelete(STORE, file_name);
+  notify();
+}
+
+export async function emptyTrash() {
+  await idbClear(STORE);
+  notify();
+}
@@ -0,0 +1,101 @@
+// ==========================================
+// ✂️ Trim Utility — crop takes before they reach the dataset
+// ✅ Energy-based speech detection (ignores short button clicks)
+// ✅ Adjustable padding around detected speech
+// ✅ Min/max peaks for waveform drawing
+// ✅ Crops to a 16 kHz mono WAV (same format as toWhisperWav)
+// ==========================================
+
+import { decodeBlob, resampleToMono, encodeWav, TARGET_SAMPLE_RATE } from "./wav";
+
+export const DEFAULT_PAD_MS = 150;
+const FRAME_MS = 20;
+const MIN_SPEECH_MS = 60; // clicks are shorter than this
+const FLOOR_MARGIN_DB = 12; // speech must rise this far above the noise floor
+const PEAK_RANGE_DB = 45; // …and be within this range of the loudest frame
+
+// 🎧 Any blob → mono Float32 samples at `sampleRate`
+export async function loadSamples(blob, sampleRate = TARGET_SAMPLE_RATE) {
+  const decoded = await decodeBlob(blob);
+  return resampleToMono(decoded, sampleRate);
+}
+
+// 📶 RMS level (dBFS) per frame
+function frameLevels(samples, frameLen) {
+  const n = Math.ceil(samples.length / frameLen);
+  const levels = new Float32Array(n);
+  for (let f = 0; f < n; f++) {
+    let sum = 0;
+    const start = f * frameLen;
+    const end = Math.min(samples.length, start + frameLen);
+    for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+    levels[f] = 10 * Math.log10(sum / Math.max(1, end - start) + 1e-12);
+  }
+  return levels;
+}
+
+// 🗣️ Where speech starts/ends (seconds), padded. Whole clip when nothing stands out.
+export function detectSpeech(samples, sampleRate = TARGET_SAMPLE_RATE, { padMs = DEFAULT_PAD_MS } = {}) {
+  const duration = samples.length / sampleRate;
+  const frameLen = Math.round((sampleRate * FRAME_MS) / 1000);
+  const levels = frameLevels(samples, frameLen);
+  if (!levels.length) return { start: 0, end: duration };
+
+  const sorted = [...levels].sort((a, b) => a - b);
+  const floor = sorted[Math.floor(sorted.length * 0.1)];
+  const peak = sorted[sorted.length - 1];
+  const threshold = Math.max(floor + FLOOR_MARGIN_DB, peak - PEAK_RANGE_DB);
+  const minRun = Math.ceil(MIN_SPEECH_MS / FRAME_MS);
+
+  // 🔎 First/last run of ≥ minRun loud frames
+  const findRun = (from, step) => {
+    let run = 0;
+    for (let f = from; f >= 0 && f < levels.length; f += step) {
+      run = levels[f] >= threshold ? run + 1 : 0;
+      if (run >= minRun) return f - step * (minRun - 1);
+    }
+    return -1;
+  };
+  const first = findRun(0, 1);
+  const last = findRun(levels.length - 1, -1);
+  if (first === -1 || last === -1 || peak - floor < FLOOR_MARGIN_DB) return { start: 0, end: duration };
+
+  const pad = padMs / 1000;
+  return {
+    start: Math.max(0, (first * frameLen) / sampleRate - pad),
+    end: Math.min(duration, ((last + 1) * frameLen) / sampleRate + pad),
+  };
+}
+
+// 🌊 [min, max] pairs for `buckets` columns
+export function computePeaks(samples, buckets) {
+  const out = new Float32Array(buckets * 2);
+  const step = samples.length / buckets;
+  for (let b = 0; b < buckets; b++) {
+    let min = 0;
+    let max = 0;
+    const end = Math.min(samples.length, Math.floor((b + 1) * step));
+    for (let i = Math.floor(b * step); i < end; i++) {
+      const v = samples[i];
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+    out[b * 2] = min;
+    out[b * 2 + 1] = max;
+  }
+  return out;
+}
+
+// 💾 Samples within [start, end] seconds → WAV blob
+export function cropSamples(samples, { start, end }, sampleRate = TARGET_SAMPLE_RATE) {
+  const from = Math.max(0, Math.floor(start * sampleRate));
+  const to = Math.min(samples.length, Math.ceil(end * sampleRate));
+  return encodeWav(samples.subarray(from, Math.max(from, to)), sampleRate);
+}
+
+// ✂️ Blob + range → trimmed WAV (the untouched blob when no range is given)
+export async function trimBlob(blob, range) {
+  if (!range) return blob;
+  const samples = await loadSamples(blob);
+  return cropSamples(samples, range);
+}
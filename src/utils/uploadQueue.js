@@ -0,0 +1,156 @@
+// ==========================================
+// 📥 Upload Queue — offline-safe dataset uploads
+// ✅ Every take is written to IndexedDB *before* it is uploaded
+// ✅ Retries on `online` events and when the backend monitor reports it up
+// ✅ Holds uploads while Render is waking (no hanging requests)
+// ✅ Emits "upload-queue-changed" so the UI can show N pending
+// ==========================================
+
+import { addSample, updateSampleAudio } from "./api";
+import { idbPut, idbGet, idbGetAll, idbDelete } from "./idb";
+import { rememberSampleMeta } from "./speakers";
+import { forgetDuration } from "./datasetStats";
+import { forgetFingerprint } from "./duplicates";
+import { reopenReview } from "./review";
+import {
+  getBackendStatus,
+  isBackendOnline,
+  startBackendMonitor,
+  subscribeBackendStatus,
+} from "./backendStatus";
+
+const STORE = "uploads";
+const RETRY_POLL_MS = 30000;
+
+// 🛰️ Waking or unreachable backend → persist now, upload later
+const backendHeld = () => ["waking", "offline"].includes(getBackendStatus().status);
+
+const notify = () => window.dispatchEvent(new Event("upload-queue-changed"));
+
+// 🚦 4xx means the server rejected it — don't hammer it automatically
+const isPermanent = (err) => err?.status >= 400 && err?.status < 500;
+
+// 🌐 Perform one queued operation against the backend
+async function perform(op) {
+  const data =
+    op.kind === "update_audio"
+      ? await updateSampleAudio(op.fileName, op.blob)
+      : await addSample(op.blob, op.text, op.fileName, { meta: op.meta });
+  if (data?.status && data.status !== "ok") {
+    throw new Error(data.detail || data.message || `Unexpected status: ${data.status}`);
+  }
+  if (op.kind === "update_audio") {
+    // 📊👯 derived from the old audio — recompute next time
+    await forgetDuration(op.fileName);
+    await forgetFingerprint(op.fileName);
+    await reopenReview(op.fileName, "Audio re-recorded"); // 🧐 the verdict was for the old take
+  }
+  return data;
+}
+
+let flushing = null;
+const inFlight = new Set(); // ids being uploaded — never send one twice
+
+// ▶️ Try a single op; it stays in the store unless the upload succeeds
+async function attempt(op) {
+  if (inFlight.has(op.id)) return { status: "busy" };
+  inFlight.add(op.id);
+  try {
+    const data = await perform(op);
+    await idbDelete(STORE, op.id);
+    window.dispatchEvent(new Event("dataset-updated"));
+    return { status: "uploaded", data };
+  } catch (err) {
+    // 🗑️ Discarded while in flight — don't bring it back
+    if (!(await idbGet(STORE, op.id))) return { status: "discarded", error: err };
+    await idbPut(STORE, {
+      ...op,
+      attempts: (op.attempts || 0) + 1,
+      lastError: err.message,
+      blocked: isPermanent(err),
+    });
+    return { status: "queued", error: err };
+  } finally {
+    inFlight.delete(op.id);
+    notify();
+  }
+}
+
+// ➕ Persist first, then try to upload right away
+//    op: { kind: "add" | "update_audio", blob, fileName, text?, meta? }
+export async function submitUpload(op) {
+  if (op.meta) await rememberSampleMeta(op.fileName, op.meta); // 👥 shown in DatasetManager even if the server drops it
+  const record = { ...op, createdAt: Date.now(), attempts: 0, lastError: null, blocked: false };
+  let id;
+  try {
+    id = await idbPut(STORE, record);
+  } catch (err) {
+    // 🛟 No IndexedDB (private mode etc.) — upload directly, nothing to queue
+    console.warn("⚠️ Upload queue unavailable:", err.message);
+    const data = await perform(record);
+    window.dispatchEvent(new Event("dataset-updated"));
+    return { status: "uploaded", data };
+  }
+  notify();
+  if (backendHeld()) return { status: "queued", error: new Error("Server not reachable yet") };
+  return attempt({ ...record, id });
+}
+
+// 📋 Pending operations, oldest first
+export async function listPending() {
+  try {
+    const all = await idbGetAll(STORE);
+    return all.sort((a, b) => a.createdAt - b.createdAt);
+  } catch {
+    return [];
+  }
+}
+
+// 🔁 Retry everything (or one id). Auto mode skips server-rejected items.
+export function flushQueue({ id = null, auto = false } = {}) {
+  if (flushing) return flushing;
+  flushing = (async () => {
+    const ops = id != null ? [await idbGet(STORE, id)].filter(Boolean) : await listPending();
+    let uploaded = 0;
+    for (const op of ops) {
+      if (auto && op.blocked) continue;
+      const res = await attempt(op);
+      if (res.status === "uploaded") uploaded++;
+      else if (res.status === "queued" && !isPermanent(res.error)) break; // still offline — stop here
+    }
+    return uploaded;
+  })().finally(() => (flushing = null));
+  return flushing;
+}
+
+// 🗑️ Drop a queued take for good
+export async function discardUpload(id) {
+  await idbDelete(STORE, id);
+  notify();
+}
+
+// ⏰ Retry on reconnect / when the backend comes up, plus a slow poll
+export function startAutoRetry() {
+  const retry = async () => {
+    if (!navigator.onLine || !isBackendOnline()) return;
+    const pending = await listPending();
+    if (!pending.some((op) => !op.blocked)) return;
+    flushQueue({ auto: true });
+  };
+
+  const stopMonitor = startBackendMonitor();
+  let last = getBackendStatus().status;
+  const unsubscribe = subscribeBackendStatus((s) => {
+    if (s.status === "online" && last !== "online") retry();
+    last = s.status;
+  });
+  window.addEventListener("online", retry);
+  const timer = setInterval(retry, RETRY_POLL_MS);
+  retry();
+  return () => {
+    unsubscribe();
+    stopMonitor();
+    window.removeEventListener("online", retry);
+    clearInterval(timer);
+  };
+}
@@ -0,0 +1,41 @@
+// ==========================================
+// 🛑 useAbortScope — AbortController lifecycle for components
+// ✅ Everything is aborted when the component unmounts
+// ✅ renew("key") cancels the previous request with the same key
+// ==========================================
+
+import { useCallback, useEffect, useRef } from "react";
+
+export function useAbortScope() {
+  const controllersRef = useRef(new Map());
+
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => {
+      controllers.forEach((c) => c.abort());
+      controllers.clear();
+    };
+  }, []);
+
+  // 🔁 Fresh signal for `key`, aborting the one before it
+  const renew = useCallback((key = "default") => {
+    controllersRef.current.get(key)?.abort();
+    const controller = new AbortController();
+    controllersRef.current.set(key, controller);
+    return controller.signal;
+  }, []);
+
+  // 🧷 Shared signal for fire-and-forget calls (only aborted on unmount)
+  const scoped = useCallback(() => {
+    const key = "__unmount__";
+    if (!controllersRef.current.has(key)) controllersRef.current.set(key, new AbortController());
+    return controllersRef.current.get(key).signal;
+  }, []);
+
+  const abort = useCallback((key = "default") => {
+    controllersRef.current.get(key)?.abort();
+    controllersRef.current.delete(key);
+  }, []);
+
+  return { renew, scoped, abort };
+}
@@ -0,0 +1,95 @@
+// ==========================================
+// 🗣️ Voice Activity Detection — hands-free recording
+// ✅ Energy threshold = calibrated room noise + margin
+// ✅ Speech must last minSpeechMs (button clicks don't trigger)
+// ✅ Auto-stop after silenceMs of quiet
+// ✅ Settings persisted in localStorage
+// ==========================================
+
+const SETTINGS_KEY = "mw_vad_settings";
+
+export const DEFAULT_VAD = {
+  floorDb: -55, // room noise (dBFS) — replaced by calibration
+  marginDb: 12, // speech must be this much louder than the room
+  silenceMs: 1500, // quiet time that ends a take
+  prerollMs: 400, // audio kept before the detected onset
+  minSpeechMs: 120,
+};
+
+export function getVadSettings() {
+  try {
+    return { ...DEFAULT_VAD, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}") };
+  } catch {
+    return { ...DEFAULT_VAD };
+  }
+}
+
+export function saveVadSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+export const thresholdDb = (s) => s.floorDb + s.marginDb;
+
+// 📶 Current RMS level of an AnalyserNode (dBFS)
+export function levelDb(analyser, buf = new Float32Array(analyser.fftSize)) {
+  analyser.getFloatTimeDomainData(buf);
+  let sum = 0;
+  for (let i = 0; i < buf.length; i++) sum += buf[i] * buf[i];
+  return 10 * Math.log10(sum / buf.length + 1e-12);
+}
+
+// 🎚️ Listen to the room for `ms` and return its noise level (90th percentile, dBFS)
+export function measureNoiseFloor(analyser, ms = 3000) {
+  return new Promise((resolve) => {
+    const buf = new Float32Array(analyser.fftSize);
+    const levels = [];
+    const timer = setInterval(() => levels.push(levelDb(analyser, buf)), 50);
+    setTimeout(() => {
+      clearInterval(timer);
+      levels.sort((a, b) => a - b);
+      resolve(levels.length ? levels[Math.floor(levels.length * 0.9)] : DEFAULT_VAD.floorDb);
+    }, ms);
+  });
+}
+
+// 🚦 Speech start/end detector — call update(levelDb, nowMs) on every frame.
+//    Fires onSpeechStart(onsetMs) once, then onSpeechEnd(nowMs) after the silence window.
+export function createVad(settings, { onSpeechStart, onSpeechEnd } = {}) {
+  const threshold = thresholdDb(settings);
+  let loudSince = null;
+  let quietSince = null;
+  let speaking = false;
+  let ended = false;
+
+  return {
+    threshold,
+    get speaking() {
+      return speaking;
+    },
+    update(db, now) {
+      if (ended) return;
+      const loud = db >= threshold;
+      if (!speaking) {
+        if (!loud) {
+          loudSince = null;
+        } else {
+          loudSince ??= now;
+          if (now - loudSince >= settings.minSpeechMs) {
+            speaking = true;
+            onSpeechStart?.(loudSince);
+          }
+        }
+        return;
+      }
+      if (loud) {
+        quietSince = null;
+      } else {
+        quietSince ??= now;
+        if (now - quietSince >= settings.silenceMs) {
+          ended = true;
+          onSpeechEnd?.(now);
+        }
+      }
+    },
+  };
+}
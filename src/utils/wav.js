@@ -0,0 +1,128 @@
+// ==========================================
+// 🎚️ WAV Utility — Whisper-ready audio
+// ✅ Decodes webm/mp4/wav blobs in the browser
+// ✅ Resamples to 16 kHz mono PCM
+// ✅ Normalizes loudness (RMS target + peak ceiling)
+// ==========================================
+
+export const TARGET_SAMPLE_RATE = 16000;
+export const TARGET_RMS_DBFS = -20; // typical speech level for Whisper
+const PEAK_CEILING = 0.97; // ≈ -0.3 dBFS, keeps normalized audio unclipped
+const SILENCE_RMS = 1e-4; // below this we leave the gain alone
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+// 🧩 decodeAudioData (promise + old Safari callback form)
+export async function decodeBlob(blob) {
+  const arrayBuffer = await blob.arrayBuffer();
+  const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const ctx = new OfflineCtx(1, 1, 44100);
+  return new Promise((resolve, reject) => {
+    const p = ctx.decodeAudioData(arrayBuffer, resolve, reject);
+    if (p && typeof p.then === "function") p.then(resolve, reject);
+  });
+}
+
+// 🔁 Resample + downmix an AudioBuffer to mono Float32Array
+export async function resampleToMono(audioBuffer, sampleRate = TARGET_SAMPLE_RATE) {
+  const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const length = Math.max(1, Math.ceil(audioBuffer.duration * sampleRate));
+  const ctx = new OfflineCtx(1, length, sampleRate);
+  const src = ctx.createBufferSource();
+  src.buffer = audioBuffer;
+  src.connect(ctx.destination); // mono destination → speaker downmix
+  src.start(0);
+  const rendered = await ctx.startRendering();
+  return rendered.getChannelData(0).slice();
+}
+
+// 🔊 Scale samples in place towards a target RMS, never past the peak ceiling
+export function normalizeLoudness(samples, targetDbfs = TARGET_RMS_DBFS) {
+  let sumSq = 0;
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const v = samples[i];
+    sumSq += v * v;
+    const a = Math.abs(v);
+    if (a > peak) peak = a;
+  }
+  const rms = Math.sqrt(sumSq / Math.max(1, samples.length));
+  if (rms < SILENCE_RMS || peak === 0) return { gain: 1, rms, peak };
+
+  const gain = Math.min(dbToGain(targetDbfs) / rms, PEAK_CEILING / peak);
+  for (let i = 0; i < samples.length; i++) samples[i] *= gain;
+  return { gain, rms, peak };
+}
+
+// 💾 Encode mono Float32 samples as a 16-bit PCM WAV blob
+export function encodeWav(samples, sampleRate = TARGET_SAMPLE_RATE) {
+  const bytesPerSample = 2;
+  const dataSize = samples.length * bytesPerSample;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  const writeStr = (offset, str) => {
+    for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+  };
+
+  writeStr(0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  writeStr(8, "WAVE");
+  writeStr(12, "fmt ");
+  view.setUint32(16, 16, true); // PCM chunk size
+  view.setUint16(20, 1, true); // PCM format
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * bytesPerSample, true);
+  view.setUint16(32, bytesPerSample, true);
+  view.setUint16(34, 16, true);
+  writeStr(36, "data");
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+  for (let i = 0; i < samples.length; i++, offset += 2) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+  }
+  return new Blob([view], { type: "audio/wav" });
+}
+
+// 🎙️ Full pipeline: any recorded blob → 16 kHz mono normalized WAV
+export async function toWhisperWav(blob, { sampleRate = TARGET_SAMPLE_RATE, targetDbfs = TARGET_RMS_DBFS } = {}) {
+  const decoded = await decodeBlob(blob);
+  const samples = await resampleToMono(decoded, sampleRate);
+  normalizeLoudness(samples, targetDbfs);
+  return encodeWav(samples, sampleRate);
+}
+
+// 🛟 Convert, but fall back to the original blob if the browser can't decode it
+export async function toWhisperWavSafe(blob, options) {
+  try {
+    const wav = await toWhisperWav(blob, options);
+    console.log("🎚️ WAV ready:", wav.size, "bytes @", options?.sampleRate || TARGET_SAMPLE_RATE, "Hz");
+    return wav;
+  } catch (err) {
+    console.warn("⚠️ WAV conversion failed, using original blob:", err);
+    return blob;
+  }
+}
+
+// ⏱️ Duration in seconds — reads the RIFF header, decodes only non-PCM audio
+export async function getDuration(blob) {
+  const head = new DataView(await blob.slice(0, 4096).arrayBuffer());
+  const tag = (o) => String.fromCharCode(...[0, 1, 2, 3].map((i) => head.getUint8(o + i)));
+  if (head.byteLength >= 12 && tag(0) === "RIFF" && tag(8) === "WAVE") {
+    let byteRate = 0;
+    for (let o = 12; o + 8 <= head.byteLength; ) {
+      const id = tag(o);
+      const size = head.getUint32(o + 4, true);
+      if (id === "fmt " && o + 20 <= head.byteLength) byteRate = head.getUint32(o + 16, true);
+      if (id === "data" && byteRate) {
+        const dataSize = Math.min(size, blob.size - o - 8); // streamed WAVs lie about size
+        return dataSize / byteRate;
+      }
+      o += 8 + size + (size & 1);
+    }
+  }
+  return (await decodeBlob(blob)).duration;
+}
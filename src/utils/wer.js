@@ -0,0 +1,80 @@
+// ==========================================
+// 📏 Error rates — WER / CER with aligned diffs
+// ✅ Levenshtein alignment with a full backtrace
+// ✅ Ops: eq · sub · del (missed) · ins (extra)
+// ✅ Counts are summed per run for corpus-level rates
+// ==========================================
+
+import { normalizeForEval } from "./text";
+
+// 🔗 Align two token arrays → [{ op, ref, hyp }]
+export function alignTokens(ref, hyp) {
+  const n = ref.length;
+  const m = hyp.length;
+  const d = Array.from({ length: n + 1 }, (_, i) => {
+    const row = new Uint32Array(m + 1);
+    row[0] = i;
+    return row;
+  });
+  for (let j = 1; j <= m; j++) d[0][j] = j;
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      const cost = ref[i - 1] === hyp[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j - 1] + cost, d[i - 1][j] + 1, d[i][j - 1] + 1);
+    }
+  }
+
+  const ops = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && d[i][j] === d[i - 1][j - 1] + (ref[i - 1] === hyp[j - 1] ? 0 : 1)) {
+      ops.push({ op: ref[i - 1] === hyp[j - 1] ? "eq" : "sub", ref: ref[i - 1], hyp: hyp[j - 1] });
+      i--;
+      j--;
+    } else if (i > 0 && d[i][j] === d[i - 1][j] + 1) {
+      ops.push({ op: "del", ref: ref[i - 1], hyp: null });
+      i--;
+    } else {
+      ops.push({ op: "ins", ref: null, hyp: hyp[j - 1] });
+      j--;
+    }
+  }
+  return ops.reverse();
+}
+
+const countErrors = (ops) => ops.filter((o) => o.op !== "eq").length;
+
+// 📊 Per-sample scores (texts are normalized first)
+export function scoreTranscript(reference, hypothesis) {
+  const ref = normalizeForEval(reference);
+  const hyp = normalizeForEval(hypothesis);
+  const refWords = ref ? ref.split(" ") : [];
+  const hypWords = hyp ? hyp.split(" ") : [];
+  const alignment = alignTokens(refWords, hypWords);
+  const wordErrors = countErrors(alignment);
+  const charErrors = countErrors(alignTokens([...ref], [...hyp]));
+  return {
+    wordErrors,
+    refWords: refWords.length,
+    charErrors,
+    refChars: [...ref].length,
+    wer: refWords.length ? wordErrors / refWords.length : hypWords.length ? 1 : 0,
+    cer: ref.length ? charErrors / [...ref].length : hyp.length ? 1 : 0,
+    alignment,
+  };
+}
+
+// Σ Corpus-level rates (errors / reference length over all scored samples)
+export function aggregateScores(scores) {
+  const sum = (k) => scores.reduce((n, s) => n + s[k], 0);
+  const refWords = sum("refWords");
+  const refChars = sum("refChars");
+  return {
+    samples: scores.length,
+    wer: refWords ? sum("wordErrors") / refWords : 0,
+    cer: refChars ? sum("charErrors") / refChars : 0,
+    refWords,
+    refChars,
+  };
+}
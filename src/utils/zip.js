@@ -0,0 +1,173 @@
+// ==========================================
+// 🗜️ ZIP writer + reader — pure browser, no dependencies
+// ✅ "Stored" entries (audio is already compressed / PCM)
+// ✅ UTF-8 file names (Cyrillic-safe)
+// ✅ Returns a Blob ready for downloadBlob()
+// ✅ Blob entries are referenced, not copied (one entry in memory at a time)
+// ✅ Reads stored + deflated archives (DecompressionStream)
+// ⚠️ No ZIP64: build() refuses archives of 4 GB+ or 65535+ entries
+// ==========================================
+
+const encoder = new TextEncoder();
+const MAX_ENTRIES = 0xffff; // reserved as the ZIP64 marker
+const MAX_BYTES = 0xffffffff;
+
+const tooLarge = (what) =>
+  new Error(`Archive too large for ZIP (${what}) — export a smaller selection or split it up`);
+
+// 🔢 CRC-32 (IEEE) lookup table
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+export function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// 🕒 MS-DOS date/time fields
+const dosDateTime = (d) => ({
+  time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+  date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+});
+
+const toBytes = async (data) => {
+  if (typeof data === "string") return encoder.encode(data);
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  return new Uint8Array(await data.arrayBuffer()); // Blob / File
+};
+
+// 📦 Collect files, then build() → Blob
+//    const zip = createZip(); zip.add("wavs/a.wav", blob); zip.add("metadata.csv", text);
+export function createZip() {
+  const entries = [];
+
+  return {
+    add(path, data, date = new Date()) {
+      entries.push({ path: path.replace(/^\/+/, ""), data, date });
+    },
+    get size() {
+      return entries.length;
+    },
+    async build() {
+      if (entries.length >= MAX_ENTRIES) throw tooLarge(`${entries.length} files, limit ${MAX_ENTRIES - 1}`);
+      const parts = [];
+      const central = [];
+      let offset = 0;
+
+      for (const e of entries) {
+        const name = encoder.encode(e.path);
+        // 🧮 Bytes only live long enough for the CRC; the Blob itself goes into the archive
+        const bytes = await toBytes(e.data);
+        const crc = crc32(bytes);
+        const size = bytes.length;
+        const body = e.data instanceof Blob ? e.data : bytes;
+        if (offset + 30 + name.length + size >= MAX_BYTES) throw tooLarge("over 4 GB");
+        const { time, date } = dosDateTime(e.date);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true); // version needed
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, 0, true); // stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);
+        local.setUint32(22, size, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        parts.push(local, name, body);
+
+        const cd = new DataView(new ArrayBuffer(46));
+        cd.setUint32(0, 0x02014b50, true);
+        cd.setUint16(4, 20, true); // version made by
+        cd.setUint16(6, 20, true);
+        cd.setUint16(8, 0x0800, true);
+        cd.setUint16(10, 0, true);
+        cd.setUint16(12, time, true);
+        cd.setUint16(14, date, true);
+        cd.setUint32(16, crc, true);
+        cd.setUint32(20, size, true);
+        cd.setUint32(24, size, true);
+        cd.setUint16(28, name.length, true);
+        cd.setUint32(42, offset, true); // local header offset
+        central.push(cd, name);
+
+        offset += 30 + name.length + size;
+      }
+
+      const cdSize = central.reduce((n, p) => n + p.byteLength, 0);
+      if (offset + cdSize >= MAX_BYTES) throw tooLarge("over 4 GB");
+      const end = new DataView(new ArrayBuffer(22));
+      end.setUint32(0, 0x06054b50, true);
+      end.setUint16(8, entries.length, true);
+      end.setUint16(10, entries.length, true);
+      end.setUint32(12, cdSize, true);
+      end.setUint32(16, offset, true);
+
+      return new Blob([...parts, ...central, end], { type: "application/zip" });
+    },
+  };
+}
+
+// 📂 List a ZIP's files → [{ path, size, blob() }]; entries inflate lazily
+export async function readZip(file) {
+  const buf = new Uint8Array(await file.arrayBuffer());
+  const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  const decoder = new TextDecoder();
+
+  // 🔎 End-of-central-directory record (may be followed by a comment)
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not a ZIP archive");
+
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  if (count === 0xffff || p === 0xffffffff) throw new Error("ZIP64 archives are not supported");
+
+  const entries = [];
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(p, true) !== 0x02014b50) throw new Error("Corrupt ZIP central directory");
+    const method = view.getUint16(p + 10, true);
+    const compSize = view.getUint32(p + 20, true);
+    const size = view.getUint32(p + 24, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const commentLen = view.getUint16(p + 32, true);
+    const localOffset = view.getUint32(p + 42, true);
+    const path = decoder.decode(buf.subarray(p + 46, p + 46 + nameLen));
+    p += 46 + nameLen + extraLen + commentLen;
+
+    if (path.endsWith("/")) continue; // directory entry
+    const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = buf.subarray(start, start + compSize);
+
+    entries.push({
+      path,
+      size,
+      async blob() {
+        if (method === 0) return new Blob([data]);
+        if (method === 8) {
+          const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+          return new Response(stream).blob();
+        }
+        throw new Error(`Unsupported ZIP compression (method ${method}) for ${path}`);
+      },
+    });
+  }
+  return entries;
+}